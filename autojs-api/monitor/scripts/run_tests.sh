@@ -14,12 +14,32 @@
 #   --kotlin-only        Run only Kotlin tests (no JavaScript tests)
 #   --js-only            Run only JavaScript tests (requires connected device)
 #   --device-id <id>     Specify Android device ID for JavaScript tests
+#   --headless           Run JavaScript tests under Node.js instead of on a device
+#   --shard-devices <ids> Split the JavaScript tests across these comma-separated devices ("all": every
+#                        connected device), run them concurrently and merge the reports (needs --ci-mode)
+#   --shards <n>         With --headless, split the JavaScript tests across n concurrent headless hosts
+#   --scenario <name>    Device-state scenario for the headless fake monitor
+#   --api-snapshot <file> Compare the monitor API with this snapshot and update it (API drift)
+#   --benchmark-history <file> Keep benchmark scores in this file and flag regressions against them
+#   --perf-baseline <file> Fail when performance test timings regress against this baseline file
+#   --update-baseline    Write the performance test timings to the --perf-baseline file instead
+#   --tags <expression>  Run only JavaScript tests whose tags match, e.g. "api and not slow"
+#   --include-tags <list> Run only JavaScript tests carrying one of these comma-separated tags
+#   --exclude-tags <list> Skip JavaScript tests carrying any of these comma-separated tags
+#   --test-name <pattern> Run only JavaScript tests whose name matches a glob or /regex/ (repeatable)
+#   --retries <n>        Rerun failed JavaScript tests up to n times (tests passing on a rerun are flaky)
 #   --skip-benchmark     Skip benchmark tests (faster execution)
 #   --verbose            Show detailed test output
 #   --visual-test        Include visual recommendation test
 #   --stress-test        Run only stress tests
 #   --memory-test        Run only memory leak tests
 #   --performance-test   Run only performance tests 
+#   --soak-test          Run only the JavaScript soak test (cycles the monitor module for a fixed time)
+#   --soak-duration <s>  Wall-clock duration of the soak test in seconds
+#   --soak-output <file> Write the soak test's memory, latency and error snapshots to this JSON Lines file
+#   --fuzz-test          Run only the JavaScript fuzz tests (random recommendation payloads and device states)
+#   --fuzz-seed <n>      Seed of the fuzz cases (default: stressTests.randomSeed in test_config.json)
+#   --fuzz-case <seed>   Replay only the fuzz case with this case seed, as printed when a case fails
 #   --quality-test       Run only code quality tests
 #   --all-tests          Run all tests including stress, memory, and quality tests
 #   --report <path>      Generate HTML test report at specified path
@@ -36,6 +56,23 @@ SKIP_BENCHMARK=false
 VERBOSE=false
 VISUAL_TEST=false
 DEVICE_ID=""
+HEADLESS=false
+SHARD_DEVICES=""
+SHARD_COUNT=""
+SCENARIO=""
+API_SNAPSHOT=""
+BENCHMARK_HISTORY=""
+PERF_BASELINE=""
+UPDATE_BASELINE=false
+SOAK_DURATION=""
+SOAK_OUTPUT=""
+FUZZ_SEED=""
+FUZZ_CASE=""
+TAG_EXPRESSION=""
+INCLUDE_TAGS=""
+EXCLUDE_TAGS=""
+TEST_NAME_PATTERNS=()
+RETRIES=""
 TEST_TYPE="all"
 GENERATE_REPORT=false
 REPORT_PATH=""
@@ -67,6 +104,68 @@ while [[ $# -gt 0 ]]; do
             DEVICE_ID="$2"
             shift 2
             ;;
+        --headless)
+            HEADLESS=true
+            shift
+            ;;
+        --shard-devices)
+            SHARD_DEVICES="$2"
+            shift 2
+            ;;
+        --shards)
+            SHARD_COUNT="$2"
+            shift 2
+            ;;
+        --scenario)
+            SCENARIO="$2"
+            shift 2
+            ;;
+        --api-snapshot)
+            # Absolute, since the headless host runs from the resources directory
+            case "$2" in
+                /*) API_SNAPSHOT="$2" ;;
+                *) API_SNAPSHOT="$(pwd)/$2" ;;
+            esac
+            shift 2
+            ;;
+        --benchmark-history)
+            case "$2" in
+                /*) BENCHMARK_HISTORY="$2" ;;
+                *) BENCHMARK_HISTORY="$(pwd)/$2" ;;
+            esac
+            shift 2
+            ;;
+        --perf-baseline)
+            case "$2" in
+                /*) PERF_BASELINE="$2" ;;
+                *) PERF_BASELINE="$(pwd)/$2" ;;
+            esac
+            shift 2
+            ;;
+        --update-baseline)
+            UPDATE_BASELINE=true
+            shift
+            ;;
+        --tags)
+            TAG_EXPRESSION="$2"
+            shift 2
+            ;;
+        --include-tags)
+            INCLUDE_TAGS="$2"
+            shift 2
+            ;;
+        --exclude-tags)
+            EXCLUDE_TAGS="$2"
+            shift 2
+            ;;
+        --test-name)
+            TEST_NAME_PATTERNS+=("$2")
+            shift 2
+            ;;
+        --retries)
+            RETRIES="$2"
+            shift 2
+            ;;
         --skip-benchmark)
             SKIP_BENCHMARK=true
             shift
@@ -91,6 +190,37 @@ while [[ $# -gt 0 ]]; do
             TEST_TYPE="performance"
             shift
             ;;
+        --soak-test)
+            # There are no Kotlin soak tests
+            TEST_TYPE="soak"
+            RUN_KOTLIN_TESTS=false
+            shift
+            ;;
+        --soak-duration)
+            SOAK_DURATION="$2"
+            shift 2
+            ;;
+        --soak-output)
+            case "$2" in
+                /*) SOAK_OUTPUT="$2" ;;
+                *) SOAK_OUTPUT="$(pwd)/$2" ;;
+            esac
+            shift 2
+            ;;
+        --fuzz-test)
+            # There are no Kotlin fuzz tests
+            TEST_TYPE="fuzz"
+            RUN_KOTLIN_TESTS=false
+            shift
+            ;;
+        --fuzz-seed)
+            FUZZ_SEED="$2"
+            shift 2
+            ;;
+        --fuzz-case)
+            FUZZ_CASE="$2"
+            shift 2
+            ;;
         --quality-test)
             TEST_TYPE="quality"
             shift
@@ -119,11 +249,31 @@ while [[ $# -gt 0 ]]; do
             echo "  --kotlin-only        Run only Kotlin tests (no JavaScript tests)"
             echo "  --js-only            Run only JavaScript tests (requires connected device)"
             echo "  --device-id <id>     Specify Android device ID for JavaScript tests"
+            echo "  --headless           Run JavaScript tests under Node.js instead of on a device"
+            echo "  --shard-devices <ids> Split the JavaScript tests across these comma-separated devices (\"all\": every"
+            echo "                       connected device), run them concurrently and merge the reports (needs --ci-mode)"
+            echo "  --shards <n>         With --headless, split the JavaScript tests across n concurrent headless hosts"
+            echo "  --scenario <name>    Device-state scenario for the headless fake monitor"
+            echo "  --api-snapshot <file> Compare the monitor API with this snapshot and update it (API drift)"
+            echo "  --benchmark-history <file> Keep benchmark scores in this file and flag regressions against them"
+            echo "  --perf-baseline <file> Fail when performance test timings regress against this baseline file"
+            echo "  --update-baseline    Write the performance test timings to the --perf-baseline file instead"
+            echo "  --tags <expression>  Run only JavaScript tests whose tags match, e.g. \"api and not slow\""
+            echo "  --include-tags <list> Run only JavaScript tests carrying one of these comma-separated tags"
+            echo "  --exclude-tags <list> Skip JavaScript tests carrying any of these comma-separated tags"
+            echo "  --test-name <pattern> Run only JavaScript tests whose name matches a glob or /regex/ (repeatable)"
+            echo "  --retries <n>        Rerun failed JavaScript tests up to n times (tests passing on a rerun are flaky)"
             echo "  --skip-benchmark     Skip benchmark tests (faster execution)"
             echo "  --visual-test        Include visual recommendation test"
             echo "  --stress-test        Run only stress tests"
             echo "  --memory-test        Run only memory leak tests"
             echo "  --performance-test   Run only performance tests"
+            echo "  --soak-test          Run only the JavaScript soak test (cycles the monitor module for a fixed time)"
+            echo "  --soak-duration <s>  Wall-clock duration of the soak test in seconds"
+            echo "  --soak-output <file> Write the soak test's memory, latency and error snapshots to this JSON Lines file"
+            echo "  --fuzz-test          Run only the JavaScript fuzz tests (random recommendation payloads and device states)"
+            echo "  --fuzz-seed <n>      Seed of the fuzz cases (default: stressTests.randomSeed in test_config.json)"
+            echo "  --fuzz-case <seed>   Replay only the fuzz case with this case seed, as printed when a case fails"
             echo "  --quality-test       Run only code quality tests"
             echo "  --all-tests          Run all tests including stress, memory, and quality tests"
             echo "  --report <path>      Generate HTML test report at specified path"
@@ -140,6 +290,26 @@ while [[ $# -gt 0 ]]; do
     esac
 done
 
+if [ "$UPDATE_BASELINE" = true ] && [ -z "$PERF_BASELINE" ]; then
+    echo "--update-baseline needs --perf-baseline <file>"
+    exit 1
+fi
+
+# Where a JavaScript run stages generated files and leaves its results; each shard gets its own
+JS_STAGING_DIR="$PROJECT_DIR/src/test/resources"
+JS_RESULTS_FILE="$PROJECT_DIR/test-results.txt"
+JS_REPORT_DIR=""
+if [ "$GENERATE_REPORT" = true ] && [ -n "$REPORT_PATH" ]; then
+    JS_REPORT_DIR="$REPORT_PATH/js"
+fi
+JS_SNAPSHOT_OUT="$API_SNAPSHOT"
+JS_HISTORY_OUT="$BENCHMARK_HISTORY"
+
+# Shard of a sharded JavaScript run (0-based index, shard count, device label), see sharding.js
+SHARD_INDEX=""
+SHARD_TOTAL=""
+SHARD_LABEL=""
+
 # Function to print colored output
 print_color() {
     local color=$1
@@ -164,6 +334,28 @@ print_color() {
     esac
 }
 
+# Function to quote a value as a JavaScript string literal
+js_string() {
+    local value=${1//\\/\\\\}
+    printf '"%s"' "${value//\"/\\\"}"
+}
+
+# Function to turn a comma-separated list into a JavaScript array literal
+js_list() {
+    local items=()
+    local item
+    IFS=',' read -ra items <<< "$1"
+    local result=""
+    for item in "${items[@]}"; do
+        item="${item#"${item%%[![:space:]]*}"}"
+        item="${item%"${item##*[![:space:]]}"}"
+        if [ -n "$item" ]; then
+            result="${result:+$result, }$(js_string "$item")"
+        fi
+    done
+    printf '[%s]' "$result"
+}
+
 # Function to print section header
 print_section() {
     local message=$1
@@ -344,8 +536,289 @@ run_kotlin_tests() {
     fi
 }
 
-# Function to run JavaScript tests on device
+# Function to run JavaScript tests under Node.js with stand-in AutoJS globals
+run_js_tests_headless() {
+    print_section "Running JavaScript Tests Headless"
+    
+    if ! command_exists node; then
+        print_color "red" "Error: Node.js is not installed or not in PATH"
+        return 1
+    fi
+    
+    # Test types without a JavaScript suite (quality) run the unit tests, as on device
+    local js_test_type="$TEST_TYPE"
+    case "$TEST_TYPE" in
+        "unit" | "integration" | "stress" | "memory" | "performance" | "soak" | "fuzz" | "all") ;;
+        *) js_test_type="unit" ;;
+    esac
+    
+    local host_args=(--test-type "$js_test_type" --results-file "$JS_RESULTS_FILE")
+    
+    case "$TEST_TYPE" in
+        "stress")
+            host_args+=(--set runStressTests=true)
+            ;;
+        "memory")
+            host_args+=(--set runMemoryTests=true)
+            ;;
+        "performance")
+            host_args+=(--set runPerformanceTests=true)
+            ;;
+    esac
+    
+    if [ "$SKIP_BENCHMARK" = true ]; then
+        host_args+=(--set runBenchmarkTests=false)
+    fi
+    
+    if [ -n "$SCENARIO" ]; then
+        host_args+=(--scenario "$SCENARIO")
+    fi
+    
+    if [ "${VISUAL_TEST:-false}" = true ]; then
+        host_args+=(--set runVisualTests=true)
+    fi
+    
+    if [ -n "$API_SNAPSHOT" ]; then
+        host_args+=(--set "contractTest.apiSnapshotPath=$API_SNAPSHOT")
+    fi
+    
+    if [ -n "$BENCHMARK_HISTORY" ]; then
+        host_args+=(--set "benchmarkTest.historyPath=$BENCHMARK_HISTORY")
+    fi
+    
+    if [ -n "$PERF_BASELINE" ]; then
+        host_args+=(--set "performanceTest.baseline.path=$PERF_BASELINE" --set "performanceTest.baseline.update=$UPDATE_BASELINE")
+    fi
+    
+    if [ -n "$SOAK_DURATION" ]; then
+        host_args+=(--set "soakTest.durationSeconds=$SOAK_DURATION")
+    fi
+    
+    if [ -n "$SOAK_OUTPUT" ]; then
+        host_args+=(--set "soakTest.timeSeriesPath=$SOAK_OUTPUT")
+    fi
+    
+    if [ -n "$FUZZ_SEED" ]; then
+        host_args+=(--set "fuzzTest.seed=$FUZZ_SEED")
+    fi
+    
+    if [ -n "$FUZZ_CASE" ]; then
+        host_args+=(--set "fuzzTest.caseSeed=$FUZZ_CASE")
+    fi
+    
+    if [ -n "$TAG_EXPRESSION" ]; then
+        host_args+=(--tags "$TAG_EXPRESSION")
+    fi
+    
+    if [ -n "$INCLUDE_TAGS" ]; then
+        host_args+=(--include-tags "$INCLUDE_TAGS")
+    fi
+    
+    if [ -n "$EXCLUDE_TAGS" ]; then
+        host_args+=(--exclude-tags "$EXCLUDE_TAGS")
+    fi
+    
+    local pattern
+    for pattern in "${TEST_NAME_PATTERNS[@]}"; do
+        host_args+=(--name "$pattern")
+    done
+    
+    if [ -n "$RETRIES" ]; then
+        host_args+=(--set "retry.retries=$RETRIES")
+    fi
+    
+    if [ "$CI_MODE" = true ]; then
+        host_args+=(--ci-mode)
+    fi
+    
+    if [ -n "$SHARD_TOTAL" ]; then
+        host_args+=(--shard "$((SHARD_INDEX + 1))/$SHARD_TOTAL" --set "shard.label=$SHARD_LABEL")
+    fi
+    
+    if [ -n "$JS_REPORT_DIR" ]; then
+        mkdir -p "$JS_REPORT_DIR"
+        host_args+=(--report "$JS_REPORT_DIR")
+    fi
+    
+    if [ "$VERBOSE" = true ]; then
+        print_color "yellow" "Executing: node headless/host.js ${host_args[*]}"
+    fi
+    
+    (cd "$PROJECT_DIR/src/test/resources" && node headless/host.js "${host_args[@]}")
+    local exit_code=$?
+    
+    if [ $exit_code -eq 0 ]; then
+        print_color "green" "JavaScript tests completed successfully"
+        return 0
+    else
+        print_color "red" "JavaScript tests failed with exit code $exit_code"
+        return 1
+    fi
+}
+
+# Function to split the JavaScript tests across several devices or headless hosts and merge their reports
+run_js_tests_sharded() {
+    print_section "Running Sharded JavaScript Tests"
+    
+    # Each shard would write the timings of its own tests only
+    if [ "$UPDATE_BASELINE" = true ]; then
+        print_color "red" "Error: --update-baseline needs an unsharded run"
+        return 1
+    fi
+    
+    if ! command_exists node; then
+        print_color "red" "Error: Node.js is needed to merge the shard reports"
+        return 1
+    fi
+    
+    # One label per shard: device ids, or headless-1..n
+    local labels=()
+    if [ "$HEADLESS" = true ]; then
+        if ! [[ "$SHARD_COUNT" =~ ^[1-9][0-9]*$ ]]; then
+            print_color "red" "Error: --shards needs a positive number of headless hosts"
+            return 1
+        fi
+        local n
+        for ((n = 1; n <= SHARD_COUNT; n++)); do
+            labels+=("headless-$n")
+        done
+    else
+        if [ "$CI_MODE" != true ]; then
+            print_color "red" "Error: --shard-devices runs the devices unattended and needs --ci-mode"
+            return 1
+        fi
+        if ! command_exists adb; then
+            print_color "red" "Error: ADB is not installed or not in PATH"
+            return 1
+        fi
+        if [ -z "$SHARD_DEVICES" ]; then
+            print_color "red" "Error: --shards without --headless; use --shard-devices to shard across devices"
+            return 1
+        fi
+        if [ "$SHARD_DEVICES" = "all" ]; then
+            read -ra labels <<< "$(adb devices | grep -v "List of devices" | grep "device$" | cut -f 1 | tr '\n' ' ')"
+        else
+            IFS=',' read -ra labels <<< "$SHARD_DEVICES"
+        fi
+        if [ ${#labels[@]} -eq 0 ]; then
+            print_color "red" "Error: No Android devices connected"
+            return 1
+        fi
+    fi
+    
+    # Shard reports go next to the merged report, or to a temporary directory
+    local shard_root
+    if [ -n "$JS_REPORT_DIR" ]; then
+        shard_root="$JS_REPORT_DIR/shards"
+    else
+        shard_root=$(mktemp -d)
+    fi
+    rm -rf "$shard_root"
+    mkdir -p "$shard_root"
+    
+    print_color "yellow" "Splitting the JavaScript tests across ${#labels[@]} shards: ${labels[*]}"
+    
+    local pids=()
+    local i
+    for i in "${!labels[@]}"; do
+        local label="${labels[$i]}"
+        local shard_dir="$shard_root/shard-$((i + 1))"
+        mkdir -p "$shard_dir/staging"
+        (
+            SHARD_INDEX=$i
+            SHARD_TOTAL=${#labels[@]}
+            SHARD_LABEL="$label"
+            DEVICE_ID="$label"
+            JS_STAGING_DIR="$shard_dir/staging"
+            JS_RESULTS_FILE="$shard_dir/results.txt"
+            JS_REPORT_DIR="$shard_dir"
+            JS_SNAPSHOT_OUT="${API_SNAPSHOT:+$shard_dir/api_surface.json}"
+            JS_HISTORY_OUT="${BENCHMARK_HISTORY:+$shard_dir/benchmark_history.json}"
+            if [ "$HEADLESS" = true ]; then
+                run_js_tests_headless
+            else
+                run_js_tests_on_device
+            fi
+        ) 2>&1 | while IFS= read -r line; do echo "[$label] $line"; done &
+        pids+=($!)
+    done
+    
+    for i in "${!pids[@]}"; do
+        wait "${pids[$i]}"
+    done
+    
+    # Keep the API snapshot of the shard whose drift test updated it
+    if [ -n "$API_SNAPSHOT" ] && [ "$HEADLESS" != true ]; then
+        local snapshot
+        for snapshot in "$shard_root"/shard-*/api_surface.json; do
+            if [ -f "$snapshot" ] && ! cmp -s "$snapshot" "$API_SNAPSHOT"; then
+                mkdir -p "$(dirname "$API_SNAPSHOT")"
+                cp "$snapshot" "$API_SNAPSHOT"
+            fi
+        done
+    fi
+    
+    # Likewise the benchmark history of the shard that ran the benchmark
+    if [ -n "$BENCHMARK_HISTORY" ] && [ "$HEADLESS" != true ]; then
+        local history
+        for history in "$shard_root"/shard-*/benchmark_history.json; do
+            if [ -f "$history" ] && ! cmp -s "$history" "$BENCHMARK_HISTORY"; then
+                mkdir -p "$(dirname "$BENCHMARK_HISTORY")"
+                cp "$history" "$BENCHMARK_HISTORY"
+            fi
+        done
+    fi
+    
+    # Shards without a report (crashed or timed out) are reported as missing and fail the run
+    local reports=()
+    local report
+    for report in "$shard_root"/shard-*/report.json; do
+        if [ -f "$report" ]; then
+            reports+=("$report")
+        fi
+    done
+    if [ ${#reports[@]} -eq 0 ]; then
+        print_color "red" "No shard produced a report, see the shard logs above"
+        return 1
+    fi
+    
+    local merge_args=(--shards "${#labels[@]}" --results-file "$JS_RESULTS_FILE")
+    if [ -n "$JS_REPORT_DIR" ]; then
+        merge_args+=(--out "$JS_REPORT_DIR")
+    fi
+    (cd "$PROJECT_DIR/src/test/resources" && node headless/merge_reports.js "${merge_args[@]}" "${reports[@]}")
+    local exit_code=$?
+    
+    if [ -z "$JS_REPORT_DIR" ]; then
+        rm -rf "$shard_root"
+    fi
+    
+    if [ $exit_code -eq 0 ]; then
+        print_color "green" "JavaScript tests completed successfully on all ${#labels[@]} shards"
+        return 0
+    else
+        print_color "red" "JavaScript tests failed on at least one shard"
+        return 1
+    fi
+}
+
+# Function to run JavaScript tests on device, headless or sharded
 run_js_tests() {
+    if [ -n "$SHARD_DEVICES" ] || [ -n "$SHARD_COUNT" ]; then
+        run_js_tests_sharded
+        return $?
+    fi
+    
+    if [ "$HEADLESS" = true ]; then
+        run_js_tests_headless
+        return $?
+    fi
+    
+    run_js_tests_on_device
+}
+
+# Function to run JavaScript tests on the device $DEVICE_ID
+run_js_tests_on_device() {
     print_section "Running JavaScript Tests on Device"
     
     # Check device connection
@@ -361,6 +834,29 @@ run_js_tests() {
     local js_test_files=(
         "$test_dir/test_recommendation_system.js"
         "$test_dir/test_runner.js"
+        "$test_dir/test_harness.js"
+        "$test_dir/junit_report.js"
+        "$test_dir/html_report.js"
+        "$test_dir/assertions.js"
+        "$test_dir/schema_validator.js"
+        "$test_dir/recommendation_schema.js"
+        "$test_dir/monitor_contract.js"
+        "$test_dir/config_loader.js"
+        "$test_dir/config_schema.js"
+        "$test_dir/test_config.json"
+        "$test_dir/test_config.schema.json"
+        "$test_dir/test_filter.js"
+        "$test_dir/device_guards.js"
+        "$test_dir/test_scope.js"
+        "$test_dir/sharding.js"
+        "$test_dir/benchmark_history.js"
+        "$test_dir/perf_stats.js"
+        "$test_dir/perf_baseline.js"
+        "$test_dir/soak.js"
+        "$test_dir/seeded_random.js"
+        "$test_dir/fuzzer.js"
+        "$test_dir/property_testing.js"
+        "$test_dir/visual_recommendation_test.js"
     )
     
     # Create temporary directory on device
@@ -379,6 +875,37 @@ run_js_tests() {
         fi
     done
     
+    # Previous API snapshot for the drift test; the device copy is pulled back after the run
+    if [ -n "$API_SNAPSHOT" ] && [ -f "$API_SNAPSHOT" ]; then
+        echo "Pushing API snapshot..."
+        adb -s "$DEVICE_ID" push "$API_SNAPSHOT" "/sdcard/CustomAutoJS_Tests/api_surface.json"
+    fi
+    
+    # Benchmark history, likewise pulled back; a history left on the device by an earlier run is not reused
+    if [ -n "$BENCHMARK_HISTORY" ]; then
+        if [ -f "$BENCHMARK_HISTORY" ]; then
+            echo "Pushing benchmark history..."
+            adb -s "$DEVICE_ID" push "$BENCHMARK_HISTORY" "/sdcard/CustomAutoJS_Tests/benchmark_history.json"
+        else
+            adb -s "$DEVICE_ID" shell "rm -f /sdcard/CustomAutoJS_Tests/benchmark_history.json"
+        fi
+    fi
+    
+    # Performance baseline, pulled back after an --update-baseline run
+    if [ -n "$PERF_BASELINE" ]; then
+        if [ -f "$PERF_BASELINE" ]; then
+            echo "Pushing performance baseline..."
+            adb -s "$DEVICE_ID" push "$PERF_BASELINE" "/sdcard/CustomAutoJS_Tests/perf_baseline.json"
+        else
+            adb -s "$DEVICE_ID" shell "rm -f /sdcard/CustomAutoJS_Tests/perf_baseline.json"
+        fi
+    fi
+    
+    # Soak time series from an earlier run; a shard without the soak test must not pull it back
+    if [ -n "$SOAK_OUTPUT" ]; then
+        adb -s "$DEVICE_ID" shell "rm -f /sdcard/CustomAutoJS_Tests/soak_timeseries.jsonl"
+    fi
+    
     # Configure test parameters based on test type
     local test_params=""
     local test_description=""
@@ -400,6 +927,14 @@ run_js_tests() {
             test_params="runBenchmarkTests: true, runLongTests: true, runPerformanceTests: true, testType: 'performance'"
             test_description="Running JavaScript performance tests"
             ;;
+        "soak")
+            test_params="runBenchmarkTests: true, runLongTests: true, testType: 'soak'"
+            test_description="Running the JavaScript soak test"
+            ;;
+        "fuzz")
+            test_params="testType: 'fuzz'"
+            test_description="Running JavaScript fuzz tests"
+            ;;
         "all")
             if [ "$SKIP_BENCHMARK" = true ]; then
                 test_params="runBenchmarkTests: false, runLongTests: false, testType: 'all'"
@@ -409,17 +944,17 @@ run_js_tests() {
             test_description="Running all applicable JavaScript tests"
             ;;
         *)
-            test_params="runBenchmarkTests: false, testType: 'basic'"
+            test_params="runBenchmarkTests: false, testType: 'unit'"
             test_description="Running basic JavaScript tests"
             ;;
     esac
     
     print_color "yellow" "$test_description"
     
-    # Add script for visual test if requested
+    # Run the visual suite if requested; visual_recommendation_test.js itself is always pushed,
+    # the fuzz and property suites use it too
     if [ "${VISUAL_TEST:-false}" = true ]; then
         echo "Including visual recommendation test..."
-        adb -s "$DEVICE_ID" push "$PROJECT_DIR/src/test/resources/visual_recommendation_test.js" "/sdcard/CustomAutoJS_Tests/visual_recommendation_test.js"
         test_params="$test_params, runVisualTests: true"
     fi
     
@@ -428,52 +963,82 @@ run_js_tests() {
         test_params="$test_params, ciMode: true, skipPrompts: true"
     fi
     
+    # Tag and name selection, see test_filter.js
+    local test_filter=""
+    if [ -n "$TAG_EXPRESSION" ]; then
+        test_filter="${test_filter}tagExpression: $(js_string "$TAG_EXPRESSION"), "
+    fi
+    if [ -n "$INCLUDE_TAGS" ]; then
+        test_filter="${test_filter}includeTags: $(js_list "$INCLUDE_TAGS"), "
+    fi
+    if [ -n "$EXCLUDE_TAGS" ]; then
+        test_filter="${test_filter}excludeTags: $(js_list "$EXCLUDE_TAGS"), "
+    fi
+    if [ ${#TEST_NAME_PATTERNS[@]} -gt 0 ]; then
+        local name_patterns=""
+        local pattern
+        for pattern in "${TEST_NAME_PATTERNS[@]}"; do
+            name_patterns="${name_patterns:+$name_patterns, }$(js_string "$pattern")"
+        done
+        test_filter="${test_filter}namePatterns: [${name_patterns}], "
+    fi
+    
+    # Part of a sharded run, see sharding.js
+    local shard_config=""
+    if [ -n "$SHARD_TOTAL" ]; then
+        shard_config="shard: { index: $SHARD_INDEX, count: $SHARD_TOTAL, label: $(js_string "$SHARD_LABEL") },"
+    fi
+    
+    # Soak test duration and time series; the device copy of the time series is pulled back after the run
+    local soak_config="timeSeriesPath: null"
+    if [ -n "$SOAK_OUTPUT" ]; then
+        soak_config="timeSeriesPath: \"/sdcard/CustomAutoJS_Tests/soak_timeseries.jsonl\""
+    fi
+    if [ -n "$SOAK_DURATION" ]; then
+        soak_config="durationSeconds: $SOAK_DURATION, $soak_config"
+    fi
+    
+    # Fuzz seeds; unset ones keep the runner defaults
+    local fuzz_config="seed: ${FUZZ_SEED:-null}, caseSeed: ${FUZZ_CASE:-null}"
+    
     # Create test configuration file
     echo "Creating test configuration..."
-    cat > "$PROJECT_DIR/src/test/resources/test_config.js" << EOL
-// Test configuration generated by test runner
+    cat > "$JS_STAGING_DIR/test_config.js" << EOL
+// Test configuration generated by test runner: per-run overrides on top of test_config.json
 const testConfig = {
     ${test_params},
-    testDelay: 1000,
-    testTimeout: 30000,
     showUiTests: ${CI_MODE:-false} ? false : true,
-    visualTest: {
-        showAdvancedOptions: true,
-        fullScreenMode: false,
-        showMockControls: true,
-        animationsEnabled: true,
-        themeColor: "#2196F3"
-    },
-    performanceTest: {
-        iterations: 100,
-        warmupIterations: 10,
-        recommendationCount: 10
+    contractTest: {
+        apiSnapshotPath: "${API_SNAPSHOT}" ? "/sdcard/CustomAutoJS_Tests/api_surface.json" : null
     },
-    stressTest: {
-        iterationsPerThread: 50,
-        randomSeed: 42,
-        maxRecommendations: 200,
-        stressTimeSeconds: 10
+    benchmarkTest: {
+        historyPath: "${BENCHMARK_HISTORY}" ? "/sdcard/CustomAutoJS_Tests/benchmark_history.json" : null
     },
-    memoryTest: {
-        iterations: 50,
-        gcCycles: 3,
-        memoryThresholdPercent: 10
+    soakTest: { ${soak_config} },
+    fuzzTest: { ${fuzz_config} },
+    performanceTest: {
+        baseline: {
+            path: "${PERF_BASELINE}" ? "/sdcard/CustomAutoJS_Tests/perf_baseline.json" : null,
+            update: ${UPDATE_BASELINE}
+        }
     },
-    reportPath: ${GENERATE_REPORT:-false} ? "${REPORT_PATH:-'/sdcard/CustomAutoJS_Tests/reports'}" : null
+    testFilter: { ${test_filter%, } },
+    retry: { ${RETRIES:+retries: $RETRIES} },
+    ${shard_config}
+    reportPath: "${JS_REPORT_DIR}" ? "/sdcard/CustomAutoJS_Tests/reports" : null
 };
 module.exports = testConfig;
 EOL
     
     # Push configuration to device
-    adb -s "$DEVICE_ID" push "$PROJECT_DIR/src/test/resources/test_config.js" "/sdcard/CustomAutoJS_Tests/test_config.js"
+    adb -s "$DEVICE_ID" push "$JS_STAGING_DIR/test_config.js" "/sdcard/CustomAutoJS_Tests/test_config.js"
     
     # In CI mode, we need to automate the test run
     if [ "$CI_MODE" = true ]; then
         print_color "blue" "Running in CI mode - automating JavaScript test execution"
         
         # Create launcher script
-        cat > "$PROJECT_DIR/src/test/resources/ci_launcher.js" << EOL
+        cat > "$JS_STAGING_DIR/ci_launcher.js" << EOL
 // CI Mode JavaScript test launcher
 console.show();
 console.log("Starting automated test run in CI mode");
@@ -504,7 +1069,7 @@ setTimeout(function() {
 EOL
         
         # Push launcher to device
-        adb -s "$DEVICE_ID" push "$PROJECT_DIR/src/test/resources/ci_launcher.js" "/sdcard/CustomAutoJS_Tests/ci_launcher.js"
+        adb -s "$DEVICE_ID" push "$JS_STAGING_DIR/ci_launcher.js" "/sdcard/CustomAutoJS_Tests/ci_launcher.js"
         
         # Launch script using CustomAutoJS if possible (device-specific, may need adjustments)
         print_color "blue" "Launching automated test script on device..."
@@ -513,8 +1078,15 @@ EOL
         # Wait for the test to complete
         print_color "blue" "Waiting for tests to complete..."
         
-        # Poll for results file for up to 5 minutes
+        # Poll for results file for up to 5 minutes, plus the duration of a soak run
         local max_wait_seconds=300
+        if [ "$TEST_TYPE" = "soak" ]; then
+            local soak_seconds="$SOAK_DURATION"
+            if [ -z "$soak_seconds" ]; then
+                soak_seconds=$(grep -o '"longRunningTestDuration": *[0-9]*' "$PROJECT_DIR/src/test/resources/test_config.json" | grep -o '[0-9]*$')
+            fi
+            max_wait_seconds=$((max_wait_seconds + ${soak_seconds%.*}))
+        fi
         local waited=0
         local result_file_exists=0
         
@@ -539,36 +1111,61 @@ EOL
             print_color "green" "Tests completed in $waited seconds"
             
             # Pull results file
-            adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/results.txt" "$PROJECT_DIR/test-results.txt"
+            adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/results.txt" "$JS_RESULTS_FILE"
             
             # Display results
-            if [ -f "$PROJECT_DIR/test-results.txt" ]; then
+            if [ -f "$JS_RESULTS_FILE" ]; then
                 print_color "blue" "Test Results:"
-                cat "$PROJECT_DIR/test-results.txt"
+                cat "$JS_RESULTS_FILE"
+                
+                # Pull report files (report.json, JUnit XML) if available
+                if [ -n "$JS_REPORT_DIR" ]; then
+                    mkdir -p "$JS_REPORT_DIR"
+                    adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/reports/." "$JS_REPORT_DIR" || true
+                fi
+                
+                # Keep the updated API snapshot for the next run
+                if [ -n "$JS_SNAPSHOT_OUT" ]; then
+                    mkdir -p "$(dirname "$JS_SNAPSHOT_OUT")"
+                    adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/api_surface.json" "$JS_SNAPSHOT_OUT" || true
+                fi
+                
+                # Keep the benchmark history with this run's scores
+                if [ -n "$JS_HISTORY_OUT" ]; then
+                    mkdir -p "$(dirname "$JS_HISTORY_OUT")"
+                    adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/benchmark_history.json" "$JS_HISTORY_OUT" || true
+                fi
+                
+                # Keep the soak test's time series
+                if [ -n "$SOAK_OUTPUT" ]; then
+                    mkdir -p "$(dirname "$SOAK_OUTPUT")"
+                    adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/soak_timeseries.jsonl" "$SOAK_OUTPUT" || true
+                fi
+                
+                # Keep the updated performance baseline
+                if [ "$UPDATE_BASELINE" = true ]; then
+                    mkdir -p "$(dirname "$PERF_BASELINE")"
+                    adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/perf_baseline.json" "$PERF_BASELINE" || true
+                fi
                 
                 # Check if test was successful
-                if grep -q "TEST_RESULT=SUCCESS" "$PROJECT_DIR/test-results.txt"; then
+                if grep -q "TEST_RESULT=SUCCESS" "$JS_RESULTS_FILE"; then
                     print_color "green" "JavaScript tests completed successfully"
                     # Clean up
-                    rm -f "$PROJECT_DIR/test-results.txt"
+                    rm -f "$JS_RESULTS_FILE"
                     echo "Cleaning up test files..."
                     adb -s "$DEVICE_ID" shell "rm -rf /sdcard/CustomAutoJS_Tests"
-                    rm -f "$PROJECT_DIR/src/test/resources/test_config.js"
-                    rm -f "$PROJECT_DIR/src/test/resources/ci_launcher.js"
+                    rm -f "$JS_STAGING_DIR/test_config.js"
+                    rm -f "$JS_STAGING_DIR/ci_launcher.js"
                     return 0
                 else
                     print_color "red" "JavaScript tests failed"
-                    # Pull any report files if available
-                    if [ "$GENERATE_REPORT" = true ] && [ -n "$REPORT_PATH" ]; then
-                        mkdir -p "$REPORT_PATH/js"
-                        adb -s "$DEVICE_ID" pull "/sdcard/CustomAutoJS_Tests/reports" "$REPORT_PATH/js" || true
-                    fi
                     # Clean up
-                    rm -f "$PROJECT_DIR/test-results.txt"
+                    rm -f "$JS_RESULTS_FILE"
                     echo "Cleaning up test files..."
                     adb -s "$DEVICE_ID" shell "rm -rf /sdcard/CustomAutoJS_Tests"
-                    rm -f "$PROJECT_DIR/src/test/resources/test_config.js"
-                    rm -f "$PROJECT_DIR/src/test/resources/ci_launcher.js"
+                    rm -f "$JS_STAGING_DIR/test_config.js"
+                    rm -f "$JS_STAGING_DIR/ci_launcher.js"
                     return 1
                 fi
             else
@@ -598,7 +1195,7 @@ EOL
         # Cleanup
         echo "Cleaning up test files..."
         adb -s "$DEVICE_ID" shell "rm -rf /sdcard/CustomAutoJS_Tests"
-        rm -f "$PROJECT_DIR/src/test/resources/test_config.js"
+        rm -f "$JS_STAGING_DIR/test_config.js"
         
         if [[ "$test_success" =~ ^[Yy]$ ]]; then
             print_color "green" "JavaScript tests completed successfully"
@@ -618,6 +1215,19 @@ echo "- Run unit tests: $RUN_UNIT_TESTS"
 echo "- Run integration tests: $RUN_INTEGRATION_TESTS"
 echo "- Run Kotlin tests: $RUN_KOTLIN_TESTS"
 echo "- Run JavaScript tests: $RUN_JS_TESTS"
+echo "- Headless JavaScript tests: $HEADLESS"
+if [ -n "$SCENARIO" ]; then
+    echo "- Device scenario: $SCENARIO"
+fi
+if [ -n "$API_SNAPSHOT" ]; then
+    echo "- API snapshot: $API_SNAPSHOT"
+fi
+if [ -n "$BENCHMARK_HISTORY" ]; then
+    echo "- Benchmark history: $BENCHMARK_HISTORY"
+fi
+if [ -n "$PERF_BASELINE" ]; then
+    echo "- Performance baseline: $PERF_BASELINE ($([ "$UPDATE_BASELINE" = true ] && echo update || echo compare))"
+fi
 echo "- Skip benchmark tests: $SKIP_BENCHMARK"
 echo "- Visual tests: $VISUAL_TEST"
 echo "- Generate report: $GENERATE_REPORT"
@@ -747,7 +1357,8 @@ if [ "$RUN_KOTLIN_TESTS" = true ]; then
     if [ "$GENERATE_REPORT" = true ] && [ -n "$REPORT_PATH" ]; then
         # Try to find JUnit XML result files
         if [ -d "$REPORT_PATH" ]; then
-            xml_files=$(find "$REPORT_PATH" -name "TEST-*.xml" | wc -l)
+            # Only the top level holds Kotlin results; JavaScript results live in $REPORT_PATH/js
+            xml_files=$(find "$REPORT_PATH" -maxdepth 1 -name "TEST-*.xml" | wc -l)
             if [ $xml_files -gt 0 ]; then
                 # Count passed and failed tests from XML files
                 kotlin_tests_run=$(grep -l "<testsuite" "$REPORT_PATH"/TEST-*.xml | xargs grep "tests=" | awk -F'tests=' '{print $2}' | awk -F'"' '{sum += $2} END {print sum}')
@@ -789,9 +1400,10 @@ if [ "$RUN_JS_TESTS" = true ]; then
     js_test_duration=$((js_test_end_time - js_test_start_time))
     
     # Update test statistics based on results file
-    if [ -f "$PROJECT_DIR/test-results.txt" ]; then
-        js_tests_run=$(grep "TESTS_RUN=" "$PROJECT_DIR/test-results.txt" | cut -d"=" -f2)
-        js_tests_passed=$(grep "TESTS_PASSED=" "$PROJECT_DIR/test-results.txt" | cut -d"=" -f2)
+    if [ -f "$JS_RESULTS_FILE" ]; then
+        js_tests_run=$(grep "TESTS_RUN=" "$JS_RESULTS_FILE" | cut -d"=" -f2)
+        js_tests_passed=$(grep "TESTS_PASSED=" "$JS_RESULTS_FILE" | cut -d"=" -f2)
+        rm -f "$JS_RESULTS_FILE"
     else
         # Estimate based on exit code
         if [ $js_test_result -eq 0 ]; then
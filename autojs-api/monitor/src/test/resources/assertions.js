@@ -0,0 +1,430 @@
+/**
+ * Assertion Library for CustomAutoJS Tests
+ *
+ * expect()-style assertions usable from test_runner.js, visual_recommendation_test.js
+ * and any other AutoJS test script:
+ *
+ *   expect(monitor.getOptimalUpdateInterval()).toBeTypeOf("number");
+ *   expect(capabilities).toMatchSchema({ type: "object", required: ["deviceInfo"] });
+ *   expect(() => monitor.isFeatureSupported()).not.toThrow();
+ *   await expect(runBenchmark()).resolves.toHaveProperty("cpuScore");
+ *
+ * Every matcher can be negated with `.not`. A failing matcher throws an
+ * AssertionError (see test_harness.js) carrying expected/actual values and a
+ * message with a readable diff, which ends up in detailedResults and the reports.
+ */
+
+const { AssertionError } = require('./test_harness.js');
+const { validate, formatErrors } = require('./schema_validator.js');
+
+// Maximum number of differences listed in a toEqual() message
+const MAX_DIFF_LINES = 20;
+
+function typeOf(value) {
+    if (value === null) {
+        return "null";
+    }
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    return typeof value;
+}
+
+// Short, single-line rendering of a value for messages
+function stringify(value) {
+    if (typeof value === "function") {
+        return value.name ? `[Function ${value.name}]` : "[Function]";
+    }
+    if (value instanceof Error) {
+        return `${value.name}: ${value.message}`;
+    }
+    if (value instanceof RegExp) {
+        return String(value);
+    }
+    if (typeof value === "number" && !isFinite(value)) {
+        return String(value);
+    }
+    if (value === undefined) {
+        return "undefined";
+    }
+    try {
+        const text = JSON.stringify(value);
+        return text.length > 200 ? text.slice(0, 197) + "..." : text;
+    } catch (e) {
+        return String(value);
+    }
+}
+
+function sameValue(a, b) {
+    return a === b || (a !== a && b !== b); // NaN equals NaN
+}
+
+// Collects "path: expected X, received Y" lines for every difference between two values
+function collectDiffs(expected, actual, path, diffs) {
+    if (sameValue(expected, actual)) {
+        return;
+    }
+
+    const expectedType = typeOf(expected);
+    const actualType = typeOf(actual);
+    if (expectedType !== actualType || (expectedType !== "object" && expectedType !== "array")) {
+        diffs.push(`${path || "(root)"}: expected ${stringify(expected)}, received ${stringify(actual)}`);
+        return;
+    }
+
+    if (expected instanceof Date || actual instanceof Date || expected instanceof RegExp || actual instanceof RegExp) {
+        if (String(expected) !== String(actual)) {
+            diffs.push(`${path || "(root)"}: expected ${stringify(expected)}, received ${stringify(actual)}`);
+        }
+        return;
+    }
+
+    if (expectedType === "array" && expected.length !== actual.length) {
+        diffs.push(`${path ? path + "." : ""}length: expected ${expected.length}, received ${actual.length}`);
+    }
+
+    const keys = Object.keys(expected);
+    Object.keys(actual).forEach(key => {
+        if (keys.indexOf(key) === -1) {
+            keys.push(key);
+        }
+    });
+
+    keys.forEach(key => {
+        const childPath = expectedType === "array" ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+        if (!(key in actual)) {
+            diffs.push(`${childPath}: missing, expected ${stringify(expected[key])}`);
+        } else if (!(key in expected)) {
+            diffs.push(`${childPath}: unexpected ${stringify(actual[key])}`);
+        } else {
+            collectDiffs(expected[key], actual[key], childPath, diffs);
+        }
+    });
+}
+
+function diffValues(expected, actual) {
+    const diffs = [];
+    collectDiffs(expected, actual, "", diffs);
+    return diffs;
+}
+
+function deepEqual(expected, actual) {
+    return diffValues(expected, actual).length === 0;
+}
+
+// Checks a thrown error against the toThrow() argument (message substring, RegExp or Error class)
+function errorMatches(error, expected) {
+    if (expected === undefined) {
+        return true;
+    }
+    const message = error && error.message !== undefined ? String(error.message) : String(error);
+    if (typeof expected === "string") {
+        return message.indexOf(expected) !== -1;
+    }
+    if (expected instanceof RegExp) {
+        return expected.test(message);
+    }
+    if (typeof expected === "function") {
+        return error instanceof expected;
+    }
+    return false;
+}
+
+function describeExpectedError(expected) {
+    if (expected === undefined) {
+        return "an error";
+    }
+    if (typeof expected === "function") {
+        return `an instance of ${expected.name || "the given class"}`;
+    }
+    return `an error matching ${stringify(expected)}`;
+}
+
+// Reads "a.b[0].c" style property paths
+function readPath(object, path) {
+    const keys = Array.isArray(path) ? path : String(path).replace(/\[(\w+)\]/g, ".$1").split(".").filter(Boolean);
+    let node = object;
+    for (const key of keys) {
+        if (node === null || node === undefined || !(typeof node === "object" || typeof node === "function") || !(key in node)) {
+            return { found: false };
+        }
+        node = node[key];
+    }
+    return { found: true, value: node };
+}
+
+/**
+ * Builds the matcher set for one value.
+ * - negated: `.not` was used
+ * - label: prefix for messages, e.g. "expect(received).resolves"
+ * - thrown: for `.rejects`, the rejection reason is the value itself
+ */
+function createMatchers(actual, negated, label, thrown) {
+    const prefix = `${label}${negated ? ".not" : ""}`;
+
+    // Core check: pass is evaluated for the positive form and inverted for .not
+    function check(matcher, pass, expected, details) {
+        if (pass !== negated) {
+            return;
+        }
+        const lines = [`${prefix}.${matcher}(${details && details.args !== undefined ? details.args : stringify(expected)})`, ""];
+        if (details && details.message) {
+            lines.push(details.message);
+        } else {
+            lines.push(`Expected: ${negated ? "not " : ""}${stringify(expected)}`);
+            lines.push(`Received: ${stringify(actual)}`);
+        }
+        throw new AssertionError(lines.join("\n"), {
+            expected: expected,
+            actual: details && details.actual !== undefined ? details.actual : actual,
+            operator: (negated ? "not." : "") + matcher
+        });
+    }
+
+    function requireNumber(matcher) {
+        if (typeof actual !== "number" || isNaN(actual)) {
+            throw new AssertionError(`${prefix}.${matcher}()\n\nReceived value must be a number, got ${typeOf(actual)} ${stringify(actual)}`, {
+                expected: "number",
+                actual: actual,
+                operator: matcher
+            });
+        }
+    }
+
+    return {
+        toBe(expected) {
+            check("toBe", sameValue(actual, expected), expected);
+        },
+
+        toEqual(expected) {
+            const diffs = diffValues(expected, actual);
+            const shown = diffs.slice(0, MAX_DIFF_LINES);
+            if (diffs.length > MAX_DIFF_LINES) {
+                shown.push(`... ${diffs.length - MAX_DIFF_LINES} more differences`);
+            }
+            check("toEqual", diffs.length === 0, expected, {
+                message: negated ? `Expected value not to equal ${stringify(expected)}` :
+                    `Differences (expected vs received):\n${shown.map(line => "  " + line).join("\n")}`
+            });
+        },
+
+        // typeof check that also knows "array", "null" and "integer"
+        toBeTypeOf(type) {
+            check("toBeTypeOf", validate(actual, { type: type }).length === 0, type, {
+                message: `Expected type: ${negated ? "not " : ""}${type}\nReceived type: ${typeOf(actual)} (${stringify(actual)})`,
+                actual: typeOf(actual)
+            });
+        },
+
+        toBeInstanceOf(Class) {
+            check("toBeInstanceOf", actual instanceof Class, Class.name, { args: Class.name });
+        },
+
+        toBeTruthy() {
+            check("toBeTruthy", !!actual, "truthy value", { args: "" });
+        },
+
+        toBeFalsy() {
+            check("toBeFalsy", !actual, "falsy value", { args: "" });
+        },
+
+        toBeNull() {
+            check("toBeNull", actual === null, null, { args: "" });
+        },
+
+        toBeUndefined() {
+            check("toBeUndefined", actual === undefined, undefined, { args: "" });
+        },
+
+        toBeDefined() {
+            check("toBeDefined", actual !== undefined, "defined value", { args: "" });
+        },
+
+        toBeGreaterThan(expected) {
+            requireNumber("toBeGreaterThan");
+            check("toBeGreaterThan", actual > expected, expected, { message: `Expected: ${negated ? "not " : ""}> ${expected}\nReceived: ${actual}` });
+        },
+
+        toBeGreaterThanOrEqual(expected) {
+            requireNumber("toBeGreaterThanOrEqual");
+            check("toBeGreaterThanOrEqual", actual >= expected, expected, { message: `Expected: ${negated ? "not " : ""}>= ${expected}\nReceived: ${actual}` });
+        },
+
+        toBeLessThan(expected) {
+            requireNumber("toBeLessThan");
+            check("toBeLessThan", actual < expected, expected, { message: `Expected: ${negated ? "not " : ""}< ${expected}\nReceived: ${actual}` });
+        },
+
+        toBeLessThanOrEqual(expected) {
+            requireNumber("toBeLessThanOrEqual");
+            check("toBeLessThanOrEqual", actual <= expected, expected, { message: `Expected: ${negated ? "not " : ""}<= ${expected}\nReceived: ${actual}` });
+        },
+
+        // Inclusive range check
+        toBeWithin(min, max) {
+            requireNumber("toBeWithin");
+            check("toBeWithin", actual >= min && actual <= max, [min, max], {
+                args: `${min}, ${max}`,
+                message: `Expected: ${negated ? "not " : ""}within [${min}, ${max}]\nReceived: ${actual}`
+            });
+        },
+
+        toBeCloseTo(expected, digits) {
+            requireNumber("toBeCloseTo");
+            const precision = digits === undefined ? 2 : digits;
+            check("toBeCloseTo", Math.abs(expected - actual) < Math.pow(10, -precision) / 2, expected, {
+                message: `Expected: ${negated ? "not " : ""}${expected} (to ${precision} digits)\nReceived: ${actual}`
+            });
+        },
+
+        // Array item (deep equality) or substring
+        toContain(item) {
+            let pass = false;
+            if (typeof actual === "string") {
+                pass = actual.indexOf(item) !== -1;
+            } else if (actual && typeof actual.length === "number") {
+                pass = Array.prototype.some.call(actual, element => deepEqual(item, element));
+            }
+            check("toContain", pass, item);
+        },
+
+        toHaveLength(length) {
+            const received = actual !== null && actual !== undefined ? actual.length : undefined;
+            check("toHaveLength", received === length, length, {
+                message: `Expected length: ${negated ? "not " : ""}${length}\nReceived length: ${received}`,
+                actual: received
+            });
+        },
+
+        // Property path exists (and deep-equals value when given)
+        toHaveProperty(path, value) {
+            const result = readPath(actual, path);
+            const hasValue = arguments.length > 1;
+            const pass = result.found && (!hasValue || deepEqual(value, result.value));
+            check("toHaveProperty", pass, hasValue ? value : path, {
+                args: hasValue ? `${stringify(path)}, ${stringify(value)}` : stringify(path),
+                message: !result.found ? `Property ${stringify(path)} ${negated ? "exists" : "does not exist"} in ${stringify(actual)}` :
+                    `Property ${stringify(path)}\nExpected: ${negated ? "not " : ""}${hasValue ? stringify(value) : "to exist"}\nReceived: ${stringify(result.value)}`,
+                actual: result.found ? result.value : undefined
+            });
+        },
+
+        toMatch(pattern) {
+            const regex = pattern instanceof RegExp ? pattern : new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+            check("toMatch", typeof actual === "string" && regex.test(actual), String(regex));
+        },
+
+        // JSON-schema subset, see schema_validator.js
+        toMatchSchema(schema) {
+            const errors = validate(actual, schema);
+            check("toMatchSchema", errors.length === 0, schema, {
+                args: "schema",
+                message: negated ? `Expected value not to match the schema: ${stringify(actual)}` :
+                    `Schema violations:\n${formatErrors(errors).split("\n").map(line => "  " + line).join("\n")}`,
+                actual: errors.length > 0 ? errors : actual
+            });
+        },
+
+        // actual is a function (or the rejection reason for .rejects)
+        toThrow(expected) {
+            let error = null;
+            let threw = false;
+            if (thrown) {
+                threw = true;
+                error = actual;
+            } else {
+                if (typeof actual !== "function") {
+                    throw new AssertionError(`${prefix}.toThrow()\n\nReceived value must be a function, got ${typeOf(actual)}`, {
+                        expected: "function",
+                        actual: typeOf(actual),
+                        operator: "toThrow"
+                    });
+                }
+                try {
+                    actual();
+                } catch (e) {
+                    threw = true;
+                    error = e;
+                }
+            }
+
+            const pass = threw && errorMatches(error, expected);
+            const expectedValue = typeof expected === "function" ? expected.name : expected;
+            check("toThrow", pass, expectedValue === undefined ? "error" : expectedValue, {
+                args: expected === undefined ? "" : stringify(expected),
+                message: `Expected: ${negated ? "not " : ""}${describeExpectedError(expected)}\n` +
+                    `Received: ${threw ? stringify(error) : "no error thrown"}`,
+                actual: threw ? stringify(error) : "no error thrown"
+            });
+        }
+    };
+}
+
+// Wraps every matcher so it awaits the promise first
+function createAsyncMatchers(promise, negated, mode) {
+    const label = `expect(received).${mode}`;
+    const names = Object.keys(createMatchers(undefined, false, label, false));
+    const matchers = {};
+
+    names.forEach(name => {
+        matchers[name] = async function() {
+            const args = arguments;
+            let value;
+            let rejected = false;
+            try {
+                value = await promise;
+            } catch (e) {
+                rejected = true;
+                value = e;
+            }
+
+            if (mode === "resolves" && rejected) {
+                throw new AssertionError(`${label}.${name}()\n\nExpected promise to resolve, but it rejected with ${stringify(value)}`, {
+                    expected: "resolved promise",
+                    actual: stringify(value),
+                    operator: "resolves"
+                });
+            }
+            if (mode === "rejects" && !rejected) {
+                throw new AssertionError(`${label}.${name}()\n\nExpected promise to reject, but it resolved with ${stringify(value)}`, {
+                    expected: "rejected promise",
+                    actual: value,
+                    operator: "rejects"
+                });
+            }
+            return createMatchers(value, negated, label, mode === "rejects")[name].apply(null, args);
+        };
+    });
+
+    return matchers;
+}
+
+// Entry point: expect(value).matcher(...)
+function expect(actual) {
+    const matchers = createMatchers(actual, false, "expect(received)", false);
+    matchers.not = createMatchers(actual, true, "expect(received)", false);
+
+    Object.defineProperty(matchers, "resolves", {
+        get: () => {
+            const resolved = createAsyncMatchers(actual, false, "resolves");
+            resolved.not = createAsyncMatchers(actual, true, "resolves");
+            return resolved;
+        }
+    });
+    Object.defineProperty(matchers, "rejects", {
+        get: () => {
+            const rejected = createAsyncMatchers(actual, false, "rejects");
+            rejected.not = createAsyncMatchers(actual, true, "rejects");
+            return rejected;
+        }
+    });
+
+    return matchers;
+}
+
+module.exports = {
+    expect: expect,
+    deepEqual: deepEqual,
+    diffValues: diffValues,
+    AssertionError: AssertionError
+};
@@ -0,0 +1,173 @@
+/**
+ * Benchmark Result History for CustomAutoJS Tests
+ *
+ * Keeps the scores of every monitor.runBenchmark() run in a JSON file, keyed
+ * by device model and app version:
+ *
+ *   { "devices": { "Pixel 6": { "1.4.0": [ { timestamp, cpuScore, ... } ] } } }
+ *
+ * Runs older than benchmarkConfig.resultExpirationDays are dropped. A new
+ * run is compared with the rolling baseline, the most recent runs on the same
+ * device model across app versions, so a slower app version shows up as a
+ * regression of the scores (higher is better) when the score is both
+ * - more than zThreshold standard deviations below the baseline mean, and
+ * - more than minDropPercent below it, so tiny drops on a very stable
+ *   baseline don't count.
+ */
+
+// Scores compared with the baseline; higher is better
+const BENCHMARK_METRICS = ["cpuScore", "memoryScore", "combinedScore"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createHistory() {
+    return { devices: {} };
+}
+
+// History from the file contents; empty contents start a new history
+function parseHistory(text) {
+    if (!text || !text.trim()) {
+        return createHistory();
+    }
+    const history = JSON.parse(text);
+    if (!history || typeof history.devices !== "object" || history.devices === null) {
+        throw new Error("Benchmark history has no \"devices\" object");
+    }
+    return history;
+}
+
+// Every run as { deviceModel, appVersion, run }
+function listRuns(history) {
+    const runs = [];
+    Object.keys(history.devices).forEach(deviceModel => {
+        const versions = history.devices[deviceModel];
+        Object.keys(versions).forEach(appVersion => {
+            versions[appVersion].forEach(run => {
+                runs.push({ deviceModel: deviceModel, appVersion: appVersion, run: run });
+            });
+        });
+    });
+    return runs;
+}
+
+/**
+ * Drops runs older than expirationDays (0 keeps everything) and empty keys;
+ * returns the number of dropped runs.
+ */
+function pruneHistory(history, expirationDays, now) {
+    if (!expirationDays) {
+        return 0;
+    }
+    const cutoff = now - expirationDays * DAY_MS;
+    let removed = 0;
+    Object.keys(history.devices).forEach(deviceModel => {
+        const versions = history.devices[deviceModel];
+        Object.keys(versions).forEach(appVersion => {
+            const kept = versions[appVersion].filter(run => run.timestamp >= cutoff);
+            removed += versions[appVersion].length - kept.length;
+            if (kept.length > 0) {
+                versions[appVersion] = kept;
+            } else {
+                delete versions[appVersion];
+            }
+        });
+        if (Object.keys(versions).length === 0) {
+            delete history.devices[deviceModel];
+        }
+    });
+    return removed;
+}
+
+// Adds a run ({ timestamp, cpuScore, memoryScore, combinedScore, performanceClass, ... })
+function recordRun(history, deviceModel, appVersion, run) {
+    const versions = history.devices[deviceModel] || (history.devices[deviceModel] = {});
+    (versions[appVersion] || (versions[appVersion] = [])).push(run);
+}
+
+// The most recent `limit` runs on a device model across app versions, newest first
+function baselineRuns(history, deviceModel, limit) {
+    return listRuns(history)
+        .filter(item => item.deviceModel === deviceModel)
+        .sort((a, b) => b.run.timestamp - a.run.timestamp)
+        .slice(0, limit);
+}
+
+// Mean and sample standard deviation
+function summarize(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.length > 1
+        ? values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (values.length - 1)
+        : 0;
+    return { count: values.length, mean: mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Compares a benchmark result with baseline runs (from baselineRuns()).
+ * options: { minBaselineRuns, zThreshold, minDropPercent }. Returns
+ * { baselineRuns, baselineVersions, sufficient, comparisons, regressions },
+ * each comparison being { metric, current, mean, stdDev, changePercent,
+ * zScore, regression } (zScore is null for a drop on a baseline without
+ * variance); with fewer than minBaselineRuns runs nothing is flagged
+ * (sufficient: false).
+ */
+function compareWithBaseline(result, baseline, options) {
+    const sufficient = baseline.length >= options.minBaselineRuns;
+    const versions = [];
+    baseline.forEach(item => {
+        if (versions.indexOf(item.appVersion) === -1) {
+            versions.push(item.appVersion);
+        }
+    });
+
+    const comparisons = BENCHMARK_METRICS
+        .filter(metric => typeof result[metric] === "number")
+        .map(metric => {
+            const values = baseline.map(item => item.run[metric]).filter(value => typeof value === "number");
+            if (values.length === 0) {
+                return { metric: metric, current: result[metric], mean: null, stdDev: null,
+                    changePercent: null, zScore: null, regression: false };
+            }
+            const stats = summarize(values);
+            const drop = stats.mean - result[metric];
+            const changePercent = stats.mean !== 0 ? -drop * 100 / stats.mean : 0;
+            // A drop on a baseline without variance is as significant as it gets
+            const zScore = stats.stdDev > 0 ? drop / stats.stdDev : (drop > 0 ? Infinity : 0);
+            return {
+                metric: metric,
+                current: result[metric],
+                mean: stats.mean,
+                stdDev: stats.stdDev,
+                changePercent: changePercent,
+                zScore: isFinite(zScore) ? zScore : null,
+                regression: sufficient && values.length >= options.minBaselineRuns &&
+                    zScore > options.zThreshold && -changePercent > options.minDropPercent
+            };
+        });
+
+    return {
+        baselineRuns: baseline.length,
+        baselineVersions: versions,
+        sufficient: sufficient,
+        comparisons: comparisons,
+        regressions: comparisons.filter(comparison => comparison.regression)
+    };
+}
+
+// e.g. "combinedScore 4200 is 16.0% below the baseline mean 5000 (z = 3.20)"
+function describeRegression(comparison) {
+    const z = comparison.zScore === null ? "no baseline variance" : `z = ${comparison.zScore.toFixed(2)}`;
+    return `${comparison.metric} ${comparison.current} is ${(-comparison.changePercent).toFixed(1)}% ` +
+        `below the baseline mean ${comparison.mean.toFixed(0)} (${z})`;
+}
+
+module.exports = {
+    BENCHMARK_METRICS: BENCHMARK_METRICS,
+    createHistory: createHistory,
+    parseHistory: parseHistory,
+    pruneHistory: pruneHistory,
+    recordRun: recordRun,
+    baselineRuns: baselineRuns,
+    summarize: summarize,
+    compareWithBaseline: compareWithBaseline,
+    describeRegression: describeRegression
+};
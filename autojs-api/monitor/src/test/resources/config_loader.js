@@ -0,0 +1,413 @@
+/**
+ * Configuration Loader for the CustomAutoJS JavaScript Tests
+ *
+ * Builds the runner configuration from, in increasing order of precedence:
+ *
+ * 1. The runner's defaults
+ * 2. test_config.json, the file shared with the Kotlin tests, mapped from its
+ *    `testConfig.*` layout onto runner keys (see CONFIG_JSON_MAPPING)
+ * 3. Environment variables: AUTOJS_TEST_<KEY>[__<NESTED_KEY>...], e.g.
+ *    AUTOJS_TEST_TEST_TIMEOUT=60000 or AUTOJS_TEST_STRESS_TEST__THREADS=8
+ * 4. Overrides in runner layout, i.e. test_config.js as generated by
+ *    run_tests.sh or by the headless host's --set options
+ *
+ * Objects are merged deeply. Keys that neither the mapping nor the defaults
+ * know about are reported as warnings instead of being silently ignored.
+ * test_config.json is validated against test_config.schema.json and the
+ * merged result against the runner's schema; violations are reported as
+ * errors naming the key and where its value came from. Mapped keys on which
+ * the two schemas disagree are errors too (see config_schema.js).
+ */
+
+const { validate } = require('./schema_validator.js');
+const { findSchemaDrift } = require('./config_schema.js');
+
+const DEFAULT_CONFIG_FILE = "./test_config.json";
+
+const DEFAULT_SCHEMA_FILE = "./test_config.schema.json";
+
+const ENV_PREFIX = "AUTOJS_TEST_";
+
+// test_config.json path -> runner config path
+const CONFIG_JSON_MAPPING = {
+    "testConfig.javascriptTests.showUi": "showUiTests",
+    "testConfig.javascriptTests.runLongTests": "runLongTests",
+    "testConfig.javascriptTests.testDelay": "testDelay",
+    "testConfig.javascriptTests.testTimeout": "testTimeout",
+    "testConfig.javascriptTests.retries": "retry.retries",
+    "testConfig.javascriptTests.quarantine": "quarantine",
+    "testConfig.javascriptTests.includeTags": "testFilter.includeTags",
+    "testConfig.javascriptTests.excludeTags": "testFilter.excludeTags",
+    "testConfig.javascriptTests.tagExpression": "testFilter.tagExpression",
+    "testConfig.javascriptTests.namePatterns": "testFilter.namePatterns",
+    "testConfig.unitTests.includeTags": "testFilter.byTestType.unit.includeTags",
+    "testConfig.unitTests.excludeTags": "testFilter.byTestType.unit.excludeTags",
+    "testConfig.integrationTests.includeTags": "testFilter.byTestType.integration.includeTags",
+    "testConfig.integrationTests.excludeTags": "testFilter.byTestType.integration.excludeTags",
+
+    "testConfig.benchmarkTests.enabled": "runBenchmarkTests",
+    "testConfig.benchmarkTests.skipOnLowBattery": "deviceGuards.skipOnLowBattery",
+    "testConfig.benchmarkTests.minBatteryLevel": "deviceGuards.minBatteryLevel",
+    "testConfig.benchmarkTests.requireCharging": "deviceGuards.requireCharging",
+    "testConfig.benchmarkTests.skipWhenHot": "deviceGuards.skipWhenHot",
+    "testConfig.benchmarkTests.maxWaitForDeviceMs": "deviceGuards.maxWaitMs",
+    "testConfig.benchmarkTests.timeoutMs": "benchmarkTest.timeoutMs",
+    "benchmarkConfig.resultExpirationDays": "benchmarkTest.resultExpirationDays",
+
+    "testConfig.visualTests.enabled": "visualTest.enabled",
+    "testConfig.visualTests.showAdvancedOptions": "visualTest.showAdvancedOptions",
+    "testConfig.visualTests.fullScreenMode": "visualTest.fullScreenMode",
+    "testConfig.visualTests.showMockControls": "visualTest.showMockControls",
+    "testConfig.visualTests.animationsEnabled": "visualTest.animationsEnabled",
+    "testConfig.visualTests.themeColor": "visualTest.themeColor",
+
+    "testConfig.performanceTests.enabled": "performanceTest.enabled",
+    "testConfig.performanceTests.iterations": "performanceTest.iterations",
+    "testConfig.performanceTests.warmupIterations": "performanceTest.warmupIterations",
+    "testConfig.performanceTests.recommendationCount": "performanceTest.recommendationCount",
+
+    "testConfig.stressTests.enabled": "stressTest.enabled",
+    "testConfig.stressTests.concurrentThreads": "stressTest.threads",
+    "testConfig.stressTests.iterationsPerThread": "stressTest.iterationsPerThread",
+    "testConfig.stressTests.randomSeed": "stressTest.randomSeed",
+    "testConfig.stressTests.maxRecommendations": "stressTest.maxRecommendations",
+    "testConfig.stressTests.stressTimeSeconds": "stressTest.stressTimeSeconds",
+
+    "testConfig.memoryTests.enabled": "memoryTest.enabled",
+    "testConfig.memoryTests.leakTests.iterations": "memoryTest.iterations",
+    "testConfig.memoryTests.leakTests.gcCycles": "memoryTest.gcCycles",
+    "testConfig.memoryTests.leakTests.memoryThresholdPercent": "memoryTest.memoryThresholdPercent",
+    "testConfig.memoryTests.leakTests.pauseForVisualGcMs": "memoryTest.pauseForGcMs",
+
+    "testConfig.performanceTests.longRunningTestDuration": "soakTest.durationSeconds",
+    "testConfig.memoryTests.leakTests.longRunningIterations": "soakTest.maxCycles",
+
+    "recommendationConfig.temperatureThresholds.high": "deviceGuards.maxTemperature",
+
+    "visualizationConfig.colors": "visualization.colors"
+};
+
+// test_config.json entries only the Kotlin tests (or the headless fake monitor) read;
+// a prefix covers everything below it
+const NON_RUNNER_KEYS = [
+    "$schema",
+    "testConfig.unitTests.enabled",
+    "testConfig.unitTests.timeoutMs",
+    "testConfig.integrationTests.enabled",
+    "testConfig.integrationTests.timeoutMs",
+    "testConfig.qualityTests",
+    "testConfig.javascriptTests.enabled",
+    "testConfig.performanceTests.concurrentBenchmarkDuration",
+    "testConfig.performanceTests.reportDetailLevel",
+    "testConfig.stressTests.maxDeviceStateChanges",
+    "testConfig.stressTests.extremeConditions",
+    "testConfig.stressTests.extremeConditionThreshold",
+    "testConfig.memoryTests.leakTests.testJavaScriptBridge",
+    "testConfig.memoryTests.leakTests.collectHeapDumps",
+    "testConfig.memoryTests.leakTests.trackAllocationsSamples",
+    "benchmarkConfig.cpuTestIterations",
+    "benchmarkConfig.memoryTestSize",
+    "benchmarkConfig.scoringAdjustment",
+    "benchmarkConfig.storageTestFileSizeMb",
+    "benchmarkConfig.networkTestTimeoutMs",
+    "benchmarkConfig.uiRenderingTestFrames",
+    "benchmarkConfig.batteryTestDurationMinutes",
+    "recommendationConfig.batteryThresholds",
+    "recommendationConfig.temperatureThresholds.elevated",
+    "recommendationConfig.temperatureThresholds.overheating",
+    "recommendationConfig.memoryThresholds",
+    "recommendationConfig.storageThresholds",
+    "recommendationConfig.benchmarkAgeForRenewalDays",
+    "recommendationConfig.autoOptimizationEnabled",
+    "recommendationConfig.autoOptimizationAggressiveness",
+    "recommendationConfig.notificationThreshold",
+    "visualizationConfig.refreshRateMs",
+    "visualizationConfig.historyLengthPoints",
+    "visualizationConfig.chartAnimationEnabled",
+    "visualizationConfig.darkModeEnabled",
+    "visualizationConfig.dataPointSize",
+    "visualizationConfig.lineWidth",
+    "visualizationConfig.showGridLines"
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Merges source into target, recursing into objects present on both sides; arrays are replaced
+function deepMerge(target, source) {
+    Object.keys(source || {}).forEach(key => {
+        if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+            deepMerge(target[key], source[key]);
+        } else if (isPlainObject(source[key])) {
+            target[key] = deepMerge({}, source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    });
+    return target;
+}
+
+function getPath(object, path) {
+    return path.split(".").reduce((value, key) => isPlainObject(value) ? value[key] : undefined, object);
+}
+
+function setPath(object, path, value) {
+    const keys = path.split(".");
+    let target = object;
+    keys.slice(0, -1).forEach(key => {
+        if (!isPlainObject(target[key])) {
+            target[key] = {};
+        }
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+}
+
+function isNonRunnerKey(path) {
+    return NON_RUNNER_KEYS.some(prefix => path === prefix || path.indexOf(prefix + ".") === 0);
+}
+
+/**
+ * Maps parsed test_config.json onto runner keys.
+ * Returns { values, warnings }; warnings name the JSON keys nothing reads.
+ */
+function mapConfigJson(json) {
+    const values = {};
+    const warnings = [];
+
+    const visit = (node, path) => {
+        Object.keys(node).forEach(key => {
+            const childPath = path ? `${path}.${key}` : key;
+            if (Object.prototype.hasOwnProperty.call(CONFIG_JSON_MAPPING, childPath)) {
+                setPath(values, CONFIG_JSON_MAPPING[childPath], node[key]);
+            } else if (isNonRunnerKey(childPath)) {
+                return;
+            } else if (isPlainObject(node[key])) {
+                visit(node[key], childPath);
+            } else {
+                warnings.push(`Unknown key in test_config.json: ${childPath}`);
+            }
+        });
+    };
+    visit(isPlainObject(json) ? json : {}, "");
+
+    return { values: values, warnings: warnings };
+}
+
+// Paths of the non-object values in a config tree, e.g. ["stressTest.threads", "testType"]
+function listLeafPaths(values, path) {
+    const paths = [];
+    Object.keys(values || {}).forEach(key => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (isPlainObject(values[key]) && Object.keys(values[key]).length > 0) {
+            paths.push.apply(paths, listLeafPaths(values[key], childPath));
+        } else {
+            paths.push(childPath);
+        }
+    });
+    return paths;
+}
+
+// Runner paths in overrides that have no default, e.g. "stressTest.thread" for a typo of "threads"
+function findUnknownKeys(overrides, defaults, path) {
+    const unknown = [];
+    Object.keys(overrides || {}).forEach(key => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+            unknown.push(childPath);
+        } else if (isPlainObject(overrides[key]) && isPlainObject(defaults[key])) {
+            unknown.push.apply(unknown, findUnknownKeys(overrides[key], defaults[key], childPath));
+        }
+    });
+    return unknown;
+}
+
+// Parses a value as JSON, falling back to the plain string
+function parseValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return raw;
+    }
+}
+
+// Finds the default key a segment such as STRESS_TEST refers to (case and underscores ignored)
+function matchKey(segment, defaults) {
+    const normalized = segment.replace(/_/g, "").toLowerCase();
+    return Object.keys(defaults).find(key => key.toLowerCase() === normalized);
+}
+
+/**
+ * Reads AUTOJS_TEST_* variables into runner layout.
+ * Returns { values, variables, warnings }: variables maps each runner path to
+ * the variable that set it; variables that match no default key are warnings.
+ */
+function readEnvOverrides(env, defaults) {
+    const values = {};
+    const variables = {};
+    const warnings = [];
+
+    Object.keys(env || {}).filter(name => name.indexOf(ENV_PREFIX) === 0).sort().forEach(name => {
+        const segments = name.slice(ENV_PREFIX.length).split("__");
+        const keys = [];
+        let node = defaults;
+        for (let i = 0; i < segments.length; i++) {
+            const key = isPlainObject(node) ? matchKey(segments[i], node) : undefined;
+            if (!key) {
+                warnings.push(`Environment variable ${name} does not match a config key`);
+                return;
+            }
+            keys.push(key);
+            node = node[key];
+        }
+        setPath(values, keys.join("."), parseValue(env[name]));
+        variables[keys.join(".")] = name;
+    });
+
+    return { values: values, variables: variables, warnings: warnings };
+}
+
+// Environment of the current process: Node.js, or the Java process on device
+function getEnvironment() {
+    if (typeof process !== 'undefined' && process.env) {
+        return process.env;
+    }
+    const env = {};
+    if (typeof java !== 'undefined') {
+        const entries = java.lang.System.getenv().entrySet().toArray();
+        for (let i = 0; i < entries.length; i++) {
+            env[String(entries[i].getKey())] = String(entries[i].getValue());
+        }
+    }
+    return env;
+}
+
+// Reads and parses a JSON file through the AutoJS files API; null when it does not exist
+function readConfigJson(path) {
+    if (typeof files === 'undefined' || !files.exists(path)) {
+        return null;
+    }
+    return JSON.parse(files.read(path));
+}
+
+// Where the value at path came from, checking parent paths for values set as a whole object
+function findSource(sources, path) {
+    for (let current = path; current; current = current.slice(0, Math.max(current.lastIndexOf("."), 0))) {
+        if (sources[current]) {
+            return sources[current];
+        }
+    }
+    return "defaults";
+}
+
+/**
+ * Builds the configuration from defaults, test_config.json, the environment and overrides.
+ * - defaults: runner defaults; not modified
+ * - options.overrides: runner-layout overrides (test_config.js)
+ * - options.overridesSource: name of the overrides in sources and messages (default "overrides")
+ * - options.configFile: test_config.json path, else overrides.configFile, else ./test_config.json
+ * - options.schemaFile: schema for test_config.json (default ./test_config.schema.json)
+ * - options.schema: schema the merged configuration must match, and that
+ *   test_config.schema.json must agree with on every mapped key
+ * - options.env: environment variables, defaults to the process environment
+ * - options.warnUnknown: report unknown override/environment keys (default true)
+ * Returns { config, sources, warnings, errors, configFile }: sources maps every
+ * value that differs from the defaults to where it was set, configFile is null
+ * when no JSON file was read.
+ */
+function loadConfig(defaults, options) {
+    options = options || {};
+    const overrides = options.overrides || {};
+    const overridesSource = options.overridesSource || "overrides";
+    const warnUnknown = options.warnUnknown !== false;
+    const warnings = [];
+    const errors = [];
+
+    const env = readEnvOverrides(options.env || getEnvironment(), defaults);
+    if (warnUnknown) {
+        warnings.push.apply(warnings, env.warnings);
+    }
+
+    const configFile = options.configFile || getPath(overrides, "configFile") ||
+        getPath(env.values, "configFile") || DEFAULT_CONFIG_FILE;
+    let json = null;
+    try {
+        json = readConfigJson(configFile);
+    } catch (e) {
+        errors.push(`${configFile}: ${e.message}`);
+    }
+
+    if (json) {
+        const schemaFile = options.schemaFile || DEFAULT_SCHEMA_FILE;
+        let jsonSchema = null;
+        try {
+            jsonSchema = readConfigJson(schemaFile);
+        } catch (e) {
+            warnings.push(`Could not read ${schemaFile}: ${e.message}`);
+        }
+        if (jsonSchema) {
+            validate(json, jsonSchema).forEach(error => {
+                errors.push(`${configFile}: ${error.path}: ${error.message}`);
+            });
+            if (options.schema) {
+                findSchemaDrift(jsonSchema, options.schema, CONFIG_JSON_MAPPING).forEach(problem => {
+                    errors.push(`${schemaFile} disagrees with the runner schema: ${problem}`);
+                });
+            }
+        } else {
+            warnings.push(`${schemaFile} not found, ${configFile} is not validated`);
+        }
+    }
+
+    const mapped = mapConfigJson(json);
+    warnings.push.apply(warnings, mapped.warnings);
+
+    if (warnUnknown) {
+        findUnknownKeys(overrides, defaults, "").forEach(path => {
+            warnings.push(`Unknown config key in ${overridesSource}: ${path}`);
+        });
+    }
+
+    // Later layers win; sources records which layer set each value
+    const sources = {};
+    const config = deepMerge({}, defaults);
+    deepMerge(config, mapped.values);
+    listLeafPaths(mapped.values).forEach(path => {
+        sources[path] = configFile;
+    });
+    deepMerge(config, env.values);
+    listLeafPaths(env.values).forEach(path => {
+        sources[path] = env.variables[path];
+    });
+    deepMerge(config, overrides);
+    listLeafPaths(overrides).forEach(path => {
+        sources[path] = overridesSource;
+    });
+
+    if (options.schema) {
+        validate(config, options.schema).forEach(error => {
+            errors.push(`${error.path}: ${error.message} (set in ${findSource(sources, error.path)})`);
+        });
+    }
+
+    return {
+        config: config,
+        sources: sources,
+        warnings: warnings,
+        errors: errors,
+        configFile: json ? configFile : null
+    };
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE: DEFAULT_CONFIG_FILE,
+    DEFAULT_SCHEMA_FILE: DEFAULT_SCHEMA_FILE,
+    ENV_PREFIX: ENV_PREFIX,
+    CONFIG_JSON_MAPPING: CONFIG_JSON_MAPPING,
+    loadConfig: loadConfig,
+    mapConfigJson: mapConfigJson,
+    readEnvOverrides: readEnvOverrides,
+    findUnknownKeys: findUnknownKeys,
+    deepMerge: deepMerge
+};
@@ -0,0 +1,369 @@
+/**
+ * Configuration Schemas for the CustomAutoJS JavaScript Tests
+ *
+ * The runner's configuration comes in two layouts, each with a schema:
+ *
+ * - test_config.json, shared with the Kotlin tests: test_config.schema.json
+ * - the resolved runner configuration (DEFAULT_CONFIG in test_runner.js with
+ *   everything config_loader.js merges in): createConfigSchema()
+ *
+ * CONFIG_JSON_MAPPING in config_loader.js ties keys of the first layout to
+ * keys of the second. findSchemaDrift() lists mapped keys that one schema
+ * lacks, or for which test_config.schema.json accepts a type or range the
+ * runner schema rejects, so the two schemas can't silently disagree.
+ */
+
+const { resolveRef } = require('./schema_validator.js');
+
+const positiveInteger = { type: "integer", minimum: 1 };
+const nonNegativeNumber = { type: "number", minimum: 0 };
+const color = { type: "string", pattern: "^#([0-9A-Fa-f]{6}|[0-9A-Fa-f]{8})$" };
+const stringList = { type: "array", items: { type: "string", minLength: 1 } };
+const tagFilter = {
+    type: "object",
+    properties: {
+        includeTags: stringList,
+        excludeTags: stringList
+    }
+};
+
+// Types and ranges of the resolved configuration, checked before any test runs;
+// testTypes are the values config.testType may take
+function createConfigSchema(testTypes) {
+    return {
+        type: "object",
+        properties: {
+            configFile: { type: "string", minLength: 1 },
+            testType: { enum: testTypes },
+            testFilter: {
+                type: "object",
+                properties: {
+                    includeTags: stringList,
+                    excludeTags: stringList,
+                    tagExpression: { type: ["string", "null"] },
+                    namePatterns: stringList,
+                    byTestType: {
+                        type: "object",
+                        additionalProperties: tagFilter
+                    }
+                }
+            },
+            showUiTests: { type: "boolean" },
+            runLongTests: { type: "boolean" },
+            runBenchmarkTests: { type: "boolean" },
+            benchmarkTest: {
+                type: "object",
+                properties: {
+                    timeoutMs: positiveInteger,
+                    historyPath: { type: ["string", "null"] },
+                    resultExpirationDays: { type: "integer", minimum: 0 },
+                    baselineRuns: { type: "integer", minimum: 1 },
+                    minBaselineRuns: { type: "integer", minimum: 1 },
+                    zThreshold: { type: "number", minimum: 0 },
+                    minDropPercent: { type: "number", minimum: 0 },
+                    failOnRegression: { type: "boolean" }
+                }
+            },
+            deviceGuards: {
+                type: "object",
+                properties: {
+                    guardedTags: stringList,
+                    skipOnLowBattery: { type: "boolean" },
+                    minBatteryLevel: { type: "number", minimum: 0, maximum: 100 },
+                    requireCharging: { type: "boolean" },
+                    skipWhenHot: { type: "boolean" },
+                    maxTemperature: { type: "number" },
+                    maxWaitMs: { type: "integer", minimum: 0 },
+                    pollIntervalMs: positiveInteger
+                }
+            },
+            runStressTests: { type: "boolean" },
+            runMemoryTests: { type: "boolean" },
+            runPerformanceTests: { type: "boolean" },
+            runVisualTests: { type: "boolean" },
+            testDelay: { type: "integer", minimum: 0 },
+            testTimeout: positiveInteger,
+            retry: {
+                type: "object",
+                properties: {
+                    retries: { type: "integer", minimum: 0 },
+                    byTag: { type: "object", additionalProperties: { type: "integer", minimum: 0 } },
+                    backoffMs: { type: "integer", minimum: 0 },
+                    backoffFactor: { type: "number", minimum: 1 },
+                    maxBackoffMs: { type: "integer", minimum: 0 }
+                }
+            },
+            quarantine: {
+                type: "array",
+                items: {
+                    anyOf: [
+                        { type: "string", minLength: 1 },
+                        {
+                            type: "object",
+                            required: ["test"],
+                            properties: {
+                                test: { type: "string", minLength: 1 },
+                                reason: { type: "string" }
+                            }
+                        }
+                    ]
+                }
+            },
+            shard: {
+                type: "object",
+                properties: {
+                    index: { type: "integer", minimum: 0 },
+                    count: { type: "integer", minimum: 1 },
+                    label: { type: ["string", "null"] }
+                }
+            },
+            ciMode: { type: "boolean" },
+            skipPrompts: { type: "boolean" },
+            performanceTest: {
+                type: "object",
+                properties: {
+                    enabled: { type: "boolean" },
+                    iterations: positiveInteger,
+                    warmupIterations: { type: "integer", minimum: 0 },
+                    recommendationCount: positiveInteger,
+                    renderFrames: positiveInteger,
+                    apiMethods: { type: "array", items: { type: "string" } },
+                    outlierFence: nonNegativeNumber,
+                    apiBudgets: {
+                        type: "object",
+                        additionalProperties: {
+                            type: "object",
+                            properties: {
+                                meanMs: nonNegativeNumber,
+                                p50Ms: nonNegativeNumber,
+                                p90Ms: nonNegativeNumber,
+                                p99Ms: nonNegativeNumber,
+                                maxMs: nonNegativeNumber
+                            },
+                            additionalProperties: false
+                        }
+                    },
+                    recommendationBudgetMs: nonNegativeNumber,
+                    recommendationMaxBudgetMs: nonNegativeNumber,
+                    cardInflationBudgetMs: nonNegativeNumber,
+                    renderFrameBudgetMs: nonNegativeNumber,
+                    baseline: {
+                        type: "object",
+                        properties: {
+                            path: { type: ["string", "null"] },
+                            update: { type: "boolean" },
+                            tolerancePercent: nonNegativeNumber,
+                            minDeltaMs: nonNegativeNumber,
+                            compareStats: { type: "array", items: { type: "string" } }
+                        }
+                    }
+                }
+            },
+            stressTest: {
+                type: "object",
+                properties: {
+                    enabled: { type: "boolean" },
+                    threads: positiveInteger,
+                    iterationsPerThread: positiveInteger,
+                    randomSeed: { type: "integer" },
+                    maxRecommendations: positiveInteger,
+                    stressTimeSeconds: { type: "number", exclusiveMinimum: 0 },
+                    maxErrorRate: { type: "number", minimum: 0, maximum: 1 },
+                    minCallsPerSecond: nonNegativeNumber,
+                    heavyLoadBudgetMs: nonNegativeNumber
+                }
+            },
+            memoryTest: {
+                type: "object",
+                properties: {
+                    enabled: { type: "boolean" },
+                    iterations: positiveInteger,
+                    gcCycles: { type: "integer", minimum: 0 },
+                    memoryThresholdPercent: nonNegativeNumber,
+                    pauseForGcMs: { type: "integer", minimum: 0 }
+                }
+            },
+            soakTest: {
+                type: "object",
+                properties: {
+                    enabled: { type: "boolean" },
+                    durationSeconds: { type: "number", exclusiveMinimum: 0 },
+                    maxCycles: positiveInteger,
+                    cyclePauseMs: { type: "integer", minimum: 0 },
+                    benchmarkEveryCycles: { type: "integer", minimum: 0 },
+                    snapshotIntervalSeconds: { type: "number", exclusiveMinimum: 0 },
+                    timeSeriesPath: { type: ["string", "null"] },
+                    maxMemoryDriftPercent: nonNegativeNumber,
+                    maxLatencyDriftPercent: nonNegativeNumber,
+                    minLatencyDriftMs: nonNegativeNumber,
+                    maxErrorRate: { type: "number", minimum: 0, maximum: 1 }
+                }
+            },
+            fuzzTest: {
+                type: "object",
+                properties: {
+                    enabled: { type: "boolean" },
+                    seed: { type: ["integer", "null"] },
+                    cases: positiveInteger,
+                    caseSeed: { type: ["integer", "null"], minimum: 0 },
+                    maxRecommendations: { type: "integer", minimum: 0 },
+                    maxStringLength: positiveInteger
+                }
+            },
+            propertyTest: {
+                type: "object",
+                properties: {
+                    seed: { type: ["integer", "null"] },
+                    runs: positiveInteger,
+                    maxListLength: { type: "integer", minimum: 0 },
+                    maxShrinkSteps: { type: "integer", minimum: 0 }
+                }
+            },
+            contractTest: {
+                type: "object",
+                properties: {
+                    apiSnapshotPath: { type: ["string", "null"] },
+                    failOnBreakingDrift: { type: "boolean" }
+                }
+            },
+            visualTest: {
+                type: "object",
+                properties: {
+                    enabled: { type: "boolean" },
+                    showAdvancedOptions: { type: "boolean" },
+                    fullScreenMode: { type: "boolean" },
+                    showMockControls: { type: "boolean" },
+                    animationsEnabled: { type: "boolean" },
+                    themeColor: color
+                }
+            },
+            visualization: {
+                type: "object",
+                properties: {
+                    colors: { type: "object", additionalProperties: color }
+                }
+            },
+            reportPath: { type: ["string", "null"] }
+        }
+    };
+}
+
+function resolveNode(node, root) {
+    return node && node.$ref !== undefined ? resolveRef(node.$ref, root) : node;
+}
+
+// Schema node for a dotted key, following properties, additionalProperties and $refs; null if there is none
+function schemaAt(schema, dottedKey) {
+    let node = resolveNode(schema, schema);
+    const keys = dottedKey.split(".");
+    for (let i = 0; i < keys.length && node; i++) {
+        if (node.properties && Object.prototype.hasOwnProperty.call(node.properties, keys[i])) {
+            node = node.properties[keys[i]];
+        } else if (node.additionalProperties && typeof node.additionalProperties === "object") {
+            node = node.additionalProperties;
+        } else {
+            return null;
+        }
+        node = resolveNode(node, schema);
+    }
+    return node || null;
+}
+
+// Declared types of a node, or null when it accepts any type
+function typesOf(node) {
+    return node.type === undefined ? null : [].concat(node.type);
+}
+
+function acceptsType(types, type) {
+    return types === null || types.indexOf(type) !== -1 || (type === "integer" && types.indexOf("number") !== -1);
+}
+
+/**
+ * The lowest (direction 1) or highest (direction -1) value a node accepts as
+ * { value, exclusive }, or null when it is unbounded in that direction.
+ */
+function boundOf(node, direction) {
+    const inclusive = direction > 0 ? node.minimum : node.maximum;
+    const exclusive = direction > 0 ? node.exclusiveMinimum : node.exclusiveMaximum;
+    let bound = typeof inclusive === "number" ? { value: inclusive, exclusive: false } : null;
+    if (typeof exclusive === "number" && (!bound || direction * (exclusive - bound.value) >= 0)) {
+        bound = { value: exclusive, exclusive: true };
+    }
+
+    // For integers "> 0" is ">= 1"
+    const types = typesOf(node) || [];
+    const integerOnly = types.indexOf("integer") !== -1 && types.every(type => type === "integer" || type === "null");
+    if (bound && bound.exclusive && integerOnly) {
+        bound = { value: direction > 0 ? Math.floor(bound.value) + 1 : Math.ceil(bound.value) - 1, exclusive: false };
+    }
+    return bound;
+}
+
+// Whether the inner bound is at least as tight as the outer one
+function boundWithin(inner, outer, direction) {
+    if (!outer) {
+        return true;
+    }
+    if (!inner) {
+        return false;
+    }
+    const difference = direction * (inner.value - outer.value);
+    return difference > 0 || (difference === 0 && (inner.exclusive || !outer.exclusive));
+}
+
+// e.g. "> 0 and <= 100"
+function describeRange(node) {
+    const parts = [];
+    const lower = boundOf(node, 1);
+    const upper = boundOf(node, -1);
+    if (lower) {
+        parts.push(`${lower.exclusive ? ">" : ">="} ${lower.value}`);
+    }
+    if (upper) {
+        parts.push(`${upper.exclusive ? "<" : "<="} ${upper.value}`);
+    }
+    return parts.length > 0 ? parts.join(" and ") : "any value";
+}
+
+/**
+ * Compares the schema of test_config.json with the runner schema for every
+ * entry of mapping (test_config.json key -> runner key). Returns one message
+ * per mismatch, e.g. "testConfig.stressTests.concurrentThreads -> stressTest.threads:
+ * test_config.schema.json allows >= 0, the runner schema >= 1"; empty when they agree.
+ */
+function findSchemaDrift(jsonSchema, runnerSchema, mapping) {
+    const problems = [];
+    Object.keys(mapping).forEach(jsonKey => {
+        const runnerKey = mapping[jsonKey];
+        const jsonNode = schemaAt(jsonSchema, jsonKey);
+        const runnerNode = schemaAt(runnerSchema, runnerKey);
+        if (!jsonNode) {
+            problems.push(`${jsonKey}: missing from test_config.schema.json`);
+            return;
+        }
+        if (!runnerNode) {
+            problems.push(`${runnerKey}: missing from the runner schema (mapped from ${jsonKey})`);
+            return;
+        }
+
+        const label = `${jsonKey} -> ${runnerKey}`;
+        const jsonTypes = typesOf(jsonNode);
+        const runnerTypes = typesOf(runnerNode);
+        if (runnerTypes !== null && (jsonTypes === null || !jsonTypes.every(type => acceptsType(runnerTypes, type)))) {
+            problems.push(`${label}: test_config.schema.json allows ${jsonTypes ? jsonTypes.join(" or ") : "any type"}, ` +
+                `the runner schema ${runnerTypes.join(" or ")}`);
+            return;
+        }
+        if (!boundWithin(boundOf(jsonNode, 1), boundOf(runnerNode, 1), 1) ||
+            !boundWithin(boundOf(jsonNode, -1), boundOf(runnerNode, -1), -1)) {
+            problems.push(`${label}: test_config.schema.json allows ${describeRange(jsonNode)}, ` +
+                `the runner schema ${describeRange(runnerNode)}`);
+        }
+    });
+    return problems;
+}
+
+module.exports = {
+    createConfigSchema: createConfigSchema,
+    findSchemaDrift: findSchemaDrift
+};
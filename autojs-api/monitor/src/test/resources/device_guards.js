@@ -0,0 +1,99 @@
+/**
+ * Device Guards for CustomAutoJS Tests
+ *
+ * Pre-flight checks run before benchmark, stress and performance tests, whose
+ * results are meaningless (and which drain the device further) when:
+ *
+ * - the battery is below minBatteryLevel and not charging (skipOnLowBattery)
+ * - the device is not charging at all (requireCharging)
+ * - the battery temperature is at or above maxTemperature (skipWhenHot), by
+ *   default recommendationConfig.temperatureThresholds.high from test_config.json
+ *
+ * With maxWaitMs > 0 the guards pause and poll until the device has cooled
+ * down or charged up; a guard that still fails ends the test as skipped, with
+ * the violations as structured skip details.
+ */
+
+// Current battery level, charging state and temperature from the monitor bridge
+function readDeviceConditions(monitor) {
+    const battery = monitor.getDeviceCapabilities().batteryInfo || {};
+    return {
+        batteryLevel: battery.level,
+        isCharging: !!battery.isCharging,
+        temperature: battery.temperature
+    };
+}
+
+/**
+ * Guards the conditions violate, each as
+ * { guard: "battery"|"charging"|"temperature", message, actual, limit }.
+ */
+function checkDeviceConditions(conditions, guards) {
+    const violations = [];
+
+    if (guards.skipOnLowBattery && !conditions.isCharging &&
+        typeof conditions.batteryLevel === "number" && conditions.batteryLevel < guards.minBatteryLevel) {
+        violations.push({
+            guard: "battery",
+            message: `battery level ${conditions.batteryLevel}% is below minBatteryLevel (${guards.minBatteryLevel}%)`,
+            actual: conditions.batteryLevel,
+            limit: guards.minBatteryLevel
+        });
+    }
+
+    if (guards.requireCharging && !conditions.isCharging) {
+        violations.push({
+            guard: "charging",
+            message: "device is not charging (requireCharging)",
+            actual: false,
+            limit: true
+        });
+    }
+
+    if (guards.skipWhenHot && typeof conditions.temperature === "number" &&
+        conditions.temperature >= guards.maxTemperature) {
+        violations.push({
+            guard: "temperature",
+            message: `battery temperature ${conditions.temperature}°C is at or above maxTemperature (${guards.maxTemperature}°C)`,
+            actual: conditions.temperature,
+            limit: guards.maxTemperature
+        });
+    }
+
+    return violations;
+}
+
+/**
+ * Checks the device, pausing for up to guards.maxWaitMs while a guard fails.
+ * Resolves with { conditions, violations, waitedMs }; violations is empty
+ * when the device is ready. onWait(violations, waitedMs) is called before
+ * every pause, e.g. to show progress.
+ */
+async function waitForDeviceConditions(monitor, guards, sleep, onWait) {
+    const startTime = Date.now();
+    let conditions = readDeviceConditions(monitor);
+    let violations = checkDeviceConditions(conditions, guards);
+
+    while (violations.length > 0 && Date.now() - startTime < guards.maxWaitMs) {
+        if (onWait) {
+            onWait(violations, Date.now() - startTime);
+        }
+        await sleep(Math.min(guards.pollIntervalMs, guards.maxWaitMs - (Date.now() - startTime)));
+        conditions = readDeviceConditions(monitor);
+        violations = checkDeviceConditions(conditions, guards);
+    }
+
+    return { conditions: conditions, violations: violations, waitedMs: Date.now() - startTime };
+}
+
+// Skip reason naming every violated guard, e.g. "Device not ready: battery level 9% is below ..."
+function describeViolations(violations) {
+    return `Device not ready: ${violations.map(violation => violation.message).join("; ")}`;
+}
+
+module.exports = {
+    readDeviceConditions: readDeviceConditions,
+    checkDeviceConditions: checkDeviceConditions,
+    waitForDeviceConditions: waitForDeviceConditions,
+    describeViolations: describeViolations
+};
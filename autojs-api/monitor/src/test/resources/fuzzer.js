@@ -0,0 +1,211 @@
+/**
+ * Recommendation Fuzzer for CustomAutoJS Tests
+ *
+ * Generates random but reproducible input for the recommendation pipeline:
+ *
+ * - generateRecommendationPayload(): what getBenchmarkRecommendations() might
+ *   return from a buggy bridge: missing fields, unknown types and importances,
+ *   values of the wrong type, duplicate ids, huge and unicode strings, entries
+ *   that are not objects, or no list at all
+ * - generateDeviceState(): a state patch for the headless fake monitor
+ *   (monitor.setState()) with battery, temperature, memory and storage values
+ *   at and around the recommendation thresholds
+ *
+ * runFuzzCases() gives every case its own seed derived from the run seed, so
+ * the seed of the run replays all cases and the case seed replays one.
+ */
+
+const { createSeededRandom, deriveSeed, randomInt, pick, chance } = require('./seeded_random.js');
+const { RECOMMENDATION_TYPES, RECOMMENDATION_IMPORTANCES } = require('./recommendation_schema.js');
+const { PERFORMANCE_CLASSES } = require('./monitor_contract.js');
+
+// Pieces random text is built from: plain words, scripts, emoji, combining and zero-width characters, markup
+const TEXT_FRAGMENTS = [
+    "Battery", "memory", "Close unused apps", " ", "  ", "\n", "\t", "%s %d", "{0}", "null", "undefined",
+    "\"quoted\"", "'single'", "\\", "<b>bold</b>", "&amp;", "Ünïcödé", "日本語のテキスト", "中文", "한국어",
+    "مرحبا بالعالم", "שלום", "🔋", "🚀💾🧠", "👩‍👩‍👧‍👦", "e\u0301", "\u200B", "\u202E", "\uFEFF", "\uD83D"
+];
+
+const REQUIRED_FIELDS = ["id", "type", "importance", "title", "description"];
+
+// Values of the wrong type for any field
+const WRONG_TYPE_VALUES = [null, undefined, 0, 42, -1, true, false, {}, [], ["high"], { value: "high" }];
+
+const UNKNOWN_TYPES = ["thermal", "network", "", "GENERAL", "Battery", " general", "general ", "toString", "__proto__"];
+const UNKNOWN_IMPORTANCES = ["critical", "HIGH", "Medium", "", "none", "0", "constructor"];
+const INVALID_ACTIONS = ["open storage settings", "", "android.", ".settings", "android..settings", "http://example.com", "设置.电池"];
+
+// Values around the battery, memory and storage thresholds of recommendationConfig
+const BOUNDARY_PERCENTS = [0, 1, 4, 5, 6, 9, 10, 11, 14, 15, 16, 19, 20, 21, 29, 30, 31, 49, 50, 51, 99, 100];
+const BOUNDARY_TEMPERATURES = [-20, 0, 25, 34, 34.9, 35, 35.1, 39, 40, 41, 44, 45, 46, 60, 90];
+
+// Random text of up to maxLength characters; with a small chance it is exactly maxLength long
+function randomText(random, maxLength) {
+    const huge = chance(random, 0.05);
+    const target = huge ? maxLength : randomInt(random, 0, Math.min(maxLength, 80));
+    let text = "";
+    while (text.length < target) {
+        text += pick(random, TEXT_FRAGMENTS);
+    }
+    return text.slice(0, target);
+}
+
+// Recommendation that is valid unless a mutation breaks it; mutations lists what was broken
+function generateRecommendation(random, index, usedIds, options, mutations) {
+    const rec = {
+        id: `fuzz_${index}_${randomText(random, 16)}`,
+        type: pick(random, RECOMMENDATION_TYPES),
+        importance: pick(random, RECOMMENDATION_IMPORTANCES),
+        title: randomText(random, options.maxStringLength) || "Untitled",
+        description: randomText(random, options.maxStringLength)
+    };
+    if (chance(random, 0.5)) {
+        rec.action = pick(random, ["android.settings.BATTERY_SAVER_SETTINGS", "android.settings.APPLICATION_SETTINGS",
+            "android.settings.INTERNAL_STORAGE_SETTINGS", "com.example.CUSTOM_ACTION"]);
+    }
+
+    const mutate = (name, apply) => {
+        apply();
+        mutations.push(`[${index}] ${name}`);
+    };
+    if (usedIds.length > 0 && chance(random, 0.1)) {
+        mutate("duplicate id", () => { rec.id = pick(random, usedIds); });
+    }
+    if (chance(random, 0.3)) {
+        const field = pick(random, REQUIRED_FIELDS);
+        switch (randomInt(random, 0, 5)) {
+            case 0:
+                mutate(`missing ${field}`, () => { delete rec[field]; });
+                break;
+            case 1:
+                mutate(`${field} of the wrong type`, () => { rec[field] = pick(random, WRONG_TYPE_VALUES); });
+                break;
+            case 2:
+                mutate("unknown type", () => { rec.type = pick(random, UNKNOWN_TYPES); });
+                break;
+            case 3:
+                mutate("unknown importance", () => { rec.importance = pick(random, UNKNOWN_IMPORTANCES); });
+                break;
+            case 4:
+                mutate("invalid action", () => { rec.action = pick(random, INVALID_ACTIONS.concat([7, null])); });
+                break;
+            default:
+                mutate("empty id", () => { rec.id = ""; });
+        }
+    }
+    if (chance(random, 0.1)) {
+        // Fields the schema doesn't know about are allowed
+        rec.priority = randomInt(random, -5, 5);
+        rec.extra = { nested: randomText(random, 20) };
+    }
+    usedIds.push(rec.id);
+    return rec;
+}
+
+/**
+ * Returns { payload, mutations } where payload is what the bridge returns and
+ * mutations describes what makes it invalid, e.g. ["[3] missing importance"].
+ * options: { maxRecommendations, maxStringLength }.
+ */
+function generateRecommendationPayload(random, options) {
+    const mutations = [];
+    if (chance(random, 0.05)) {
+        const payload = pick(random, [null, undefined, {}, "[]", 42, { recommendations: [] }]);
+        return { payload: payload, mutations: ["not a list"] };
+    }
+
+    const usedIds = [];
+    const payload = [];
+    const count = randomInt(random, 0, options.maxRecommendations);
+    for (let i = 0; i < count; i++) {
+        if (chance(random, 0.05)) {
+            payload.push(pick(random, [null, undefined, "recommendation", 3, [], true]));
+            mutations.push(`[${i}] not an object`);
+        } else {
+            payload.push(generateRecommendation(random, i, usedIds, options, mutations));
+        }
+    }
+    return { payload: payload, mutations: mutations };
+}
+
+// State patch for the fake monitor (see DEFAULT_STATE in headless/fake_monitor.js)
+function generateDeviceState(random) {
+    const percent = () => chance(random, 0.7) ? pick(random, BOUNDARY_PERCENTS) : random() * 100;
+    const totalGb = pick(random, [1, 8, 16, 32, 64, 128, 256, 1024]);
+    return {
+        device: {
+            model: randomText(random, 40),
+            sdkInt: randomInt(random, 21, 35),
+            cpuCores: pick(random, [1, 2, 4, 6, 8, 16, 128]),
+            performanceClass: pick(random, PERFORMANCE_CLASSES)
+        },
+        battery: {
+            level: percent(),
+            temperature: chance(random, 0.7) ? pick(random, BOUNDARY_TEMPERATURES) : random() * 100 - 20,
+            isCharging: chance(random, 0.5),
+            isBatterySaver: chance(random, 0.3)
+        },
+        memory: {
+            totalMb: pick(random, [256, 512, 1024, 2048, 4096, 8192, 16384]),
+            availablePercent: percent()
+        },
+        storage: {
+            totalGb: totalGb,
+            availableGb: Math.min(totalGb, chance(random, 0.3) ? pick(random, [0, 0.5, 1, 4.9, 5, 5.1]) : random() * totalGb)
+        },
+        benchmark: chance(random, 0.2) ? null : {
+            ageDays: pick(random, [0, 1, 29, 30, 31, 365]),
+            cpuScore: pick(random, [0, 1, randomInt(random, 100, 20000)]),
+            memoryScore: pick(random, [0, 1, randomInt(random, 100, 20000)]),
+            performanceClass: pick(random, PERFORMANCE_CLASSES),
+            durationMs: 0,
+            error: null
+        }
+    };
+}
+
+/**
+ * Runs check(input, caseIndex) on generate(random) for options.cases cases,
+ * or only for the case with options.caseSeed when it is set. Stops at the
+ * first case whose check throws; returns { cases, failure } where failure is
+ * { caseIndex, caseSeed, input, error } or null.
+ */
+function runFuzzCases(options, generate, check) {
+    const caseSeeds = [];
+    if (options.caseSeed !== null && options.caseSeed !== undefined) {
+        caseSeeds.push(options.caseSeed >>> 0);
+    } else {
+        for (let i = 0; i < options.cases; i++) {
+            caseSeeds.push(deriveSeed(options.seed, i));
+        }
+    }
+
+    for (let i = 0; i < caseSeeds.length; i++) {
+        const input = generate(createSeededRandom(caseSeeds[i]));
+        try {
+            check(input, i);
+        } catch (e) {
+            return { cases: i + 1, failure: { caseIndex: i, caseSeed: caseSeeds[i], input: input, error: e } };
+        }
+    }
+    return { cases: caseSeeds.length, failure: null };
+}
+
+// JSON of a fuzz input for failure messages, cut to maxLength characters
+function describeInput(input, maxLength) {
+    let text;
+    try {
+        text = input === undefined ? "undefined" : JSON.stringify(input);
+    } catch (e) {
+        text = String(input);
+    }
+    const limit = maxLength || 2000;
+    return text.length > limit ? `${text.slice(0, limit)}... (${text.length} characters)` : text;
+}
+
+module.exports = {
+    generateRecommendationPayload: generateRecommendationPayload,
+    generateDeviceState: generateDeviceState,
+    runFuzzCases: runFuzzCases,
+    describeInput: describeInput
+};
@@ -0,0 +1,387 @@
+/**
+ * Scenario-driven Fake Monitor for the Headless Host
+ *
+ * Builds a `monitor` bridge whose answers are derived from a device-state
+ * scenario (battery, temperature, memory, storage, benchmark age, performance
+ * class) and the thresholds in test_config.json's `recommendationConfig`, so
+ * conditions such as "critical battery + overheating" or "stale benchmark"
+ * can be reproduced deterministically.
+ *
+ * Scenarios live in headless/scenarios/*.json. Missing fields fall back to the
+ * healthy defaults in DEFAULT_STATE. A scenario's `extraRecommendations` are
+ * appended as-is to getBenchmarkRecommendations(), which is how malformed bridge
+ * output is reproduced. The returned monitor is scriptable (see
+ * scriptable_monitor.js) and its state can be changed mid-test with
+ * `monitor.setState(patch)`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createScriptableMonitor } = require('./scriptable_monitor.js');
+
+const SCENARIOS_DIR = path.join(__dirname, 'scenarios');
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Healthy mid-range device with a fresh benchmark
+const DEFAULT_STATE = {
+    device: {
+        model: "Headless Host",
+        manufacturer: "CustomAutoJS",
+        sdkInt: 30,
+        cpuCores: 4,
+        architecture: "ARM64",
+        performanceClass: "MID"
+    },
+    battery: {
+        level: 80,
+        temperature: 30,
+        isCharging: true,
+        isBatterySaver: false
+    },
+    memory: {
+        totalMb: 4096,
+        availablePercent: 50
+    },
+    storage: {
+        totalGb: 64,
+        availableGb: 40
+    },
+    benchmark: {
+        ageDays: 1,
+        cpuScore: 5000,
+        memoryScore: 5000,
+        performanceClass: "MID",
+        durationMs: 50,
+        error: null
+    },
+    features: {}
+};
+
+// Used when test_config.json cannot be read
+const DEFAULT_RECOMMENDATION_CONFIG = {
+    batteryThresholds: { critical: 15, low: 30, moderate: 50 },
+    temperatureThresholds: { high: 40, elevated: 35, overheating: 45 },
+    memoryThresholds: { lowPercent: 15, moderatePercent: 30, criticalPercent: 10 },
+    storageThresholds: { criticalGB: 1.0, lowGB: 5.0, lowPercent: 20, criticalPercent: 5 },
+    benchmarkAgeForRenewalDays: 30
+};
+
+// Base update intervals per performance class, in ms
+const UPDATE_INTERVALS = {
+    "LOW": 2000,
+    "MID": 1000,
+    "MID_HIGH": 750,
+    "HIGH": 500
+};
+
+function isPlainObject(value) {
+    return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+function deepMerge(target, source) {
+    Object.keys(source || {}).forEach(key => {
+        if (isPlainObject(source[key]) && isPlainObject(target[key])) {
+            deepMerge(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    });
+    return target;
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Reads recommendationConfig from test_config.json
+function loadRecommendationConfig(configFile) {
+    const file = configFile || path.join(__dirname, '..', 'test_config.json');
+    try {
+        const json = JSON.parse(fs.readFileSync(file, "utf-8"));
+        return deepMerge(clone(DEFAULT_RECOMMENDATION_CONFIG), json.recommendationConfig);
+    } catch (e) {
+        console.log(`Could not read recommendationConfig from ${file}, using defaults`);
+        return clone(DEFAULT_RECOMMENDATION_CONFIG);
+    }
+}
+
+// Loads a scenario by name (headless/scenarios/<name>.json) or by file path
+function loadScenario(nameOrPath) {
+    const file = /[\\/]|\.json$/.test(nameOrPath)
+        ? path.resolve(nameOrPath)
+        : path.join(SCENARIOS_DIR, `${nameOrPath}.json`);
+
+    if (!fs.existsSync(file)) {
+        throw new Error(`Unknown scenario "${nameOrPath}" (available: ${listScenarios().join(", ")})`);
+    }
+
+    const scenario = JSON.parse(fs.readFileSync(file, "utf-8"));
+    scenario.name = scenario.name || path.basename(file, ".json");
+    return scenario;
+}
+
+function listScenarios() {
+    return fs.readdirSync(SCENARIOS_DIR)
+        .filter(name => name.endsWith(".json"))
+        .map(name => path.basename(name, ".json"))
+        .sort();
+}
+
+// Classifies the device state against the recommendation thresholds
+function evaluateState(state, thresholds) {
+    const battery = thresholds.batteryThresholds;
+    const temperature = thresholds.temperatureThresholds;
+    const memory = thresholds.memoryThresholds;
+    const storage = thresholds.storageThresholds;
+    const storagePercent = state.storage.totalGb > 0 ? state.storage.availableGb * 100 / state.storage.totalGb : 0;
+    const benchmark = state.benchmark;
+
+    return {
+        batteryCritical: state.battery.level <= battery.critical,
+        batteryLow: state.battery.level <= battery.low,
+        batteryModerate: state.battery.level <= battery.moderate,
+        overheating: state.battery.temperature >= temperature.overheating,
+        temperatureHigh: state.battery.temperature >= temperature.high,
+        temperatureElevated: state.battery.temperature >= temperature.elevated,
+        memoryCritical: state.memory.availablePercent < memory.criticalPercent,
+        memoryLow: state.memory.availablePercent < memory.lowPercent,
+        memoryModerate: state.memory.availablePercent < memory.moderatePercent,
+        storageCritical: state.storage.availableGb < storage.criticalGB || storagePercent < storage.criticalPercent,
+        storageLow: state.storage.availableGb < storage.lowGB || storagePercent < storage.lowPercent,
+        hasBenchmark: !!benchmark,
+        benchmarkStale: !!benchmark && benchmark.ageDays >= thresholds.benchmarkAgeForRenewalDays
+    };
+}
+
+function recommendation(id, type, importance, title, description, action) {
+    const rec = { id: id, type: type, title: title, description: description, importance: importance };
+    if (action) {
+        rec.action = action;
+    }
+    return rec;
+}
+
+// Device-state recommendations that do not need benchmark results
+function buildBasicRecommendations(state, flags) {
+    const recs = [];
+
+    if (flags.batteryCritical) {
+        recs.push(recommendation("battery_critical", "battery", "high", "Critical Battery Level",
+            `Battery is at ${state.battery.level}%. Connect to a charger and avoid intensive tasks.`,
+            "android.settings.BATTERY_SAVER_SETTINGS"));
+    } else if (flags.batteryLow && !state.battery.isCharging) {
+        recs.push(recommendation("battery_low", "battery", "medium", "Low Battery Level",
+            `Battery is at ${state.battery.level}%. Consider enabling battery saver.`,
+            "android.settings.BATTERY_SAVER_SETTINGS"));
+    } else if (flags.batteryModerate && !state.battery.isCharging) {
+        recs.push(recommendation("battery_moderate", "battery", "low", "Moderate Battery Level",
+            "Battery is below half. Plan intensive tasks while charging."));
+    }
+
+    if (flags.overheating) {
+        recs.push(recommendation("overheating_temperature", "battery", "high", "Device Overheating",
+            `Battery temperature is ${state.battery.temperature}°C. Stop intensive tasks and let the device cool down.`));
+    } else if (flags.temperatureHigh) {
+        recs.push(recommendation("high_temperature", "battery", "high", "High Temperature",
+            `Battery temperature is ${state.battery.temperature}°C. Reduce load to avoid throttling.`));
+    } else if (flags.temperatureElevated) {
+        recs.push(recommendation("elevated_temperature", "battery", "medium", "Elevated Temperature",
+            `Battery temperature is ${state.battery.temperature}°C.`));
+    }
+
+    if (flags.memoryCritical) {
+        recs.push(recommendation("memory_critical", "memory", "high", "Critical Memory Condition",
+            "Almost no memory is available. Close unused apps immediately.",
+            "android.settings.APPLICATION_SETTINGS"));
+    } else if (flags.memoryLow) {
+        recs.push(recommendation("memory_low", "memory", "high", "Low Memory Condition",
+            "Your device is low on memory. Close unused apps to improve performance.",
+            "android.settings.APPLICATION_SETTINGS"));
+    } else if (flags.memoryModerate) {
+        recs.push(recommendation("memory_moderate", "memory", "low", "Moderate Memory Usage",
+            "Consider closing background apps for better performance."));
+    }
+
+    if (flags.storageCritical) {
+        recs.push(recommendation("storage_critical", "storage", "high", "Critical Storage Space",
+            `Only ${state.storage.availableGb} GB of storage is left.`,
+            "android.settings.INTERNAL_STORAGE_SETTINGS"));
+    } else if (flags.storageLow) {
+        recs.push(recommendation("storage_low", "storage", "medium", "Low Storage Space",
+            "Consider clearing cache and removing unused apps.",
+            "android.settings.INTERNAL_STORAGE_SETTINGS"));
+    }
+
+    recs.push(recommendation("basic_general", "general", "medium", "Check for System Updates",
+        "System updates can improve device performance and fix bugs.",
+        "android.settings.SYSTEM_UPDATE_SETTINGS"));
+
+    if (!flags.hasBenchmark) {
+        recs.push(recommendation("run_benchmark", "general", "low", "Run Performance Benchmark",
+            "Run a benchmark to get more detailed and accurate performance recommendations."));
+    }
+
+    return recs;
+}
+
+// Recommendations that depend on benchmark results
+function buildBenchmarkRecommendations(state, flags) {
+    const benchmark = state.benchmark;
+    const recs = [];
+
+    if (benchmark.cpuScore < benchmark.memoryScore * 0.7) {
+        recs.push(recommendation("cpu_bottleneck", "performance", "medium", "CPU Bottleneck",
+            "CPU performance is significantly lower than memory performance."));
+    } else if (benchmark.memoryScore < benchmark.cpuScore * 0.7) {
+        recs.push(recommendation("memory_bottleneck", "performance", "medium", "Memory Bottleneck",
+            "Memory performance is significantly lower than CPU performance."));
+    }
+
+    recs.push(recommendation(`${benchmark.performanceClass.toLowerCase()}_perf_1`, "performance", "low",
+        "Performance Profile", `Settings tuned for a ${benchmark.performanceClass} class device.`));
+
+    if (flags.temperatureHigh) {
+        recs.push(recommendation("high_temperature_benchmark", "performance", "high", "High Temperature During Benchmark",
+            "Benchmark scores may be throttled by the current temperature."));
+    }
+
+    if (flags.benchmarkStale) {
+        recs.push(recommendation("rerun_benchmark", "general", "medium", "Benchmark Results Outdated",
+            `Benchmark results are ${benchmark.ageDays} days old. Run the benchmark again.`));
+    }
+
+    return recs;
+}
+
+// Creates a monitor bridge answering from the given scenario
+function createFakeMonitor(scenario, recommendationConfig) {
+    const thresholds = recommendationConfig || clone(DEFAULT_RECOMMENDATION_CONFIG);
+    const state = clone(DEFAULT_STATE);
+    Object.keys(DEFAULT_STATE).forEach(section => {
+        if (scenario && section in scenario) {
+            deepMerge(state, { [section]: scenario[section] });
+        }
+    });
+
+    const extraRecommendations = (scenario && scenario.extraRecommendations) || [];
+    const flags = () => evaluateState(state, thresholds);
+    const performanceClass = () => (state.benchmark && state.benchmark.performanceClass) || state.device.performanceClass;
+
+    const responses = {
+        getDeviceCapabilities: () => ({
+            deviceInfo: {
+                model: state.device.model,
+                manufacturer: state.device.manufacturer,
+                sdkInt: state.device.sdkInt
+            },
+            cpuInfo: {
+                cores: state.device.cpuCores,
+                architecture: state.device.architecture,
+                performanceClass: performanceClass()
+            },
+            memoryInfo: {
+                totalMem: state.memory.totalMb * MB,
+                availMem: Math.round(state.memory.totalMb * MB * state.memory.availablePercent / 100),
+                lowMemory: flags().memoryLow,
+                percentAvailable: state.memory.availablePercent
+            },
+            batteryInfo: {
+                level: state.battery.level,
+                isCharging: state.battery.isCharging,
+                isBatterySaver: state.battery.isBatterySaver,
+                temperature: state.battery.temperature
+            },
+            storageInfo: {
+                totalInternal: state.storage.totalGb * GB,
+                availableInternal: state.storage.availableGb * GB,
+                externalAvailable: true
+            }
+        }),
+        isFeatureSupported: (feature) => {
+            if (feature in state.features) {
+                return !!state.features[feature];
+            }
+            return !(feature === "performance_prediction" && performanceClass() === "LOW");
+        },
+        getOptimalUpdateInterval: () => {
+            const current = flags();
+            let interval = UPDATE_INTERVALS[performanceClass()] || 1000;
+            if (current.batteryCritical) {
+                interval *= 4;
+            } else if (current.batteryLow && !state.battery.isCharging) {
+                interval *= 2;
+            }
+            if (current.temperatureHigh) {
+                interval *= 2;
+            }
+            return interval;
+        },
+        getFeatureConfiguration: () => {
+            const current = flags();
+            const constrained = current.batteryLow || current.temperatureHigh || current.memoryLow;
+            return {
+                enableAnomalyDetection: !current.batteryCritical,
+                enablePerformancePrediction: performanceClass() !== "LOW",
+                enableDetailedMetrics: !constrained,
+                updateIntervalMs: responses.getOptimalUpdateInterval()
+            };
+        },
+        isLowBattery: () => flags().batteryLow && !state.battery.isCharging,
+        isLowMemory: () => flags().memoryLow,
+        getPerformanceClass: () => performanceClass(),
+        getBenchmarkInfo: () => {
+            const benchmark = state.benchmark;
+            if (!benchmark) {
+                return "No benchmark results available";
+            }
+            const combined = Math.round((benchmark.cpuScore + benchmark.memoryScore) / 2);
+            return `CPU: ${benchmark.cpuScore}, Memory: ${benchmark.memoryScore}, Combined: ${combined} (${benchmark.performanceClass})`;
+        },
+        getBasicRecommendations: () => buildBasicRecommendations(state, flags()),
+        getBenchmarkRecommendations: () => {
+            const current = flags();
+            const recs = buildBasicRecommendations(state, current);
+            const all = state.benchmark ? recs.concat(buildBenchmarkRecommendations(state, current)) : recs;
+            return all.concat(clone(extraRecommendations));
+        },
+        runBenchmark: (callback) => {
+            const configured = state.benchmark || DEFAULT_STATE.benchmark;
+            setTimeout(() => {
+                if (configured.error) {
+                    callback({ error: configured.error });
+                    return;
+                }
+                state.benchmark = Object.assign({}, configured, { ageDays: 0 });
+                callback({
+                    cpuScore: configured.cpuScore,
+                    memoryScore: configured.memoryScore,
+                    combinedScore: Math.round((configured.cpuScore + configured.memoryScore) / 2),
+                    performanceClass: configured.performanceClass,
+                    timestamp: Date.now()
+                });
+            }, configured.durationMs || 0);
+        }
+    };
+
+    const monitor = createScriptableMonitor(responses);
+    monitor.scenario = scenario && scenario.name ? scenario.name : "default";
+
+    // Headless-only: current device state and a way to change it mid-test
+    monitor.getState = () => clone(state);
+    monitor.setState = (patch) => {
+        deepMerge(state, patch);
+        return monitor;
+    };
+
+    return monitor;
+}
+
+module.exports = {
+    createFakeMonitor: createFakeMonitor,
+    loadScenario: loadScenario,
+    listScenarios: listScenarios,
+    loadRecommendationConfig: loadRecommendationConfig,
+    evaluateState: evaluateState,
+    DEFAULT_STATE: DEFAULT_STATE
+};
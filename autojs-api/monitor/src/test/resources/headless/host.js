@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Headless Node.js Host for the CustomAutoJS Test Runner
+ *
+ * Loads test_runner.js under plain Node.js with stand-ins for the AutoJS
+ * globals (see stand_ins.js), so the JavaScript suite can run on a CI machine
+ * without a phone or adb.
+ *
+ * Usage: node headless/host.js [options]
+ *
+ * Options:
+ *   --test-type <type>     all, unit, contract, property, integration, performance, stress, memory, soak, fuzz
+ *   --report <path>        Write report.json to the given directory
+ *   --ci-mode              Run in CI mode (shorter delays, report writing)
+ *   --time-scale <factor>  Scale all timers, e.g. 0.05 to shorten sleeps (and timeouts)
+ *   --tags <expression>    Run only tests whose tags match, e.g. "api and not slow"
+ *   --include-tags <list>  Comma-separated tags; run only tests carrying one of them
+ *   --exclude-tags <list>  Comma-separated tags; skip tests carrying any of them
+ *   --name <pattern>       Run only tests whose name matches a glob or /regex/ (repeatable)
+ *   --shard <n>/<count>    Run shard n (1-based) of a run split into count shards, see sharding.js
+ *   --scenario <name|file> Device-state scenario for the fake monitor (default: healthy)
+ *   --list-scenarios       List the scenarios in headless/scenarios and exit
+ *   --set <key>=<value>    Override a runner config value (value parsed as JSON if possible)
+ *   --stand-ins <module>   Node module exporting (standIns, options) => overrides
+ *   --results-file <path>  Write TEST_RESULT/TESTS_RUN/... summary like ci_launcher.js
+ *   --help                 Show this help message
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const v8 = require('v8');
+const { transformXmlLiterals } = require('./xml_literals.js');
+const { createStandIns } = require('./stand_ins.js');
+const { createFakeMonitor, loadScenario, listScenarios, loadRecommendationConfig } = require('./fake_monitor.js');
+
+const RESOURCES_DIR = path.resolve(__dirname, '..');
+
+// Globals every loaded script receives, in wrapper parameter order
+const GLOBAL_NAMES = [
+    "__layout", "floaty", "files", "engines", "toast", "events",
+    "device", "app", "android", "monitor",
+    "setTimeout", "clearTimeout", "setInterval", "clearInterval"
+];
+
+// Loads AutoJS scripts with XML literal support and injected globals
+class ScriptLoader {
+    constructor(globals, virtualModules) {
+        this.globals = globals;
+        this.virtualModules = virtualModules || {};
+        this.cache = {};
+    }
+
+    require(request, fromDir) {
+        const filename = path.resolve(fromDir, request);
+
+        if (Object.prototype.hasOwnProperty.call(this.virtualModules, filename)) {
+            return this.virtualModules[filename];
+        }
+        if (this.cache[filename]) {
+            return this.cache[filename].exports;
+        }
+        if (!fs.existsSync(filename)) {
+            throw new Error(`Cannot find module '${request}'`);
+        }
+        if (path.extname(filename) === ".json") {
+            return JSON.parse(fs.readFileSync(filename, "utf-8"));
+        }
+
+        const module = { exports: {}, filename: filename };
+        this.cache[filename] = module;
+
+        try {
+            const source = transformXmlLiterals(fs.readFileSync(filename, "utf-8"));
+            const wrapper = vm.runInThisContext(
+                `(function (module, exports, require, __filename, __dirname, ${GLOBAL_NAMES.join(", ")}) {${source}\n})`,
+                { filename: filename }
+            );
+            const dirname = path.dirname(filename);
+            const localRequire = (childRequest) => this.require(childRequest, dirname);
+            wrapper.apply(null, [module, module.exports, localRequire, filename, dirname]
+                .concat(GLOBAL_NAMES.map(name => this.globals[name])));
+        } catch (e) {
+            delete this.cache[filename];
+            throw e;
+        }
+
+        return module.exports;
+    }
+}
+
+// Timer functions that stretch or shrink every delay by the given factor
+function createScaledTimers(timeScale) {
+    return {
+        setTimeout: (fn, ms) => setTimeout(fn, (ms || 0) * timeScale),
+        clearTimeout: (id) => clearTimeout(id),
+        setInterval: (fn, ms) => setInterval(fn, (ms || 0) * timeScale),
+        clearInterval: (id) => clearInterval(id)
+    };
+}
+
+// Makes gc() available so memory tests can force collections, as System.gc() does on device
+function exposeGc() {
+    if (typeof global.gc !== "function") {
+        v8.setFlagsFromString("--expose-gc");
+        global.gc = vm.runInNewContext("gc");
+    }
+}
+
+// Runs the test runner headlessly and resolves with its test results
+async function runHeadless(options) {
+    options = options || {};
+    const resourcesDir = options.resourcesDir || RESOURCES_DIR;
+    const timeScale = options.timeScale === undefined ? 1 : options.timeScale;
+
+    if (!(timeScale > 0)) {
+        throw new Error(`Invalid time scale: ${timeScale} (must be greater than 0)`);
+    }
+
+    const monitor = options.monitor || createFakeMonitor(
+        loadScenario(options.scenario || "healthy"),
+        loadRecommendationConfig(path.join(resourcesDir, "test_config.json"))
+    );
+    console.log(`Headless host using monitor scenario: ${monitor.scenario || "custom"}`);
+
+    const globals = createStandIns({ cwd: resourcesDir, monitor: monitor });
+    Object.assign(globals, createScaledTimers(timeScale));
+    if (typeof options.standIns === "function") {
+        Object.assign(globals, options.standIns(globals, options) || {});
+    } else if (options.standIns) {
+        Object.assign(globals, options.standIns);
+    }
+
+    // The runner picks up its overrides from test_config.js, as it does on device
+    const virtualModules = {};
+    if (options.config) {
+        virtualModules[path.join(resourcesDir, "test_config.js")] = options.config;
+    }
+
+    exposeGc();
+    const loader = new ScriptLoader(globals, virtualModules);
+    const runner = loader.require("./" + (options.entry || "test_runner.js"), resourcesDir);
+
+    try {
+        return await runner.runAllTests();
+    } finally {
+        globals.events.emit("exit");
+        globals.floaty.closeAll();
+    }
+}
+
+// Parses a --set value as JSON, falling back to a plain string
+function parseValue(raw) {
+    try {
+        return JSON.parse(raw);
+    } catch (e) {
+        return raw;
+    }
+}
+
+// "ui, slow" -> ["ui", "slow"]
+function parseList(raw) {
+    return (raw || "").split(",").map(item => item.trim()).filter(item => item !== "");
+}
+
+function parseArgs(argv) {
+    const options = { config: {} };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case "--test-type":
+                options.config.testType = argv[++i];
+                break;
+            case "--report":
+                options.config.reportPath = path.resolve(argv[++i]);
+                break;
+            case "--ci-mode":
+                options.config.ciMode = true;
+                options.config.skipPrompts = true;
+                break;
+            case "--tags":
+                setPath(options.config, "testFilter.tagExpression", argv[++i]);
+                break;
+            case "--include-tags":
+                setPath(options.config, "testFilter.includeTags", parseList(argv[++i]));
+                break;
+            case "--exclude-tags":
+                setPath(options.config, "testFilter.excludeTags", parseList(argv[++i]));
+                break;
+            case "--name":
+                setPath(options.config, "testFilter.namePatterns",
+                    ((options.config.testFilter || {}).namePatterns || []).concat([argv[++i]]));
+                break;
+            case "--shard": {
+                const match = /^(\d+)\/(\d+)$/.exec(argv[++i] || "");
+                if (!match || Number(match[1]) < 1 || Number(match[1]) > Number(match[2])) {
+                    throw new Error(`Invalid --shard value: ${argv[i]} (expected n/count, e.g. 1/3)`);
+                }
+                setPath(options.config, "shard.index", Number(match[1]) - 1);
+                setPath(options.config, "shard.count", Number(match[2]));
+                break;
+            }
+            case "--time-scale":
+                options.timeScale = Number(argv[++i]);
+                break;
+            case "--scenario":
+                options.scenario = argv[++i];
+                break;
+            case "--list-scenarios":
+                options.listScenarios = true;
+                break;
+            case "--set": {
+                const assignment = argv[++i] || "";
+                const separator = assignment.indexOf("=");
+                if (separator <= 0) {
+                    throw new Error(`Invalid --set value: ${assignment} (expected key=value)`);
+                }
+                setPath(options.config, assignment.slice(0, separator), parseValue(assignment.slice(separator + 1)));
+                break;
+            }
+            case "--stand-ins":
+                options.standIns = require(path.resolve(argv[++i]));
+                break;
+            case "--results-file":
+                options.resultsFile = path.resolve(argv[++i]);
+                break;
+            case "--help":
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Sets a dotted key such as "performanceTest.iterations"
+function setPath(target, dottedKey, value) {
+    const keys = dottedKey.split(".");
+    let node = target;
+    keys.slice(0, -1).forEach(key => {
+        if (typeof node[key] !== "object" || node[key] === null) {
+            node[key] = {};
+        }
+        node = node[key];
+    });
+    node[keys[keys.length - 1]] = value;
+}
+
+function printHelp() {
+    const header = fs.readFileSync(__filename, "utf-8").split("\n");
+    const start = header.findIndex(line => line.indexOf("Usage:") !== -1);
+    const end = header.findIndex(line => line.trim() === "*/");
+    console.log(header.slice(start, end).map(line => line.replace(/^ \* ?/, "")).join("\n"));
+}
+
+// Same summary format that ci_launcher.js writes on device
+function writeResultsFile(file, results) {
+    let summary = "TEST_RESULT=" + (results.success ? "SUCCESS" : "FAILURE") + "\n";
+    summary += "TESTS_RUN=" + results.testsRun + "\n";
+    summary += "TESTS_PASSED=" + results.testsPassed + "\n";
+    summary += "TESTS_FAILED=" + results.testsFailed + "\n";
+    fs.writeFileSync(file, summary);
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error("Use --help to see available options");
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    if (options.listScenarios) {
+        listScenarios().forEach(name => {
+            console.log(`${name} - ${loadScenario(name).description || ""}`);
+        });
+        return;
+    }
+
+    const results = await runHeadless(options);
+    if (options.resultsFile) {
+        writeResultsFile(options.resultsFile, results);
+    }
+    process.exitCode = results.success ? 0 : 1;
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error("Headless host error:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    runHeadless: runHeadless,
+    ScriptLoader: ScriptLoader,
+    createScaledTimers: createScaledTimers,
+    parseArgs: parseArgs
+};
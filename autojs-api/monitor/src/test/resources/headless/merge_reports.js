@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+/**
+ * Shard Report Merger for the CustomAutoJS Test Runner
+ *
+ * Combines the report.json files of a run split across devices or headless
+ * hosts (see sharding.js) into one report.json, JUnit XML and HTML report,
+ * with every test attributed to the device that ran it.
+ *
+ * Usage: node headless/merge_reports.js [options] <report.json>...
+ *
+ * Options:
+ *   --out <dir>            Write the merged report.json, TEST-javascript.xml and report.html to dir
+ *   --shards <count>       Expected number of shards; shards without a report fail the run
+ *   --results-file <path>  Write TEST_RESULT/TESTS_RUN/... summary like ci_launcher.js
+ *   --help                 Show this help message
+ *
+ * Exits with 1 when any shard failed or did not report.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { mergeReports, shardLabel } = require('../sharding.js');
+const { toJUnitXml, JUNIT_FILE_NAME } = require('../junit_report.js');
+const { toHtmlReport, HTML_FILE_NAME } = require('../html_report.js');
+const { describeRegression } = require('../benchmark_history.js');
+
+const CONFIG_FILE = path.resolve(__dirname, '..', 'test_config.json');
+
+function parseArgs(argv) {
+    const options = { reports: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case "--out":
+                options.out = path.resolve(argv[++i]);
+                break;
+            case "--shards":
+                options.shards = Number(argv[++i]);
+                if (!(options.shards >= 1)) {
+                    throw new Error(`Invalid --shards value: ${argv[i]}`);
+                }
+                break;
+            case "--results-file":
+                options.resultsFile = path.resolve(argv[++i]);
+                break;
+            case "--help":
+                options.help = true;
+                break;
+            default:
+                if (arg.indexOf("--") === 0) {
+                    throw new Error(`Unknown option: ${arg}`);
+                }
+                options.reports.push(path.resolve(arg));
+        }
+    }
+
+    if (!options.help && options.reports.length === 0) {
+        throw new Error("No shard reports given");
+    }
+    return options;
+}
+
+function printHelp() {
+    const header = fs.readFileSync(__filename, "utf-8").split("\n");
+    const start = header.findIndex(line => line.indexOf("Usage:") !== -1);
+    const end = header.findIndex(line => line.trim() === "*/");
+    console.log(header.slice(start, end).map(line => line.replace(/^ \* ?/, "")).join("\n"));
+}
+
+// Report colors from test_config.json, as the runner uses them
+function readColors() {
+    try {
+        return (JSON.parse(fs.readFileSync(CONFIG_FILE, "utf-8")).visualizationConfig || {}).colors;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Merges the given report files; a shard count (options.shards) larger than
+ * the reports' own count of shards marks the remaining shards as missing.
+ */
+function mergeReportFiles(files, options) {
+    const reports = files.map(file => {
+        try {
+            return JSON.parse(fs.readFileSync(file, "utf-8"));
+        } catch (e) {
+            throw new Error(`Cannot read shard report ${file}: ${e.message}`);
+        }
+    });
+    const merged = mergeReports(reports);
+
+    const expected = (options && options.shards) || merged.shardCount;
+    for (let index = merged.shardCount; index < expected; index++) {
+        merged.missingShards.push(index);
+    }
+    merged.shardCount = Math.max(merged.shardCount, expected);
+    if (merged.missingShards.length > 0) {
+        merged.success = false;
+    }
+    return merged;
+}
+
+function writeReports(merged, out) {
+    fs.mkdirSync(out, { recursive: true });
+    const suiteNames = [];
+    merged.detailedResults.forEach(entry => {
+        if (suiteNames.indexOf(entry.suite) === -1) {
+            suiteNames.push(entry.suite);
+        }
+    });
+
+    fs.writeFileSync(path.join(out, "report.json"), JSON.stringify(merged, null, 2));
+    fs.writeFileSync(path.join(out, JUNIT_FILE_NAME), toJUnitXml({
+        detailedResults: merged.detailedResults,
+        testType: merged.testType,
+        timestamp: merged.timestamp.replace(/\.\d+Z$/, "")
+    }, suiteNames));
+    fs.writeFileSync(path.join(out, HTML_FILE_NAME), toHtmlReport(merged, {
+        suiteNames: suiteNames,
+        colors: readColors()
+    }));
+}
+
+function printSummary(merged) {
+    console.log("=== Merged Test Summary ===");
+    merged.shards.forEach(shard => {
+        console.log(`${shard.label}: ${shard.passedTests} passed, ${shard.failedTests} failed, ` +
+            `${shard.skippedTests} skipped in ${shard.durationSeconds.toFixed(1)} s - ${shard.success ? "SUCCESS" : "FAILURE"}`);
+    });
+    merged.missingShards.forEach(index => {
+        console.log(`${shardLabel({ index: index })}: no report - FAILURE`);
+    });
+    console.log(`Total tests: ${merged.totalTests}`);
+    console.log(`Passed: ${merged.passedTests}`);
+    console.log(`Failed: ${merged.failedTests}`);
+    console.log(`Skipped: ${merged.skippedTests}`);
+    if (merged.benchmarkRegressions.length > 0) {
+        console.log(`Benchmark regressions: ${merged.benchmarkRegressions.map(describeRegression).join("; ")}`);
+    }
+    console.log(`Overall result: ${merged.success ? "SUCCESS" : "FAILURE"}`);
+}
+
+// Same summary format that ci_launcher.js writes on device
+function writeResultsFile(file, merged) {
+    const testsRun = merged.passedTests + merged.failedTests + merged.quarantinedFailures;
+    fs.writeFileSync(file,
+        `TEST_RESULT=${merged.success ? "SUCCESS" : "FAILURE"}\n` +
+        `TESTS_RUN=${testsRun}\n` +
+        `TESTS_PASSED=${merged.passedTests}\n` +
+        `TESTS_FAILED=${merged.failedTests + merged.missingShards.length}\n`);
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (e) {
+        console.error(e.message);
+        console.error("Use --help to see available options");
+        process.exit(2);
+    }
+
+    if (options.help) {
+        printHelp();
+        return;
+    }
+
+    const merged = mergeReportFiles(options.reports, options);
+    printSummary(merged);
+    if (options.out) {
+        writeReports(merged, options.out);
+        console.log("Merged report written to:", options.out);
+    }
+    if (options.resultsFile) {
+        writeResultsFile(options.resultsFile, merged);
+    }
+    process.exitCode = merged.success ? 0 : 1;
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error("Report merge error:", error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    mergeReportFiles: mergeReportFiles,
+    writeReports: writeReports
+};
@@ -0,0 +1,149 @@
+/**
+ * Scriptable Monitor Stand-in for the Headless Host
+ *
+ * Replaces the `monitor` bridge that CustomAutoJS injects on a device. Every
+ * method returns a canned response that tests can replace at any time with
+ * `monitor.script(method, valueOrFunction)` and put back with
+ * `monitor.restore(method)`, and every call is recorded in `monitor.calls` so
+ * tests can assert on bridge usage.
+ */
+
+const MB = 1024 * 1024;
+const GB = 1024 * MB;
+
+// Responses used when nothing has been scripted
+function createDefaultResponses() {
+    return {
+        getDeviceCapabilities: () => ({
+            deviceInfo: {
+                model: "Headless Host",
+                manufacturer: "CustomAutoJS",
+                sdkInt: 30
+            },
+            cpuInfo: {
+                cores: 4,
+                architecture: "ARM64",
+                performanceClass: "MID"
+            },
+            memoryInfo: {
+                totalMem: 4 * GB,
+                availMem: 2 * GB,
+                lowMemory: false,
+                percentAvailable: 50
+            },
+            batteryInfo: {
+                level: 80,
+                isCharging: true,
+                isBatterySaver: false,
+                temperature: 30
+            },
+            storageInfo: {
+                totalInternal: 64 * GB,
+                availableInternal: 40 * GB,
+                externalAvailable: true
+            }
+        }),
+        isFeatureSupported: () => true,
+        getOptimalUpdateInterval: () => 1000,
+        getFeatureConfiguration: () => ({
+            enableAnomalyDetection: true,
+            enablePerformancePrediction: true,
+            enableDetailedMetrics: true,
+            updateIntervalMs: 1000
+        }),
+        isLowBattery: () => false,
+        isLowMemory: () => false,
+        getPerformanceClass: () => "MID",
+        getBenchmarkInfo: () => "CPU: 5000, Memory: 5000, Combined: 5000 (MID)",
+        getBenchmarkRecommendations: () => [
+            {
+                id: "basic_general",
+                type: "general",
+                title: "Check for System Updates",
+                description: "System updates can improve device performance and fix bugs.",
+                importance: "medium",
+                action: "android.settings.SYSTEM_UPDATE_SETTINGS"
+            },
+            {
+                id: "run_benchmark",
+                type: "general",
+                title: "Run Performance Benchmark",
+                description: "Run a benchmark to get more detailed and accurate performance recommendations.",
+                importance: "low"
+            }
+        ],
+        getBasicRecommendations: () => [],
+        runBenchmark: (callback) => {
+            setTimeout(() => callback({
+                cpuScore: 5000,
+                memoryScore: 5000,
+                combinedScore: 5000,
+                performanceClass: "MID",
+                timestamp: Date.now()
+            }), 0);
+        }
+    };
+}
+
+// Creates a monitor whose methods dispatch to (scriptable) responses
+function createScriptableMonitor(initialResponses) {
+    const responses = Object.assign(createDefaultResponses(), initialResponses || {});
+    const initial = Object.assign({}, responses);
+    const calls = [];
+
+    const monitor = {
+        calls: calls,
+
+        // Replaces the response of a method with a fixed value or a function
+        script: function(method, response) {
+            responses[method] = response;
+            if (!monitor[method]) {
+                monitor[method] = createMethod(method);
+            }
+            return monitor;
+        },
+
+        // Puts back the response a method had before it was scripted
+        restore: function(method) {
+            if (method in initial) {
+                responses[method] = initial[method];
+            } else {
+                delete responses[method];
+                delete monitor[method];
+            }
+            return monitor;
+        },
+
+        // Forgets all recorded calls
+        resetCalls: function() {
+            calls.length = 0;
+        }
+    };
+
+    function createMethod(method) {
+        return function() {
+            const args = Array.prototype.slice.call(arguments);
+            calls.push({ method: method, args: args, time: Date.now() });
+
+            const response = responses[method];
+            if (typeof response === "function") {
+                return response.apply(monitor, args);
+            }
+            if (response instanceof Error) {
+                throw response;
+            }
+            return response;
+        };
+    }
+
+    Object.keys(responses).forEach(method => {
+        monitor[method] = createMethod(method);
+    });
+
+    return monitor;
+}
+
+module.exports = {
+    createScriptableMonitor: createScriptableMonitor,
+    createDefaultResponses: createDefaultResponses
+};
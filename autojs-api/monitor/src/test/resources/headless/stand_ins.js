@@ -0,0 +1,431 @@
+/**
+ * AutoJS Global Stand-ins for the Headless Host
+ *
+ * Provides Node.js replacements for the globals CustomAutoJS injects into every
+ * script: `floaty`, `files`, `engines`, `toast`, `events`, `device`, `app`,
+ * `android` and `monitor`. Each stand-in can be replaced through the
+ * `overrides` option of createStandIns().
+ *
+ * Layout literals are rewritten by xml_literals.js into calls to the `__layout`
+ * factory defined here; `floaty.window()` and `addView()` inflate those trees
+ * into lightweight fake views that keep their attributes and listeners.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { createScriptableMonitor } = require('./scriptable_monitor.js');
+
+// Layout factory used by rewritten XML literals
+function layout(tag, attrs, children) {
+    return {
+        tag: tag,
+        attrs: attrs || {},
+        children: (children || []).filter(child => child !== null && child !== undefined && child !== false)
+    };
+}
+
+// Fake Android view inflated from a layout node
+class FakeView {
+    constructor(node, owner) {
+        this.tag = node.tag;
+        this.attrs = Object.assign({}, node.attrs);
+        this.id = this.attrs.id;
+        this.owner = owner;
+        this.parent = null;
+        this.children = [];
+        this.listeners = {};
+        this.progress = 0;
+        this.enabled = true;
+
+        node.children.forEach(child => {
+            if (typeof child === "object") {
+                this.addView(child);
+            } else {
+                this.attrs.text = String(child);
+            }
+        });
+    }
+
+    // Inflates a layout node (or adopts an existing view) as the last child
+    addView(child) {
+        const view = child instanceof FakeView ? child : createView(child, this.owner);
+        view.parent = this;
+        this.children.push(view);
+        if (this.owner) {
+            this.owner.registerIds(view);
+        }
+        return view;
+    }
+
+    removeAllViews() {
+        this.children.forEach(child => {
+            child.parent = null;
+        });
+        this.children = [];
+    }
+
+    getChildCount() {
+        return this.children.length;
+    }
+
+    getChildAt(index) {
+        return this.children[index];
+    }
+
+    // Depth-first lookup of a view by id
+    findView(id) {
+        if (this.id === id) {
+            return this;
+        }
+        for (const child of this.children) {
+            const found = child.findView(id);
+            if (found) {
+                return found;
+            }
+        }
+        return null;
+    }
+
+    setText(text) {
+        this.attrs.text = String(text);
+    }
+
+    getText() {
+        return this.attrs.text || "";
+    }
+
+    setProgress(progress) {
+        this.progress = progress;
+    }
+
+    getProgress() {
+        return this.progress;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    isEnabled() {
+        return this.enabled;
+    }
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return this;
+    }
+
+    // Triggers listeners, e.g. view.emit("click") to simulate a tap
+    emit(event) {
+        const args = Array.prototype.slice.call(arguments, 1);
+        (this.listeners[event] || []).forEach(listener => listener.apply(this, args));
+        return this;
+    }
+}
+
+// Wraps a view so unknown Android setters/getters (setElevation, getBackground, ...) are no-ops
+function createView(node, owner) {
+    const view = new FakeView(node, owner);
+    return new Proxy(view, {
+        get(target, prop) {
+            if (prop in target || typeof prop !== "string") {
+                return target[prop];
+            }
+            return function() {
+                return undefined;
+            };
+        },
+        getPrototypeOf() {
+            return FakeView.prototype;
+        }
+    });
+}
+
+// Fake floaty window exposing views by id, like the real floaty.window()
+class FakeWindow {
+    constructor(node, registry) {
+        this.registry = registry;
+        this.closed = false;
+        this.x = 0;
+        this.y = 0;
+        this.width = 0;
+        this.height = 0;
+        this.root = createView(node, this);
+        this.registerIds(this.root);
+    }
+
+    registerIds(view) {
+        if (view.id && !(view.id in FakeWindow.prototype) && !(view.id in this)) {
+            this[view.id] = view;
+        }
+        view.children.forEach(child => this.registerIds(child));
+    }
+
+    findView(id) {
+        return this.root.findView(id);
+    }
+
+    setPosition(x, y) {
+        this.x = x;
+        this.y = y;
+    }
+
+    setSize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    getX() {
+        return this.x;
+    }
+
+    getY() {
+        return this.y;
+    }
+
+    close() {
+        if (this.closed) {
+            return false;
+        }
+        this.closed = true;
+        const index = this.registry.indexOf(this);
+        if (index !== -1) {
+            this.registry.splice(index, 1);
+        }
+        return true;
+    }
+}
+
+function createFloaty() {
+    const openWindows = [];
+
+    const createWindow = (node) => {
+        const window = new FakeWindow(node, openWindows);
+        openWindows.push(window);
+        return window;
+    };
+
+    return {
+        window: createWindow,
+        rawWindow: createWindow,
+
+        // Headless-only: windows that have not been closed yet
+        openWindows: () => openWindows.slice(),
+
+        closeAll: () => {
+            openWindows.slice().forEach(window => window.close());
+        }
+    };
+}
+
+// fs-backed implementation of the AutoJS `files` module
+function createFiles(cwd) {
+    const resolve = (p) => path.resolve(cwd, String(p));
+
+    const files = {
+        cwd: () => cwd,
+        path: (relativePath) => resolve(relativePath),
+        join: function() {
+            return path.join.apply(path, arguments);
+        },
+        exists: (p) => fs.existsSync(resolve(p)),
+        isFile: (p) => fs.existsSync(resolve(p)) && fs.statSync(resolve(p)).isFile(),
+        isDir: (p) => fs.existsSync(resolve(p)) && fs.statSync(resolve(p)).isDirectory(),
+        isEmptyDir: (p) => files.isDir(p) && fs.readdirSync(resolve(p)).length === 0,
+        getName: (p) => path.basename(String(p)),
+        getExtension: (p) => path.extname(String(p)).replace(/^\./, ""),
+        getNameWithoutExtension: (p) => path.basename(String(p), path.extname(String(p))),
+
+        // Like AutoJS, ensures the directory *containing* the path exists
+        ensureDir: (p) => {
+            fs.mkdirSync(path.dirname(resolve(p)), { recursive: true });
+            return true;
+        },
+        create: (p) => {
+            const target = resolve(p);
+            if (fs.existsSync(target)) {
+                return false;
+            }
+            if (/[\\/]$/.test(String(p))) {
+                fs.mkdirSync(target);
+            } else {
+                fs.writeFileSync(target, "");
+            }
+            return true;
+        },
+        createWithDirs: (p) => {
+            files.ensureDir(p);
+            return files.create(p);
+        },
+        read: (p, encoding) => fs.readFileSync(resolve(p), encoding || "utf-8"),
+        write: (p, text, encoding) => {
+            fs.writeFileSync(resolve(p), String(text), encoding || "utf-8");
+        },
+        append: (p, text, encoding) => {
+            fs.appendFileSync(resolve(p), String(text), encoding || "utf-8");
+        },
+        listDir: (p, filter) => {
+            const names = fs.readdirSync(resolve(p));
+            return typeof filter === "function" ? names.filter(filter) : names;
+        },
+        copy: (from, to) => {
+            fs.copyFileSync(resolve(from), resolve(to));
+            return true;
+        },
+        move: (from, to) => {
+            fs.renameSync(resolve(from), resolve(to));
+            return true;
+        },
+        rename: (p, newName) => {
+            const target = resolve(p);
+            fs.renameSync(target, path.join(path.dirname(target), newName));
+            return true;
+        },
+        remove: (p) => {
+            if (!files.isFile(p)) {
+                return false;
+            }
+            fs.unlinkSync(resolve(p));
+            return true;
+        },
+        removeDir: (p) => {
+            if (!files.isDir(p)) {
+                return false;
+            }
+            fs.rmSync(resolve(p), { recursive: true, force: true });
+            return true;
+        }
+    };
+
+    return files;
+}
+
+// Engines stand-in; scripts loaded by the host never see themselves as the main engine
+function createEngines(cwd) {
+    const hostEngine = {
+        toString: () => "HeadlessEngine[host]",
+        cwd: () => cwd,
+        execArgv: {}
+    };
+    const scriptEngine = {
+        toString: () => "HeadlessEngine[script]",
+        cwd: () => cwd,
+        execArgv: {}
+    };
+
+    return {
+        myEngine: () => scriptEngine,
+        all: () => [hostEngine, scriptEngine]
+    };
+}
+
+function createToast(log) {
+    const shown = [];
+    const toast = function(message) {
+        shown.push(String(message));
+        if (log) {
+            console.log(`[toast] ${message}`);
+        }
+    };
+    toast.shown = shown;
+    return toast;
+}
+
+function createEvents() {
+    const emitter = new EventEmitter();
+    return {
+        on: (event, listener) => emitter.on(event, listener),
+        once: (event, listener) => emitter.once(event, listener),
+        emit: function() {
+            return emitter.emit.apply(emitter, arguments);
+        },
+        removeAllListeners: (event) => emitter.removeAllListeners(event),
+        listenerCount: (event) => emitter.listenerCount(event)
+    };
+}
+
+// Recursive stand-in for the `android.*` Java package tree
+function createJavaPackage(name, overrides) {
+    const cache = {};
+    const target = function() {};
+
+    return new Proxy(target, {
+        get(_, prop) {
+            if (prop === "toString" || prop === Symbol.toPrimitive) {
+                return () => `[JavaPackage ${name}]`;
+            }
+            if (typeof prop !== "string") {
+                return undefined;
+            }
+            const qualified = `${name}.${prop}`;
+            if (qualified in overrides) {
+                return overrides[qualified];
+            }
+            if (!cache[prop]) {
+                cache[prop] = createJavaPackage(qualified, overrides);
+            }
+            return cache[prop];
+        },
+        apply() {
+            return undefined;
+        },
+        construct() {
+            return { javaClass: name };
+        }
+    });
+}
+
+function createAndroid() {
+    return createJavaPackage("android", {
+        "android.graphics.Color": {
+            parseColor: (color) => {
+                const hex = String(color).replace(/^#/, "");
+                const argb = hex.length === 6 ? "FF" + hex : hex;
+                return parseInt(argb, 16) | 0;
+            }
+        }
+    });
+}
+
+// Creates the full set of stand-in globals
+function createStandIns(options) {
+    options = options || {};
+    const cwd = options.cwd || process.cwd();
+
+    const standIns = {
+        __layout: layout,
+        floaty: createFloaty(),
+        files: createFiles(cwd),
+        engines: createEngines(cwd),
+        toast: createToast(options.logToasts !== false),
+        events: createEvents(),
+        device: {
+            width: 1080,
+            height: 2340,
+            brand: "CustomAutoJS",
+            model: "Headless Host",
+            sdkInt: 30,
+            release: "11"
+        },
+        app: {
+            versionName: "headless",
+            versionCode: 0,
+            startedActivities: [],
+            startActivity: function(intent) {
+                this.startedActivities.push(intent);
+            }
+        },
+        android: createAndroid(),
+        monitor: options.monitor || createScriptableMonitor()
+    };
+
+    return Object.assign(standIns, options.overrides || {});
+}
+
+module.exports = {
+    createStandIns: createStandIns,
+    layout: layout,
+    FakeView: FakeView,
+    FakeWindow: FakeWindow
+};
@@ -0,0 +1,337 @@
+/**
+ * XML Layout Literal Support for the Headless Host
+ *
+ * AutoJS scripts embed layouts directly as XML literals, for example
+ * `floaty.window(<frame id="main">...</frame>)`. Plain Node.js cannot parse
+ * these, so the headless host rewrites every literal into a call to a layout
+ * factory before the script is evaluated:
+ *
+ *   <text id="title" text={name}/>  =>  __layout("text", {"id": "title", "text": (name)}, [])
+ *
+ * The rewrite preserves line numbers so stack traces still point at the
+ * original source.
+ */
+
+const IDENTIFIER_CHAR = /[A-Za-z0-9_$]/;
+const TAG_NAME_CHAR = /[A-Za-z0-9_:.\-]/;
+
+// Keywords after which an expression (and therefore an XML literal) may start
+const EXPRESSION_KEYWORDS = ["return", "case", "yield", "await", "typeof", "void", "else", "do"];
+
+// Punctuation after which an expression may start
+const EXPRESSION_PUNCTUATION = "(,=:?[{;!&|+-*%~^";
+
+const XML_ENTITIES = {
+    "&amp;": "&",
+    "&lt;": "<",
+    "&gt;": ">",
+    "&quot;": "\"",
+    "&apos;": "'"
+};
+
+// Rewrites all XML literals in the given source
+function transformXmlLiterals(source, factoryName = "__layout") {
+    const state = {
+        src: source,
+        pos: 0,
+        factory: factoryName
+    };
+    return transformCode(state, false);
+}
+
+// Copies JavaScript code, rewriting XML literals; stops at an unmatched `}` when stopAtBrace is set
+function transformCode(state, stopAtBrace) {
+    const src = state.src;
+    let out = "";
+    let braceDepth = 0;
+    let lastSignificant = "";
+    let lastWord = "";
+
+    while (state.pos < src.length) {
+        const ch = src[state.pos];
+        const next = src[state.pos + 1];
+
+        // Comments
+        if (ch === "/" && next === "/") {
+            const end = src.indexOf("\n", state.pos);
+            const stop = end === -1 ? src.length : end;
+            out += src.slice(state.pos, stop);
+            state.pos = stop;
+            continue;
+        }
+        if (ch === "/" && next === "*") {
+            const end = src.indexOf("*/", state.pos + 2);
+            const stop = end === -1 ? src.length : end + 2;
+            out += src.slice(state.pos, stop);
+            state.pos = stop;
+            continue;
+        }
+
+        // String literals
+        if (ch === "'" || ch === "\"") {
+            out += readQuoted(state, ch);
+            lastSignificant = ch;
+            lastWord = "";
+            continue;
+        }
+
+        // Template literals, recursing into ${...} substitutions
+        if (ch === "`") {
+            out += readTemplate(state);
+            lastSignificant = "`";
+            lastWord = "";
+            continue;
+        }
+
+        // Regular expression literals
+        if (ch === "/" && startsExpression(lastSignificant, lastWord)) {
+            out += readRegex(state);
+            lastSignificant = "/";
+            lastWord = "";
+            continue;
+        }
+
+        // XML literals
+        if (ch === "<" && /[A-Za-z]/.test(next || "") && startsExpression(lastSignificant, lastWord)) {
+            const start = state.pos;
+            let element = parseElement(state);
+
+            // Keep the line count stable for readable stack traces
+            const missingLines = countNewlines(src.slice(start, state.pos)) - countNewlines(element);
+            if (missingLines > 0) {
+                element += "\n".repeat(missingLines);
+            }
+
+            out += element;
+            lastSignificant = ")";
+            lastWord = "";
+            continue;
+        }
+
+        if (stopAtBrace) {
+            if (ch === "{") {
+                braceDepth++;
+            } else if (ch === "}") {
+                if (braceDepth === 0) {
+                    return out;
+                }
+                braceDepth--;
+            }
+        }
+
+        if (IDENTIFIER_CHAR.test(ch)) {
+            let word = "";
+            while (state.pos < src.length && IDENTIFIER_CHAR.test(src[state.pos])) {
+                word += src[state.pos];
+                state.pos++;
+            }
+            out += word;
+            lastSignificant = "w";
+            lastWord = word;
+            continue;
+        }
+
+        if (!/\s/.test(ch)) {
+            // Treat the arrow of `=>` as an expression start, unlike a comparison `>`
+            lastSignificant = ch === ">" && src[state.pos - 1] === "=" ? "=" : ch;
+            lastWord = "";
+        }
+
+        out += ch;
+        state.pos++;
+    }
+
+    if (stopAtBrace) {
+        throw new SyntaxError("Unterminated expression inside XML literal");
+    }
+
+    return out;
+}
+
+// Whether a `<` or `/` after the given token begins an expression
+function startsExpression(lastSignificant, lastWord) {
+    if (lastSignificant === "") {
+        return true;
+    }
+    if (lastSignificant === "w") {
+        return EXPRESSION_KEYWORDS.indexOf(lastWord) !== -1;
+    }
+    return EXPRESSION_PUNCTUATION.indexOf(lastSignificant) !== -1;
+}
+
+function readQuoted(state, quote) {
+    const src = state.src;
+    const start = state.pos;
+    state.pos++;
+    while (state.pos < src.length && src[state.pos] !== quote) {
+        if (src[state.pos] === "\\") {
+            state.pos++;
+        }
+        state.pos++;
+    }
+    state.pos++;
+    return src.slice(start, state.pos);
+}
+
+function readTemplate(state) {
+    const src = state.src;
+    let out = "`";
+    state.pos++;
+    while (state.pos < src.length && src[state.pos] !== "`") {
+        if (src[state.pos] === "\\") {
+            out += src.slice(state.pos, state.pos + 2);
+            state.pos += 2;
+            continue;
+        }
+        if (src[state.pos] === "$" && src[state.pos + 1] === "{") {
+            state.pos += 2;
+            out += "${" + transformCode(state, true) + "}";
+            state.pos++;
+            continue;
+        }
+        out += src[state.pos];
+        state.pos++;
+    }
+    state.pos++;
+    return out + "`";
+}
+
+function readRegex(state) {
+    const src = state.src;
+    const start = state.pos;
+    let inClass = false;
+    state.pos++;
+    while (state.pos < src.length) {
+        const ch = src[state.pos];
+        if (ch === "\\") {
+            state.pos += 2;
+            continue;
+        }
+        if (ch === "[") {
+            inClass = true;
+        } else if (ch === "]") {
+            inClass = false;
+        } else if (ch === "/" && !inClass) {
+            break;
+        } else if (ch === "\n") {
+            throw new SyntaxError(`Unterminated regular expression at offset ${start}`);
+        }
+        state.pos++;
+    }
+    state.pos++;
+    while (state.pos < src.length && /[a-z]/.test(src[state.pos])) {
+        state.pos++;
+    }
+    return src.slice(start, state.pos);
+}
+
+// Parses one element starting at `<` and returns the factory call source
+function parseElement(state) {
+    const src = state.src;
+    state.pos++;
+    const tag = readWhile(state, TAG_NAME_CHAR);
+    const attrs = [];
+    const children = [];
+
+    // Attributes
+    while (true) {
+        skipWhitespace(state);
+        if (state.pos >= src.length) {
+            throw new SyntaxError(`Unterminated XML literal <${tag}>`);
+        }
+        if (src.startsWith("/>", state.pos)) {
+            state.pos += 2;
+            return buildCall(state.factory, tag, attrs, children);
+        }
+        if (src[state.pos] === ">") {
+            state.pos++;
+            break;
+        }
+
+        const name = readWhile(state, /[^\s=\/>]/);
+        skipWhitespace(state);
+        if (src[state.pos] !== "=") {
+            attrs.push([name, "true"]);
+            continue;
+        }
+        state.pos++;
+        skipWhitespace(state);
+
+        const quote = src[state.pos];
+        if (quote === "\"" || quote === "'") {
+            const end = src.indexOf(quote, state.pos + 1);
+            attrs.push([name, JSON.stringify(decodeEntities(src.slice(state.pos + 1, end)))]);
+            state.pos = end + 1;
+        } else if (quote === "{") {
+            state.pos++;
+            attrs.push([name, "(" + transformCode(state, true) + ")"]);
+            state.pos++;
+        } else {
+            throw new SyntaxError(`Invalid value for attribute "${name}" in <${tag}>`);
+        }
+    }
+
+    // Children
+    while (state.pos < src.length) {
+        if (src.startsWith("</", state.pos)) {
+            state.pos += 2;
+            const closing = readWhile(state, TAG_NAME_CHAR);
+            if (closing !== tag) {
+                throw new SyntaxError(`Mismatched closing tag </${closing}> for <${tag}>`);
+            }
+            skipWhitespace(state);
+            state.pos++;
+            return buildCall(state.factory, tag, attrs, children);
+        }
+        if (src.startsWith("<!--", state.pos)) {
+            state.pos = src.indexOf("-->", state.pos) + 3;
+            continue;
+        }
+        if (src[state.pos] === "<") {
+            children.push(parseElement(state));
+            continue;
+        }
+        if (src[state.pos] === "{") {
+            state.pos++;
+            children.push("(" + transformCode(state, true) + ")");
+            state.pos++;
+            continue;
+        }
+
+        const text = readWhile(state, /[^<{]/).trim();
+        if (text) {
+            children.push(JSON.stringify(decodeEntities(text)));
+        }
+    }
+
+    throw new SyntaxError(`Unterminated XML literal <${tag}>`);
+}
+
+function buildCall(factory, tag, attrs, children) {
+    const attrSource = attrs.map(([name, value]) => `${JSON.stringify(name)}: ${value}`).join(", ");
+    return `${factory}(${JSON.stringify(tag)}, {${attrSource}}, [${children.join(", ")}])`;
+}
+
+function readWhile(state, pattern) {
+    const start = state.pos;
+    while (state.pos < state.src.length && pattern.test(state.src[state.pos])) {
+        state.pos++;
+    }
+    return state.src.slice(start, state.pos);
+}
+
+function skipWhitespace(state) {
+    readWhile(state, /\s/);
+}
+
+function decodeEntities(text) {
+    return text.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+}
+
+function countNewlines(text) {
+    return (text.match(/\n/g) || []).length;
+}
+
+module.exports = {
+    transformXmlLiterals: transformXmlLiterals
+};
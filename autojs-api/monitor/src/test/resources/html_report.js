@@ -0,0 +1,535 @@
+/**
+ * HTML Report Writer for CustomAutoJS
+ *
+ * Renders the JavaScript runner's results as a single self-contained HTML
+ * file (inline CSS and SVG, no scripts or external resources):
+ *
+ * - Summary with pass/fail/skip counts
+ * - Suite tree with expandable error details, assertions and console output
+ * - Bar charts for the timing metrics (`*Ms` values) of performance and stress tests
+ * - Percentile tables for per-call samples (see perf_stats.js)
+ * - Diff of the performance timings against the baseline file (see perf_baseline.js)
+ * - Heap growth graphs for memory tests and soak runs, with the soak run's drift
+ * - Benchmark scores against their history baseline, with regressions flagged
+ * - Device capability snapshot from monitor.getDeviceCapabilities(), one per
+ *   device for reports merged from shards (see sharding.js)
+ *
+ * Colors come from visualizationConfig.colors in test_config.json.
+ */
+
+// Same palette as visualizationConfig.colors in test_config.json
+const DEFAULT_COLORS = {
+    cpu: "#4285F4",
+    memory: "#DB4437",
+    storage: "#F4B400",
+    battery: "#0F9D58",
+    network: "#9C27B0",
+    general: "#757575"
+};
+
+const HTML_FILE_NAME = "report.html";
+
+// Chart dimensions in px
+const CHART_WIDTH = 560;
+const BAR_HEIGHT = 18;
+const BAR_GAP = 6;
+const LABEL_WIDTH = 180;
+const GRAPH_HEIGHT = 180;
+const GRAPH_PADDING = 36;
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+function formatNumber(value) {
+    if (typeof value !== "number" || !isFinite(value)) {
+        return String(value);
+    }
+    return value % 1 === 0 ? String(value) : value.toFixed(2);
+}
+
+function formatValue(value) {
+    if (typeof value === "number") {
+        return formatNumber(value);
+    }
+    if (typeof value === "string") {
+        return value;
+    }
+    try {
+        return JSON.stringify(value);
+    } catch (e) {
+        return String(value);
+    }
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) {
+        return (bytes / (1024 * 1024 * 1024)).toFixed(1) + " GB";
+    }
+    return (bytes / (1024 * 1024)).toFixed(1) + " MB";
+}
+
+function getStatus(entry) {
+    if (entry.skipped) {
+        return "skipped";
+    }
+    if (entry.passed) {
+        return entry.flaky ? "flaky" : "passed";
+    }
+    return entry.quarantined ? "quarantined" : "failed";
+}
+
+// Statuses in display order; flaky tests passed on a retry, quarantined tests failed without failing the run
+const STATUSES = ["passed", "flaky", "failed", "quarantined", "skipped"];
+
+function statusColor(status, colors) {
+    return {
+        passed: colors.battery,
+        flaky: colors.network,
+        failed: colors.memory,
+        quarantined: colors.general,
+        skipped: colors.storage
+    }[status];
+}
+
+// Flattens nested metrics into [path, value] pairs, e.g. ["frame.avgMs", 0.8]
+function flattenMetrics(metrics, prefix) {
+    let pairs = [];
+    Object.keys(metrics || {}).forEach(key => {
+        const path = prefix ? `${prefix}.${key}` : key;
+        const value = metrics[key];
+        if (value && typeof value === "object" && !Array.isArray(value)) {
+            pairs = pairs.concat(flattenMetrics(value, path));
+        } else {
+            pairs.push([path, value]);
+        }
+    });
+    return pairs;
+}
+
+// Statistics from perf_stats.js summarizeSamples()
+function isSampleStats(value) {
+    return !!value && typeof value === "object" && typeof value.p50Ms === "number";
+}
+
+/**
+ * Sample statistics in the metrics, top-level or grouped one level down, as
+ * { label, path, stats } rows: { methods: { isLowBattery: stats } } gives
+ * { label: "isLowBattery", path: "methods.isLowBattery", stats }.
+ */
+function findSampleStats(metrics) {
+    const rows = [];
+    Object.keys(metrics || {}).forEach(key => {
+        const value = metrics[key];
+        if (isSampleStats(value)) {
+            rows.push({ label: key, path: key, stats: value });
+        } else if (value && typeof value === "object" && Object.keys(value).length > 0 &&
+            Object.keys(value).every(child => isSampleStats(value[child]))) {
+            Object.keys(value).forEach(child => rows.push({ label: child, path: `${key}.${child}`, stats: value[child] }));
+        }
+    });
+    return rows;
+}
+
+// Sub-millisecond timings keep three significant digits
+function formatMs(value) {
+    return value > 0 && value < 1 ? value.toPrecision(3) : formatNumber(value);
+}
+
+function renderSampleStats(rows, colors) {
+    const header = ["", "Samples", "Outliers", "Mean ± SD", "p50", "p90", "p99", "Max"];
+    const body = rows.map(row => {
+        const stats = row.stats;
+        return [row.label, stats.samples, stats.outliers,
+            `${formatMs(stats.meanMs)} ± ${formatMs(stats.stdDevMs)}`,
+            formatMs(stats.p50Ms), formatMs(stats.p90Ms), formatMs(stats.p99Ms), formatMs(stats.maxMs)];
+    });
+    return renderBarChart(rows.map(row => [`${row.label} p99`, row.stats.p99Ms]), colors.cpu, "ms") +
+        `<table><tr>${header.map(cell => `<th>${escapeHtml(cell)}</th>`).join("")}</tr>` +
+        body.map(cells => `<tr>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("") +
+        `</table><p class="muted">Times in ms, after dropping outliers</p>`;
+}
+
+// Timing values are numbers under a key ending in "Ms"
+function isTimingPath(path) {
+    return path.split(".").some(segment => /Ms$/.test(segment));
+}
+
+// Horizontal bar chart of [label, value] pairs
+function renderBarChart(pairs, color, unit) {
+    const max = Math.max.apply(null, pairs.map(pair => pair[1]).concat([0]));
+    const height = pairs.length * (BAR_HEIGHT + BAR_GAP) + BAR_GAP;
+    const barSpace = CHART_WIDTH - LABEL_WIDTH - 80;
+
+    const bars = pairs.map((pair, i) => {
+        const y = BAR_GAP + i * (BAR_HEIGHT + BAR_GAP);
+        const width = max > 0 ? Math.max(pair[1] / max * barSpace, 1) : 1;
+        return `<text x="${LABEL_WIDTH - 6}" y="${y + BAR_HEIGHT - 5}" text-anchor="end">${escapeHtml(pair[0])}</text>` +
+            `<rect x="${LABEL_WIDTH}" y="${y}" width="${width.toFixed(1)}" height="${BAR_HEIGHT}" fill="${color}"/>` +
+            `<text x="${(LABEL_WIDTH + width + 6).toFixed(1)}" y="${y + BAR_HEIGHT - 5}">${escapeHtml(formatNumber(pair[1]))} ${unit}</text>`;
+    }).join("");
+
+    return `<svg class="chart" width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}">${bars}</svg>`;
+}
+
+// Line graph of heap growth per iteration, with the leak threshold as a dashed line
+function renderMemoryGraph(memory, colors) {
+    const series = memory.series || [];
+    if (series.length === 0) {
+        return "";
+    }
+
+    const values = series.map(point => point.growthPercent);
+    const maxY = Math.max.apply(null, values.concat([memory.thresholdPercent || 0, 1]));
+    const minY = Math.min.apply(null, values.concat([0]));
+    const plotWidth = CHART_WIDTH - GRAPH_PADDING * 2;
+    const plotHeight = GRAPH_HEIGHT - GRAPH_PADDING * 2;
+    const x = (i) => GRAPH_PADDING + (series.length > 1 ? i / (series.length - 1) : 0) * plotWidth;
+    const y = (value) => GRAPH_PADDING + (maxY - value) / (maxY - minY) * plotHeight;
+
+    const points = series.map((point, i) => `${x(i).toFixed(1)},${y(point.growthPercent).toFixed(1)}`).join(" ");
+    const threshold = memory.thresholdPercent === undefined ? "" :
+        `<line x1="${GRAPH_PADDING}" x2="${CHART_WIDTH - GRAPH_PADDING}" y1="${y(memory.thresholdPercent).toFixed(1)}" ` +
+        `y2="${y(memory.thresholdPercent).toFixed(1)}" stroke="${colors.storage}" stroke-dasharray="4 3"/>` +
+        `<text x="${CHART_WIDTH - GRAPH_PADDING}" y="${(y(memory.thresholdPercent) - 4).toFixed(1)}" text-anchor="end">threshold ${formatNumber(memory.thresholdPercent)}%</text>`;
+
+    return `<svg class="chart" width="${CHART_WIDTH}" height="${GRAPH_HEIGHT}" viewBox="0 0 ${CHART_WIDTH} ${GRAPH_HEIGHT}">` +
+        `<line x1="${GRAPH_PADDING}" x2="${CHART_WIDTH - GRAPH_PADDING}" y1="${y(0).toFixed(1)}" y2="${y(0).toFixed(1)}" stroke="${colors.general}"/>` +
+        `<line x1="${GRAPH_PADDING}" x2="${GRAPH_PADDING}" y1="${GRAPH_PADDING}" y2="${GRAPH_HEIGHT - GRAPH_PADDING}" stroke="${colors.general}"/>` +
+        `<text x="${GRAPH_PADDING - 4}" y="${GRAPH_PADDING + 4}" text-anchor="end">${formatNumber(maxY)}%</text>` +
+        `<text x="${GRAPH_PADDING - 4}" y="${(y(0) + 4).toFixed(1)}" text-anchor="end">0%</text>` +
+        `<text x="${CHART_WIDTH - GRAPH_PADDING}" y="${GRAPH_HEIGHT - GRAPH_PADDING + 16}" text-anchor="end">iteration ${series.length}</text>` +
+        threshold +
+        `<polyline points="${points}" fill="none" stroke="${colors.memory}" stroke-width="2"/>` +
+        `</svg>`;
+}
+
+// Stacked bar of the status counts
+function renderSummaryBar(counts, colors) {
+    const total = STATUSES.reduce((sum, status) => sum + counts[status], 0);
+    if (total === 0) {
+        return "";
+    }
+    let x = 0;
+    const segments = STATUSES.map(status => {
+        const width = counts[status] / total * CHART_WIDTH;
+        const rect = `<rect x="${x.toFixed(1)}" y="0" width="${width.toFixed(1)}" height="14" fill="${statusColor(status, colors)}"/>`;
+        x += width;
+        return rect;
+    }).join("");
+    return `<svg class="chart" width="${CHART_WIDTH}" height="14" viewBox="0 0 ${CHART_WIDTH} 14">${segments}</svg>`;
+}
+
+function renderTable(rows) {
+    return `<table>${rows.map(row =>
+        `<tr><th>${escapeHtml(row[0])}</th><td>${escapeHtml(row[1])}</td></tr>`).join("")}</table>`;
+}
+
+function renderDetails(entry, colors) {
+    const parts = [];
+
+    if (entry.error) {
+        parts.push(`<pre class="error">${escapeHtml(entry.errorType ? `${entry.errorType}: ${entry.error}` : entry.error)}</pre>`);
+    }
+    if (entry.skipReason) {
+        parts.push(`<p>Skipped: ${escapeHtml(entry.skipReason)}</p>`);
+    }
+    if (entry.skipDetails && entry.skipDetails.violations) {
+        parts.push(renderTable(entry.skipDetails.violations.map(violation =>
+            [violation.guard, `${formatValue(violation.actual)} (limit ${formatValue(violation.limit)})`])));
+    }
+    if (entry.quarantineReason) {
+        parts.push(`<p>Quarantined: ${escapeHtml(entry.quarantineReason)}</p>`);
+    }
+    if (entry.failedAttempts) {
+        parts.push(renderTable(entry.failedAttempts.map(attempt =>
+            [`Attempt ${attempt.attempt}`, `${attempt.errorType}: ${attempt.error}`])));
+    }
+    if (entry.leakedResources) {
+        parts.push(`<p>Leaked resources (released automatically): ${escapeHtml(entry.leakedResources.join(", "))}</p>`);
+    }
+    if (entry.assertion) {
+        parts.push(renderTable([
+            ["Expected", formatValue(entry.assertion.expected)],
+            ["Actual", formatValue(entry.assertion.actual)],
+            ["Operator", entry.assertion.operator || ""]
+        ]));
+    }
+
+    if (entry.metrics) {
+        const sampleStats = findSampleStats(entry.metrics);
+        if (sampleStats.length > 0) {
+            parts.push(renderSampleStats(sampleStats, colors));
+        }
+        const pairs = flattenMetrics(entry.metrics)
+            .filter(pair => !sampleStats.some(row => pair[0].indexOf(row.path + ".") === 0));
+        const timings = pairs.filter(pair => typeof pair[1] === "number" && isTimingPath(pair[0]));
+        if (timings.length > 0) {
+            parts.push(renderBarChart(timings, colors.cpu, "ms"));
+        }
+        parts.push(renderTable(pairs.map(pair => [pair[0], formatValue(pair[1])])));
+    }
+
+    if (entry.benchmark) {
+        parts.push(renderBenchmark(entry.benchmark, colors));
+    }
+
+    if (entry.soak) {
+        parts.push(renderSoak(entry.soak));
+    }
+
+    if (entry.memory) {
+        parts.push(renderMemoryGraph(entry.memory, colors));
+        parts.push(renderTable([
+            ["Source", entry.memory.source],
+            ["Baseline", formatBytes(entry.memory.baselineBytes)],
+            ["Final", formatBytes(entry.memory.finalBytes)],
+            ["Growth", `${formatNumber(entry.memory.growthPercent)}% (threshold ${formatNumber(entry.memory.thresholdPercent)}%)`]
+        ]));
+    }
+
+    if (entry.checks) {
+        parts.push(renderTable(entry.checks.map(check => [check.name, check.passed ? "passed" : "failed"])));
+    }
+
+    if (entry.output && entry.output.length > 0) {
+        const lines = entry.output.map(line => `[${line.level}] ${line.message}`);
+        if (entry.outputTruncated) {
+            lines.push(`... ${entry.outputTruncated} more lines not captured`);
+        }
+        parts.push(`<details><summary>Console output (${entry.output.length} lines)</summary><pre>${escapeHtml(lines.join("\n"))}</pre></details>`);
+    }
+
+    return parts.join("");
+}
+
+// Benchmark scores and, with a history, their comparison with the baseline runs
+function renderBenchmark(benchmark, colors) {
+    const history = benchmark.history;
+    if (!history) {
+        return renderTable(["cpuScore", "memoryScore", "combinedScore", "performanceClass"]
+            .map(key => [key, formatValue(benchmark[key])]));
+    }
+    const rows = history.comparisons.map(comparison => {
+        const cells = [
+            comparison.metric,
+            formatValue(comparison.current),
+            comparison.mean === null ? "" : `${formatNumber(comparison.mean)} ± ${formatNumber(comparison.stdDev)}`,
+            comparison.changePercent === null ? "" : `${comparison.changePercent > 0 ? "+" : ""}${comparison.changePercent.toFixed(1)}%`,
+            comparison.zScore === null ? "" : comparison.zScore.toFixed(2),
+            comparison.regression ? "regression" : ""
+        ];
+        const style = comparison.regression ? ` style="color:${colors.memory}"` : "";
+        return `<tr${style}>${cells.map(cell => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`;
+    }).join("");
+    return `<p>${escapeHtml(`${history.deviceModel} ${history.appVersion}, baseline of ${history.baselineRuns} runs` +
+            (history.baselineVersions.length > 0 ? ` (${history.baselineVersions.join(", ")})` : "") +
+            (history.sufficient ? "" : ", too few runs for a regression check"))}</p>` +
+        `<table><tr><th>Score</th><th>Current</th><th>Baseline</th><th>Change</th><th>z</th><th></th></tr>${rows}</table>`;
+}
+
+// Drift of a soak run between its first and last snapshots (see soak.js)
+function renderSoak(soak) {
+    const drift = soak.drift;
+    const rows = [
+        ["Cycles", `${soak.cycles} in ${formatNumber(soak.durationSeconds)} s, ${soak.snapshots} snapshots`],
+        ["Errors", `${drift.errors.total} of ${drift.errors.operations} operations`]
+    ];
+    if (drift.memory) {
+        rows.push(["Heap", `${formatBytes(drift.memory.earlyBytes)} -> ${formatBytes(drift.memory.lateBytes)} ` +
+            `(${formatNumber(drift.memory.changePercent)}%)`]);
+    }
+    Object.keys(drift.latency).forEach(operation => {
+        const latency = drift.latency[operation];
+        rows.push([`Median ${operation} latency`, `${formatMs(latency.earlyMs)} ms -> ${formatMs(latency.lateMs)} ms ` +
+            `(${formatNumber(latency.changePercent)}%)`]);
+    });
+    if (soak.timeSeriesPath) {
+        rows.push(["Time series", soak.timeSeriesPath]);
+    }
+    return renderTable(rows);
+}
+
+function renderTest(entry, colors) {
+    const status = getStatus(entry);
+    const duration = entry.duration !== undefined ? `${entry.duration} ms` : "";
+    const details = renderDetails(entry, colors);
+    const summary = `<span class="badge" style="background:${statusColor(status, colors)}">${status}</span> ` +
+        `${escapeHtml(entry.name)} <span class="muted">${escapeHtml(duration)}</span>` +
+        (entry.tags && entry.tags.length > 0 ? ` <span class="muted">[${escapeHtml(entry.tags.join(", "))}]</span>` : "") +
+        (entry.device ? ` <span class="muted">@ ${escapeHtml(entry.device)}</span>` : "");
+
+    if (!details) {
+        return `<div class="test">${summary}</div>`;
+    }
+    return `<details class="test"${status === "failed" || status === "quarantined" ? " open" : ""}><summary>${summary}</summary>${details}</details>`;
+}
+
+function countStatuses(entries) {
+    const counts = {};
+    STATUSES.forEach(status => {
+        counts[status] = 0;
+    });
+    entries.forEach(entry => {
+        counts[getStatus(entry)]++;
+    });
+    return counts;
+}
+
+// e.g. "12 passed, 1 flaky, 0 failed, 2 skipped"; flaky and quarantined only when present
+function describeCounts(counts) {
+    return STATUSES
+        .filter(status => counts[status] > 0 || ["passed", "failed", "skipped"].indexOf(status) !== -1)
+        .map(status => `${counts[status]} ${status}`)
+        .join(", ");
+}
+
+function renderSuite(name, entries, colors) {
+    const counts = countStatuses(entries);
+    return `<details class="suite" open><summary><strong>${escapeHtml(name)}</strong> ` +
+        `<span class="muted">${describeCounts(counts)}</span></summary>` +
+        entries.map(entry => renderTest(entry, colors)).join("") +
+        `</details>`;
+}
+
+function renderCapabilities(capabilities) {
+    if (!capabilities) {
+        return "<p class=\"muted\">Device capabilities not available</p>";
+    }
+    return Object.keys(capabilities).map(section => {
+        const values = capabilities[section];
+        if (!values || typeof values !== "object") {
+            return renderTable([[section, formatValue(values)]]);
+        }
+        const rows = Object.keys(values).map(key => {
+            const value = values[key];
+            const isBytes = typeof value === "number" && /(Mem|Internal)$/.test(key);
+            return [key, isBytes ? formatBytes(value) : formatValue(value)];
+        });
+        return `<h3>${escapeHtml(section)}</h3>${renderTable(rows)}`;
+    }).join("");
+}
+
+// Timings against the performance baseline, regressions first
+function renderPerfBaseline(comparison, colors) {
+    if (comparison.error) {
+        return `<p style="color:${colors.memory}">Baseline ${escapeHtml(comparison.path)} could not be used: ${escapeHtml(comparison.error)}</p>`;
+    }
+    if (comparison.mode === "update") {
+        return `<p>Baseline ${escapeHtml(comparison.path)} updated for: ${escapeHtml(comparison.updatedTests.join(", ") || "no tests")}</p>`;
+    }
+    if (comparison.missingBaseline) {
+        return `<p class="muted">No baseline at ${escapeHtml(comparison.path)}</p>`;
+    }
+    const order = ["regressed", "new", "improved", "unchanged"];
+    const rows = comparison.rows.slice().sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status));
+    const statusStyle = {
+        regressed: ` style="color:${colors.memory}"`,
+        improved: ` style="color:${colors.battery}"`
+    };
+    return `<p class="muted">${escapeHtml(comparison.path)}, recorded on ${escapeHtml(comparison.baselineDevice || "unknown device")} ` +
+        `(${escapeHtml(comparison.baselineAppVersion || "unknown version")}); tolerance ${formatNumber(comparison.tolerancePercent)}% ` +
+        `and ${formatNumber(comparison.minDeltaMs)} ms</p>` +
+        `<table><tr><th>Test</th><th>Metric</th><th>Baseline (ms)</th><th>Current (ms)</th><th>Change</th><th>Status</th></tr>` +
+        rows.map(row => `<tr${statusStyle[row.status] || ""}>` + [
+            row.test,
+            row.name,
+            row.baseline === null ? "" : formatMs(row.baseline),
+            formatMs(row.current),
+            row.changePercent === null ? "" : `${row.changePercent > 0 ? "+" : ""}${row.changePercent.toFixed(1)}%`,
+            row.status
+        ].map(cell => `<td>${escapeHtml(cell)}</td>`).join("") + `</tr>`).join("") +
+        `</table>` +
+        (comparison.missing.length > 0 ? `<p class="muted">Not measured in this run: ${escapeHtml(comparison.missing
+            .map(metric => `${metric.test} ${metric.name}`).join(", "))}</p>` : "");
+}
+
+// Per-shard results and device capabilities of a merged report
+function renderShards(report) {
+    const rows = report.shards.map(shard => [
+        shard.label,
+        `${shard.success ? "SUCCESS" : "FAILURE"}: ${shard.passedTests} passed, ${shard.failedTests} failed, ` +
+            `${shard.skippedTests} skipped in ${formatNumber(shard.durationSeconds)} s`
+    ]).concat((report.missingShards || []).map(index => [`shard ${index + 1}`, "FAILURE: no report"]));
+    return renderTable(rows) + report.shards.map(shard =>
+        `<details><summary>${escapeHtml(shard.label)}</summary>${renderCapabilities(shard.deviceCapabilities)}</details>`).join("");
+}
+
+/**
+ * Builds the HTML document for a runner report.
+ * - report: report.json contents plus optional deviceCapabilities
+ * - options: { suiteNames, colors, title }
+ */
+function toHtmlReport(report, options) {
+    options = options || {};
+    const colors = Object.assign({}, DEFAULT_COLORS, options.colors || {});
+    const entries = report.detailedResults || [];
+
+    const order = (options.suiteNames || []).slice();
+    entries.forEach(entry => {
+        const name = entry.suite || "default";
+        if (order.indexOf(name) === -1) {
+            order.push(name);
+        }
+    });
+    const suites = order
+        .map(name => ({ name: name, entries: entries.filter(entry => (entry.suite || "default") === name) }))
+        .filter(suite => suite.entries.length > 0);
+
+    const counts = countStatuses(entries);
+    const title = options.title || "CustomAutoJS Test Report";
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: sans-serif; margin: 24px; color: #212121; }
+h1 { margin-bottom: 4px; }
+.muted { color: ${colors.general}; font-size: 0.9em; }
+.result { font-weight: bold; color: ${report.success ? colors.battery : colors.memory}; }
+.suite { margin: 12px 0; padding: 8px 12px; border-left: 4px solid ${colors.cpu}; background: #FAFAFA; }
+.test { margin: 6px 0 6px 16px; }
+.badge { display: inline-block; min-width: 56px; padding: 1px 6px; border-radius: 3px; color: #FFFFFF; font-size: 0.8em; text-align: center; }
+.error { color: ${colors.memory}; }
+.chart { display: block; margin: 8px 0; font-size: 11px; }
+.chart text { fill: #212121; }
+table { border-collapse: collapse; margin: 8px 0; font-size: 0.9em; }
+th, td { border: 1px solid #E0E0E0; padding: 2px 8px; text-align: left; }
+th { background: #F5F5F5; font-weight: normal; color: ${colors.general}; }
+pre { white-space: pre-wrap; background: #F5F5F5; padding: 6px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p><span class="result">${report.success ? "SUCCESS" : "FAILURE"}</span>
+<span class="muted">Test type: ${escapeHtml(report.testType)} | ${escapeHtml(report.timestamp)} | ${formatNumber(report.durationSeconds || 0)} s</span></p>
+<p>${describeCounts(counts)}${report.deselectedTests ?
+    `, ${report.deselectedTests} deselected (${escapeHtml(report.testFilter)})` : ""}</p>
+${renderSummaryBar(counts, colors)}
+${report.benchmarkRegressions && report.benchmarkRegressions.length > 0 ?
+    `<p class="error">Benchmark regressions: ${escapeHtml(report.benchmarkRegressions.map(regression => regression.metric).join(", "))}</p>` : ""}
+${report.perfBaseline ? `<h2>Performance Baseline</h2>
+${renderPerfBaseline(report.perfBaseline, colors)}` : ""}
+<h2>Test Suites</h2>
+${suites.map(suite => renderSuite(suite.name, suite.entries, colors)).join("\n")}
+${report.shards ? `<h2>Devices</h2>
+${renderShards(report)}` : `<h2>Device Capabilities</h2>
+${renderCapabilities(report.deviceCapabilities)}`}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    toHtmlReport: toHtmlReport,
+    escapeHtml: escapeHtml,
+    DEFAULT_COLORS: DEFAULT_COLORS,
+    HTML_FILE_NAME: HTML_FILE_NAME
+};
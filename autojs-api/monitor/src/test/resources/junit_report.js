@@ -0,0 +1,222 @@
+/**
+ * JUnit XML Report Writer for CustomAutoJS
+ *
+ * Converts the JavaScript runner's detailedResults into the JUnit XML format
+ * the Kotlin tests produce (TEST-*.xml), so CI servers can show both in one
+ * test-results view.
+ *
+ * - One <testsuite> per runner suite (basic, integration, ...), in suite order
+ * - Failed checks (AssertionError) become <failure>, any other exception <error>
+ * - Skipped tests become <skipped> with the skip reason, and so do failures of
+ *   quarantined tests, so they don't fail the build
+ * - Failed attempts of tests that passed on a retry become <flakyFailure>, as
+ *   in Maven Surefire reports
+ * - Captured console output goes to <system-out>/<system-err>
+ * - Tests of reports merged from shards name their device in a "device" property
+ * - Numeric metrics become "metric.<name>" properties (see perf_stats.js), for
+ *   CI plugins that chart test properties
+ */
+
+const { toMetricRecords } = require('./perf_stats.js');
+
+// Package prefix for suite and class names, next to the Kotlin test classes
+const JUNIT_PACKAGE = "javascript";
+
+// File name picked up by the usual TEST-*.xml globs
+const JUNIT_FILE_NAME = "TEST-javascript.xml";
+
+// Escapes text for XML attributes and content, dropping characters XML 1.0 cannot contain
+function escapeXml(value) {
+    return String(value === undefined || value === null ? "" : value)
+        .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+function attributes(attrs) {
+    return Object.keys(attrs)
+        .filter(key => attrs[key] !== undefined && attrs[key] !== null)
+        .map(key => ` ${key}="${escapeXml(attrs[key])}"`)
+        .join("");
+}
+
+function seconds(ms) {
+    return ((ms || 0) / 1000).toFixed(3);
+}
+
+function formatValue(value) {
+    if (typeof value === "string") {
+        return value;
+    }
+    try {
+        return JSON.stringify(value);
+    } catch (e) {
+        return String(value);
+    }
+}
+
+// failure, error, skipped or passed
+function getOutcome(entry) {
+    if (entry.skipped || (entry.quarantined && !entry.passed)) {
+        return "skipped";
+    }
+    if (entry.passed) {
+        return "passed";
+    }
+    return entry.assertion || entry.errorType === "AssertionError" ? "failure" : "error";
+}
+
+// Body of a <failure>/<error> element
+function describeFailure(entry) {
+    const lines = [entry.error || "Test failed"];
+    if (entry.assertion) {
+        lines.push(`Expected: ${formatValue(entry.assertion.expected)}`);
+        lines.push(`Actual: ${formatValue(entry.assertion.actual)}`);
+        if (entry.assertion.operator) {
+            lines.push(`Operator: ${entry.assertion.operator}`);
+        }
+    }
+    return lines.join("\n");
+}
+
+// Splits captured console output into stdout (log/info/debug) and stderr (warn/error)
+function splitOutput(entry) {
+    const out = [];
+    const err = [];
+    (entry.output || []).forEach(line => {
+        const target = line.level === "warn" || line.level === "error" ? err : out;
+        target.push(`[${line.level}] ${line.message}`);
+    });
+    if (entry.outputTruncated) {
+        out.push(`... ${entry.outputTruncated} more lines not captured`);
+    }
+    return { out: out.join("\n"), err: err.join("\n") };
+}
+
+function renderTestCase(entry, className) {
+    const outcome = getOutcome(entry);
+    const output = splitOutput(entry);
+    const children = [];
+
+    const properties = [];
+    if (entry.device) {
+        properties.push({ name: "device", value: entry.device });
+    }
+    if (entry.metrics) {
+        toMetricRecords("", entry.metrics).forEach(record => {
+            properties.push({ name: `metric.${record.name}`, value: record.value });
+        });
+    }
+    if (properties.length > 0) {
+        children.push(`<properties>${properties.map(property => `<property${attributes(property)}/>`).join("")}</properties>`);
+    }
+    if (outcome === "skipped" && !entry.skipped) {
+        children.push(`<skipped${attributes({ message: `Quarantined test failed: ${entry.error}` })}>` +
+            `${escapeXml(describeFailure(entry))}</skipped>`);
+    } else if (outcome === "skipped") {
+        children.push(`<skipped${attributes({ message: entry.skipReason })}/>`);
+    } else if (outcome === "failure" || outcome === "error") {
+        children.push(`<${outcome}${attributes({
+            message: entry.error,
+            type: entry.errorType || (outcome === "failure" ? "AssertionError" : "Error")
+        })}>${escapeXml(describeFailure(entry))}</${outcome}>`);
+    }
+    if (entry.flaky) {
+        (entry.failedAttempts || []).forEach(attempt => {
+            children.push(`<flakyFailure${attributes({ message: attempt.error, type: attempt.errorType })}/>`);
+        });
+    }
+    if (output.out) {
+        children.push(`<system-out>${escapeXml(output.out)}</system-out>`);
+    }
+    if (output.err) {
+        children.push(`<system-err>${escapeXml(output.err)}</system-err>`);
+    }
+
+    const open = `    <testcase${attributes({ name: entry.name, classname: className, time: seconds(entry.duration) })}`;
+    if (children.length === 0) {
+        return `${open}/>`;
+    }
+    return `${open}>\n${children.map(child => "      " + child).join("\n")}\n    </testcase>`;
+}
+
+function countOutcomes(entries) {
+    const counts = { tests: entries.length, failures: 0, errors: 0, skipped: 0, time: 0 };
+    entries.forEach(entry => {
+        const outcome = getOutcome(entry);
+        if (outcome === "failure") {
+            counts.failures++;
+        } else if (outcome === "error") {
+            counts.errors++;
+        } else if (outcome === "skipped") {
+            counts.skipped++;
+        }
+        counts.time += entry.duration || 0;
+    });
+    return counts;
+}
+
+/**
+ * Builds the JUnit XML document for a runner report.
+ * - report: { detailedResults, testType, timestamp, hostname }
+ * - suiteNames: suite order, normally Object.keys(testSuites); suites without results are left out
+ */
+function toJUnitXml(report, suiteNames) {
+    const entries = report.detailedResults || [];
+    const order = (suiteNames || []).slice();
+    entries.forEach(entry => {
+        const name = entry.suite || "default";
+        if (order.indexOf(name) === -1) {
+            order.push(name);
+        }
+    });
+
+    const suites = order
+        .map(name => ({ name: name, entries: entries.filter(entry => (entry.suite || "default") === name) }))
+        .filter(suite => suite.entries.length > 0);
+
+    const totals = countOutcomes(entries);
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites${attributes({
+            name: "CustomAutoJS JavaScript Tests",
+            tests: totals.tests,
+            failures: totals.failures,
+            errors: totals.errors,
+            skipped: totals.skipped,
+            time: seconds(totals.time)
+        })}>`
+    ];
+
+    suites.forEach(suite => {
+        const className = `${JUNIT_PACKAGE}.${suite.name}`;
+        const counts = countOutcomes(suite.entries);
+        lines.push(`  <testsuite${attributes({
+            name: className,
+            tests: counts.tests,
+            failures: counts.failures,
+            errors: counts.errors,
+            skipped: counts.skipped,
+            time: seconds(counts.time),
+            timestamp: report.timestamp,
+            hostname: report.hostname
+        })}>`);
+        lines.push(`    <properties>`);
+        lines.push(`      <property${attributes({ name: "testType", value: report.testType })}/>`);
+        lines.push(`    </properties>`);
+        suite.entries.forEach(entry => lines.push(renderTestCase(entry, className)));
+        lines.push(`  </testsuite>`);
+    });
+
+    lines.push(`</testsuites>`);
+    return lines.join("\n") + "\n";
+}
+
+module.exports = {
+    toJUnitXml: toJUnitXml,
+    escapeXml: escapeXml,
+    JUNIT_FILE_NAME: JUNIT_FILE_NAME
+};
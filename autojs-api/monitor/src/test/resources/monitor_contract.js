@@ -0,0 +1,350 @@
+/**
+ * Monitor API Contract for CustomAutoJS Tests
+ *
+ * Describes every method of the `monitor` bridge: its arguments, the calls the
+ * contract suite makes, the shape of what it returns (a schema for
+ * schema_validator.js), how it behaves on unexpected input, and invariants
+ * that must hold between methods. The "contract" suite in test_runner.js
+ * checks the live bridge against it.
+ *
+ * createApiSnapshot()/diffApiSurface() record the bridge's methods and return
+ * shapes, so changes between app versions are reported as API drift.
+ */
+
+const { expect } = require('./assertions.js');
+const { RECOMMENDATION_LIST_SCHEMA } = require('./recommendation_schema.js');
+
+// DeviceCapabilityDetector.PerformanceClass
+const PERFORMANCE_CLASSES = ["LOW", "MID", "MID_HIGH", "HIGH"];
+
+const DEVICE_CAPABILITIES_SCHEMA = {
+    type: "object",
+    required: ["deviceInfo", "cpuInfo", "memoryInfo", "batteryInfo", "storageInfo"],
+    properties: {
+        deviceInfo: {
+            type: "object",
+            required: ["model", "manufacturer", "sdkInt"],
+            properties: {
+                model: { type: "string" },
+                manufacturer: { type: "string" },
+                sdkInt: { type: "integer", minimum: 1 }
+            }
+        },
+        cpuInfo: {
+            type: "object",
+            required: ["cores", "architecture", "performanceClass"],
+            properties: {
+                cores: { type: "integer", minimum: 1 },
+                architecture: { type: "string" },
+                performanceClass: { enum: PERFORMANCE_CLASSES }
+            }
+        },
+        memoryInfo: {
+            type: "object",
+            required: ["totalMem", "availMem", "lowMemory", "percentAvailable"],
+            properties: {
+                totalMem: { type: "number", exclusiveMinimum: 0 },
+                availMem: { type: "number", minimum: 0 },
+                lowMemory: { type: "boolean" },
+                percentAvailable: { type: "number", minimum: 0, maximum: 100 }
+            }
+        },
+        batteryInfo: {
+            type: "object",
+            required: ["level", "isCharging", "isBatterySaver", "temperature"],
+            properties: {
+                level: { type: "number", minimum: 0, maximum: 100 },
+                isCharging: { type: "boolean" },
+                isBatterySaver: { type: "boolean" },
+                temperature: { type: "number" }
+            }
+        },
+        storageInfo: {
+            type: "object",
+            required: ["totalInternal", "availableInternal", "externalAvailable"],
+            properties: {
+                totalInternal: { type: "number", exclusiveMinimum: 0 },
+                availableInternal: { type: "number", minimum: 0 },
+                externalAvailable: { type: "boolean" }
+            }
+        }
+    }
+};
+
+const FEATURE_CONFIGURATION_SCHEMA = {
+    type: "object",
+    required: ["enableAnomalyDetection", "enablePerformancePrediction", "enableDetailedMetrics", "updateIntervalMs"],
+    properties: {
+        enableAnomalyDetection: { type: "boolean" },
+        enablePerformancePrediction: { type: "boolean" },
+        enableDetailedMetrics: { type: "boolean" },
+        updateIntervalMs: { type: "integer", exclusiveMinimum: 0 }
+    }
+};
+
+// runBenchmark() reports failures through the callback instead of throwing
+const BENCHMARK_RESULT_SCHEMA = {
+    anyOf: [
+        {
+            type: "object",
+            required: ["cpuScore", "memoryScore", "combinedScore", "performanceClass", "timestamp"],
+            properties: {
+                cpuScore: { type: "number", minimum: 0 },
+                memoryScore: { type: "number", minimum: 0 },
+                combinedScore: { type: "number", minimum: 0 },
+                performanceClass: { enum: PERFORMANCE_CLASSES },
+                timestamp: { type: "integer", exclusiveMinimum: 0 }
+            }
+        },
+        {
+            type: "object",
+            required: ["error"],
+            properties: {
+                error: { type: "string", minLength: 1 }
+            }
+        }
+    ]
+};
+
+/**
+ * One entry per bridge method:
+ * - args: parameter names, for documentation and the API snapshot
+ * - calls: argument lists the contract suite calls the method with (default: one call without arguments)
+ * - returns: schema every call must match
+ * - edgeCases: unexpected input the method must handle without throwing, and what it returns then
+ * - callback: for asynchronous methods, the schema of the value passed to the callback
+ */
+const MONITOR_CONTRACT = {
+    getDeviceCapabilities: {
+        args: [],
+        returns: DEVICE_CAPABILITIES_SCHEMA
+    },
+    isFeatureSupported: {
+        args: ["feature"],
+        calls: [["performance_prediction"], ["anomaly_detection"]],
+        returns: { type: "boolean" },
+        edgeCases: [
+            { description: "unknown feature", args: ["no_such_feature"], returns: { type: "boolean" } },
+            { description: "empty feature name", args: [""], returns: { type: "boolean" } }
+        ]
+    },
+    getOptimalUpdateInterval: {
+        args: [],
+        returns: { type: "integer", exclusiveMinimum: 0 }
+    },
+    getFeatureConfiguration: {
+        args: [],
+        returns: FEATURE_CONFIGURATION_SCHEMA
+    },
+    isLowBattery: {
+        args: [],
+        returns: { type: "boolean" }
+    },
+    isLowMemory: {
+        args: [],
+        returns: { type: "boolean" }
+    },
+    getPerformanceClass: {
+        args: [],
+        returns: { enum: PERFORMANCE_CLASSES }
+    },
+    getBenchmarkInfo: {
+        args: [],
+        returns: { type: "string", minLength: 1 }
+    },
+    getBasicRecommendations: {
+        args: [],
+        returns: RECOMMENDATION_LIST_SCHEMA
+    },
+    getBenchmarkRecommendations: {
+        args: [],
+        returns: RECOMMENDATION_LIST_SCHEMA
+    },
+    runBenchmark: {
+        args: ["callback"],
+        callback: BENCHMARK_RESULT_SCHEMA
+    }
+};
+
+/**
+ * Relations between methods. check() throws on violation; invariants with
+ * requiresStateControl need monitor.setState() (the headless fake monitor)
+ * and are skipped on a device.
+ */
+const MONITOR_INVARIANTS = [
+    {
+        name: "Feature Configuration Interval Invariant",
+        description: "getFeatureConfiguration().updateIntervalMs equals getOptimalUpdateInterval()",
+        check: (monitor) => {
+            expect(monitor.getFeatureConfiguration().updateIntervalMs).toBe(monitor.getOptimalUpdateInterval());
+        }
+    },
+    {
+        name: "Charging Battery Invariant",
+        description: "isLowBattery() is false while the device is charging",
+        check: (monitor) => {
+            if (monitor.getDeviceCapabilities().batteryInfo.isCharging) {
+                expect(monitor.isLowBattery()).toBe(false);
+            }
+        }
+    },
+    {
+        name: "Low Battery Update Interval Invariant",
+        description: "getOptimalUpdateInterval() grows when isLowBattery() turns true",
+        requiresStateControl: true,
+        check: (monitor) => {
+            const original = monitor.getState().battery;
+            try {
+                monitor.setState({ battery: { level: 80, isCharging: true } });
+                expect(monitor.isLowBattery()).toBe(false);
+                const normalInterval = monitor.getOptimalUpdateInterval();
+
+                monitor.setState({ battery: { level: 20, isCharging: false } });
+                expect(monitor.isLowBattery()).toBe(true);
+                expect(monitor.getOptimalUpdateInterval()).toBeGreaterThan(normalInterval);
+            } finally {
+                monitor.setState({ battery: original });
+            }
+        }
+    }
+];
+
+// Members the headless stand-ins add on top of the bridge, and java.lang.Object's own methods
+const IGNORED_MEMBERS = [
+    "script", "restore", "resetCalls", "getState", "setState", "calls", "scenario",
+    "equals", "hashCode", "toString", "getClass", "wait", "notify", "notifyAll"
+];
+
+// Names of the bridge's methods; for...in also enumerates the members of a Java object under Rhino
+function listBridgeMethods(monitor) {
+    const names = [];
+    for (const name in monitor) {
+        if (IGNORED_MEMBERS.indexOf(name) === -1 && typeof monitor[name] === "function") {
+            names.push(name);
+        }
+    }
+    return names.sort();
+}
+
+// Type tree of a value: objects by their keys, arrays by the type of their items
+function describeShape(value) {
+    if (value === null || value === undefined) {
+        return String(value);
+    }
+    if (Array.isArray(value)) {
+        const itemTypes = value.map(item => Array.isArray(item) ? "array" : item === null ? "null" : typeof item);
+        const unique = itemTypes.filter((type, i) => itemTypes.indexOf(type) === i).sort();
+        return `array<${unique.join("|")}>`;
+    }
+    if (typeof value === "object") {
+        const shape = {};
+        Object.keys(value).sort().forEach(key => {
+            shape[key] = describeShape(value[key]);
+        });
+        return shape;
+    }
+    return typeof value;
+}
+
+/**
+ * Records the bridge's methods and, for the synchronous methods in the
+ * contract, the shape of their first contract call's result.
+ */
+function createApiSnapshot(monitor, appVersion) {
+    const methods = {};
+    listBridgeMethods(monitor).forEach(name => {
+        const contract = MONITOR_CONTRACT[name];
+        const entry = { args: contract ? contract.args : null };
+        if (contract && !contract.callback) {
+            try {
+                entry.returns = describeShape(monitor[name].apply(monitor, (contract.calls || [[]])[0]));
+            } catch (e) {
+                entry.throws = e.message;
+            }
+        }
+        methods[name] = entry;
+    });
+
+    return {
+        appVersion: appVersion.versionName,
+        versionCode: appVersion.versionCode,
+        recordedAt: new Date().toISOString(),
+        methods: methods
+    };
+}
+
+function isShapeObject(shape) {
+    return shape !== null && typeof shape === "object";
+}
+
+function diffShapes(previous, current, path, changes) {
+    if (isShapeObject(previous) && isShapeObject(current)) {
+        Object.keys(previous).forEach(key => {
+            if (!(key in current)) {
+                changes.push({ change: "removed", path: `${path}.${key}`, breaking: true });
+            } else {
+                diffShapes(previous[key], current[key], `${path}.${key}`, changes);
+            }
+        });
+        Object.keys(current).forEach(key => {
+            if (!(key in previous)) {
+                changes.push({ change: "added", path: `${path}.${key}`, breaking: false });
+            }
+        });
+    } else if (JSON.stringify(previous) !== JSON.stringify(current)) {
+        changes.push({ change: "changed", path: path, from: previous, to: current, breaking: true });
+    }
+}
+
+/**
+ * Lists the differences between two API snapshots. Removed methods or fields
+ * and changed types are breaking, additions are not.
+ */
+function diffApiSurface(previous, current) {
+    const changes = [];
+    const before = previous.methods || {};
+    const after = current.methods || {};
+
+    Object.keys(before).forEach(name => {
+        if (!after[name]) {
+            changes.push({ change: "removed", path: `${name}()`, breaking: true });
+            return;
+        }
+        if (JSON.stringify(before[name].args) !== JSON.stringify(after[name].args)) {
+            changes.push({ change: "changed", path: `${name}() arguments`, from: before[name].args, to: after[name].args, breaking: true });
+        }
+        if (before[name].returns !== undefined && after[name].returns !== undefined) {
+            diffShapes(before[name].returns, after[name].returns, `${name}()`, changes);
+        }
+    });
+    Object.keys(after).forEach(name => {
+        if (!before[name]) {
+            changes.push({ change: "added", path: `${name}()`, breaking: false });
+        }
+    });
+
+    return changes;
+}
+
+// e.g. "removed getDeviceCapabilities().cpuInfo.cores" or "changed isLowBattery(): boolean -> string"
+function formatChange(change) {
+    const text = `${change.change} ${change.path}`;
+    if (change.change !== "changed") {
+        return text;
+    }
+    return `${text}: ${JSON.stringify(change.from)} -> ${JSON.stringify(change.to)}`;
+}
+
+module.exports = {
+    PERFORMANCE_CLASSES: PERFORMANCE_CLASSES,
+    DEVICE_CAPABILITIES_SCHEMA: DEVICE_CAPABILITIES_SCHEMA,
+    FEATURE_CONFIGURATION_SCHEMA: FEATURE_CONFIGURATION_SCHEMA,
+    BENCHMARK_RESULT_SCHEMA: BENCHMARK_RESULT_SCHEMA,
+    MONITOR_CONTRACT: MONITOR_CONTRACT,
+    MONITOR_INVARIANTS: MONITOR_INVARIANTS,
+    listBridgeMethods: listBridgeMethods,
+    describeShape: describeShape,
+    createApiSnapshot: createApiSnapshot,
+    diffApiSurface: diffApiSurface,
+    formatChange: formatChange
+};
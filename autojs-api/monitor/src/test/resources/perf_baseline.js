@@ -0,0 +1,133 @@
+/**
+ * Performance Baselines for CustomAutoJS Tests
+ *
+ * Stores the timing metrics (`*Ms` values, see perf_stats.js) of the
+ * performance tests in a JSON file and compares later builds with it:
+ *
+ *   {
+ *     "version": 1,
+ *     "updatedAt": "2026-01-01T12:00:00.000Z",
+ *     "device": "Pixel 6", "appVersion": "1.4.0", "clock": "System.nanoTime",
+ *     "metrics": {
+ *       "performance/API Performance Test": { "methods.getBenchmarkRecommendations.p50Ms": 0.41, ... }
+ *     }
+ *   }
+ *
+ * Updating replaces the metrics of the tests that ran and keeps the others,
+ * so a baseline can be refreshed one test at a time. Comparing flags a metric
+ * as regressed when it is more than tolerancePercent and more than minDeltaMs
+ * slower than its baseline; the absolute floor keeps sub-millisecond jitter
+ * from failing the run. Only the statistics named in compareStats are
+ * compared (by default the central ones, as a single slow call moves maxMs
+ * from run to run); everything else is stored for reference.
+ */
+
+const BASELINE_VERSION = 1;
+
+function createBaseline() {
+    return { version: BASELINE_VERSION, updatedAt: null, device: null, appVersion: null, clock: null, metrics: {} };
+}
+
+// Baseline from the file contents
+function parseBaseline(text) {
+    const baseline = JSON.parse(text);
+    if (!baseline || typeof baseline.metrics !== "object" || baseline.metrics === null) {
+        throw new Error("Performance baseline has no \"metrics\" object");
+    }
+    if (baseline.version !== BASELINE_VERSION) {
+        throw new Error(`Unsupported performance baseline version ${baseline.version} (expected ${BASELINE_VERSION})`);
+    }
+    return baseline;
+}
+
+// Last segment of a metric name, e.g. "p50Ms" for "methods.isLowBattery.p50Ms"
+function statName(name) {
+    return name.slice(name.lastIndexOf(".") + 1);
+}
+
+// Timing records (unit "ms") of perf_stats.js toMetricRecords(), grouped as { test: { name: value } }
+function groupTimings(records) {
+    const metrics = {};
+    records
+        .filter(record => record.unit === "ms")
+        .forEach(record => {
+            (metrics[record.test] || (metrics[record.test] = {}))[record.name] = record.value;
+        });
+    return metrics;
+}
+
+/**
+ * Writes the timings of the given metric records into the baseline,
+ * replacing the metrics of those tests; meta: { updatedAt, device, appVersion, clock }.
+ * Returns the names of the updated tests.
+ */
+function updateBaseline(baseline, records, meta) {
+    const timings = groupTimings(records);
+    Object.keys(timings).forEach(test => {
+        baseline.metrics[test] = timings[test];
+    });
+    Object.assign(baseline, meta);
+    return Object.keys(timings);
+}
+
+/**
+ * Compares metric records with the baseline. options: { tolerancePercent, minDeltaMs, compareStats }.
+ * Returns { rows, regressions, missing } where each row is
+ * { test, name, baseline, current, changePercent, status } and status is one of
+ * "regressed", "improved", "unchanged" or "new" (no baseline value); missing
+ * lists baseline metrics of the measured tests that this run did not report.
+ */
+function compareWithBaseline(records, baseline, options) {
+    const timings = groupTimings(records);
+    const rows = [];
+    const missing = [];
+
+    Object.keys(timings).forEach(test => {
+        const expected = baseline.metrics[test] || {};
+        const compared = Object.keys(timings[test]).filter(name => options.compareStats.indexOf(statName(name)) !== -1);
+        compared.forEach(name => {
+            const current = timings[test][name];
+            if (typeof expected[name] !== "number") {
+                rows.push({ test: test, name: name, baseline: null, current: current, changePercent: null, status: "new" });
+                return;
+            }
+            const delta = current - expected[name];
+            const changePercent = expected[name] !== 0 ? delta * 100 / expected[name] : (delta === 0 ? 0 : Infinity);
+            const significant = Math.abs(delta) > options.minDeltaMs && Math.abs(changePercent) > options.tolerancePercent;
+            rows.push({
+                test: test,
+                name: name,
+                baseline: expected[name],
+                current: current,
+                changePercent: isFinite(changePercent) ? changePercent : null,
+                status: !significant ? "unchanged" : (delta > 0 ? "regressed" : "improved")
+            });
+        });
+        Object.keys(expected)
+            .filter(name => options.compareStats.indexOf(statName(name)) !== -1 &&
+                !Object.prototype.hasOwnProperty.call(timings[test], name))
+            .forEach(name => missing.push({ test: test, name: name }));
+    });
+
+    return {
+        rows: rows,
+        regressions: rows.filter(row => row.status === "regressed"),
+        missing: missing
+    };
+}
+
+// e.g. "performance/API Performance Test methods.isLowBattery.p50Ms: 0.012 ms -> 0.020 ms (+66.7%)"
+function describeChange(row) {
+    const format = value => value === null ? "-" : `${value < 1 ? value.toPrecision(3) : value.toFixed(2)} ms`;
+    const change = row.changePercent === null ? "" : ` (${row.changePercent > 0 ? "+" : ""}${row.changePercent.toFixed(1)}%)`;
+    return `${row.test} ${row.name}: ${format(row.baseline)} -> ${format(row.current)}${change}`;
+}
+
+module.exports = {
+    BASELINE_VERSION: BASELINE_VERSION,
+    createBaseline: createBaseline,
+    parseBaseline: parseBaseline,
+    updateBaseline: updateBaseline,
+    compareWithBaseline: compareWithBaseline,
+    describeChange: describeChange
+};
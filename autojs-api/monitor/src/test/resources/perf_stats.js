@@ -0,0 +1,177 @@
+/**
+ * Performance Statistics for CustomAutoJS Tests
+ *
+ * Per-call sampling with a high-resolution clock and summary statistics for
+ * the performance tests:
+ *
+ * - createClock(): System.nanoTime() on device, process.hrtime() in a
+ *   headless host, Date.now() as a last resort (its name says which)
+ * - summarizeSamples(): mean, standard deviation and p50/p90/p99/max, after
+ *   dropping outliers outside Tukey's fences (quartiles ± fence × IQR), so a
+ *   single GC pause doesn't decide the result
+ * - checkBudgets(): compares the statistics with per-method budgets such as
+ *   { p90Ms: 50, p99Ms: 100 }
+ * - toMetricRecords(): flattens attached metrics into { test, name, value, unit }
+ *   records for report.json and CI dashboards
+ */
+
+// Statistics a budget can limit, as named in summarizeSamples() results
+const BUDGET_STATS = ["meanMs", "p50Ms", "p90Ms", "p99Ms", "maxMs"];
+
+/**
+ * Returns { name, resolutionMs, now() } where now() is a time in ms with
+ * sub-millisecond precision where the platform offers it.
+ */
+function createClock() {
+    if (typeof java !== 'undefined') {
+        // nanoTime() counts from an arbitrary origin; measure from our own so the values stay small
+        const origin = java.lang.System.nanoTime();
+        return {
+            name: "System.nanoTime",
+            resolutionMs: 1e-6,
+            now: () => (java.lang.System.nanoTime() - origin) / 1e6
+        };
+    }
+    if (typeof process !== 'undefined' && typeof process.hrtime === 'function') {
+        return {
+            name: "process.hrtime",
+            resolutionMs: 1e-6,
+            now: () => {
+                const time = process.hrtime();
+                return time[0] * 1e3 + time[1] / 1e6;
+            }
+        };
+    }
+    return {
+        name: "Date.now",
+        resolutionMs: 1,
+        now: () => Date.now()
+    };
+}
+
+// Calls fn `count` times and returns the duration of every call in ms; onResult sees each return value
+function sampleCalls(clock, fn, count, onResult) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+        const start = clock.now();
+        const result = fn(i);
+        samples.push(clock.now() - start);
+        if (onResult) {
+            onResult(result, i);
+        }
+    }
+    return samples;
+}
+
+// Percentile p (0-100) of ascending values, interpolating between the closest ranks
+function percentile(sorted, p) {
+    if (sorted.length === 0) {
+        return 0;
+    }
+    const rank = (sorted.length - 1) * p / 100;
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Splits samples into { kept, outliers } by Tukey's fences; fence 0 keeps
+ * everything. Too few samples for quartiles are all kept.
+ */
+function rejectOutliers(samples, fence) {
+    if (!fence || samples.length < 4) {
+        return { kept: samples.slice(), outliers: [] };
+    }
+    const sorted = samples.slice().sort((a, b) => a - b);
+    const q1 = percentile(sorted, 25);
+    const q3 = percentile(sorted, 75);
+    const low = q1 - fence * (q3 - q1);
+    const high = q3 + fence * (q3 - q1);
+    return {
+        kept: samples.filter(value => value >= low && value <= high),
+        outliers: samples.filter(value => value < low || value > high)
+    };
+}
+
+/**
+ * Summary statistics of the samples in ms. options.outlierFence (default
+ * 1.5, 0 to keep everything) drops outliers first, so every statistic,
+ * maxMs included, describes the kept samples; rawMaxMs is the slowest call.
+ */
+function summarizeSamples(samples, options) {
+    const fence = options && options.outlierFence !== undefined ? options.outlierFence : 1.5;
+    const split = rejectOutliers(samples, fence);
+    const sorted = split.kept.slice().sort((a, b) => a - b);
+    const count = sorted.length;
+    const mean = count > 0 ? sorted.reduce((sum, value) => sum + value, 0) / count : 0;
+    const variance = count > 1
+        ? sorted.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / (count - 1)
+        : 0;
+
+    return {
+        samples: samples.length,
+        outliers: split.outliers.length,
+        meanMs: mean,
+        stdDevMs: Math.sqrt(variance),
+        minMs: count > 0 ? sorted[0] : 0,
+        p50Ms: percentile(sorted, 50),
+        p90Ms: percentile(sorted, 90),
+        p99Ms: percentile(sorted, 99),
+        maxMs: count > 0 ? sorted[count - 1] : 0,
+        rawMaxMs: samples.length > 0 ? Math.max.apply(null, samples) : 0
+    };
+}
+
+/**
+ * Budget of a method: budgets.default overridden by budgets[method].
+ * Returns the exceeded limits as [{ stat, limit, actual }].
+ */
+function checkBudgets(stats, budgets, method) {
+    const budget = Object.assign({}, budgets.default || {}, budgets[method] || {});
+    return BUDGET_STATS
+        .filter(stat => typeof budget[stat] === "number" && stats[stat] > budget[stat])
+        .map(stat => ({ stat: stat, limit: budget[stat], actual: stats[stat] }));
+}
+
+// Unit of a metric from its name: "...Ms" are milliseconds, "...Bytes" bytes, "...Percent" percent
+function metricUnit(name) {
+    if (/Ms$/.test(name)) {
+        return "ms";
+    }
+    if (/Bytes$/.test(name)) {
+        return "bytes";
+    }
+    if (/Percent$/.test(name)) {
+        return "%";
+    }
+    return null;
+}
+
+/**
+ * Flattens a test's metrics object into records like
+ * { test: "performance/API Performance Test", name: "methods.isLowBattery.p99Ms", value: 0.02, unit: "ms" }
+ * (numbers only).
+ */
+function toMetricRecords(test, metrics) {
+    const records = [];
+    const visit = (value, path) => {
+        if (typeof value === "number" && isFinite(value)) {
+            records.push({ test: test, name: path, value: value, unit: metricUnit(path) });
+        } else if (value && typeof value === "object" && !Array.isArray(value)) {
+            Object.keys(value).forEach(key => visit(value[key], path ? `${path}.${key}` : key));
+        }
+    };
+    visit(metrics, "");
+    return records;
+}
+
+module.exports = {
+    BUDGET_STATS: BUDGET_STATS,
+    createClock: createClock,
+    sampleCalls: sampleCalls,
+    percentile: percentile,
+    rejectOutliers: rejectOutliers,
+    summarizeSamples: summarizeSamples,
+    checkBudgets: checkBudgets,
+    toMetricRecords: toMetricRecords
+};
@@ -0,0 +1,121 @@
+/**
+ * Property-based Testing for CustomAutoJS Tests
+ *
+ * checkProperty() runs a property, a function that throws (e.g. through
+ * expect()) or returns false when it doesn't hold, on many seeded random
+ * inputs. A failing input is shrunk: the shrinker's simpler candidates are
+ * tried in order and the first one that still fails replaces it, until no
+ * candidate fails, so the failure is reported with a minimal input, such as
+ * the two recommendations that sort the wrong way instead of thirty.
+ *
+ * An arbitrary is { generate(random), shrink(value) }: generate() builds an
+ * input from a random() function (see seeded_random.js), shrink() lists
+ * simpler candidates, simplest first.
+ */
+
+const { createSeededRandom, deriveSeed, randomInt } = require('./seeded_random.js');
+
+// Arbitrary lists of up to maxLength items from an item arbitrary
+function listOf(item, maxLength) {
+    return {
+        generate: (random) => {
+            const list = [];
+            const length = randomInt(random, 0, maxLength);
+            for (let i = 0; i < length; i++) {
+                list.push(item.generate(random, i));
+            }
+            return list;
+        },
+        shrink: (list) => shrinkList(list, item.shrink)
+    };
+}
+
+// Simpler lists: empty, either half, one item removed, then one item shrunk
+function shrinkList(list, shrinkItem) {
+    if (list.length === 0) {
+        return [];
+    }
+    const candidates = [[]];
+    if (list.length > 2) {
+        const half = Math.floor(list.length / 2);
+        candidates.push(list.slice(0, half), list.slice(half));
+    }
+    for (let i = 0; i < list.length; i++) {
+        candidates.push(list.slice(0, i).concat(list.slice(i + 1)));
+    }
+    if (shrinkItem) {
+        list.forEach((item, i) => {
+            shrinkItem(item).forEach(simpler => {
+                candidates.push(list.slice(0, i).concat([simpler], list.slice(i + 1)));
+            });
+        });
+    }
+    return candidates;
+}
+
+// The error a property fails with on an input, or null when it holds
+function failureOf(property, input) {
+    try {
+        return property(input) === false ? new Error("Property returned false") : null;
+    } catch (e) {
+        return e;
+    }
+}
+
+// Greedily replaces the failing input with its first failing candidate, trying at most maxSteps candidates
+function shrinkFailure(arbitrary, property, input, error, maxSteps) {
+    let current = { input: input, error: error };
+    let shrinks = 0;
+    let steps = 0;
+    let improved = true;
+    while (improved && steps < maxSteps) {
+        improved = false;
+        const candidates = arbitrary.shrink(current.input);
+        for (let i = 0; i < candidates.length && steps < maxSteps; i++) {
+            steps++;
+            const candidateError = failureOf(property, candidates[i]);
+            if (candidateError) {
+                current = { input: candidates[i], error: candidateError };
+                shrinks++;
+                improved = true;
+                break;
+            }
+        }
+    }
+    return { input: current.input, error: current.error, shrinks: shrinks };
+}
+
+/**
+ * Checks the property on options.runs inputs from the arbitrary, each run
+ * seeded from options.seed. Returns { runs, failure } where failure is
+ * { run, caseSeed, original, input, error, shrinks } with input the shrunk
+ * input and error what it fails with, or null when the property held.
+ */
+function checkProperty(arbitrary, property, options) {
+    for (let run = 0; run < options.runs; run++) {
+        const caseSeed = deriveSeed(options.seed, run);
+        const original = arbitrary.generate(createSeededRandom(caseSeed));
+        const error = failureOf(property, original);
+        if (error) {
+            const shrunk = shrinkFailure(arbitrary, property, original, error, options.maxShrinkSteps);
+            return {
+                runs: run + 1,
+                failure: {
+                    run: run,
+                    caseSeed: caseSeed,
+                    original: original,
+                    input: shrunk.input,
+                    error: shrunk.error,
+                    shrinks: shrunk.shrinks
+                }
+            };
+        }
+    }
+    return { runs: options.runs, failure: null };
+}
+
+module.exports = {
+    listOf: listOf,
+    shrinkList: shrinkList,
+    checkProperty: checkProperty
+};
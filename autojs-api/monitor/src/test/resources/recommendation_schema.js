@@ -0,0 +1,80 @@
+/**
+ * Recommendation Schema for CustomAutoJS Tests
+ *
+ * Describes the recommendation objects returned by the monitor bridge
+ * (getBasicRecommendations / getBenchmarkRecommendations), so tests can fail
+ * with field-level errors before a malformed recommendation reaches the UI:
+ *
+ * - id: non-empty string, unique within the list
+ * - type: one of the types the UI has an icon for (TYPE_ICONS)
+ * - importance: high, medium or low
+ * - title, description: strings, the title non-empty
+ * - action (optional): an Android intent action such as android.settings.BATTERY_SAVER_SETTINGS
+ */
+
+const { validate, formatErrors } = require('./schema_validator.js');
+
+// Same keys as TYPE_ICONS in visual_recommendation_test.js
+const RECOMMENDATION_TYPES = ["general", "performance", "battery", "memory", "storage"];
+
+// Highest first, the order the UI sorts by
+const RECOMMENDATION_IMPORTANCES = ["high", "medium", "low"];
+
+// Dot-separated Java identifiers, e.g. android.settings.APPLICATION_SETTINGS
+const INTENT_ACTION_PATTERN = "^[A-Za-z_][A-Za-z0-9_]*(\\.[A-Za-z_][A-Za-z0-9_]*)+$";
+
+const RECOMMENDATION_SCHEMA = {
+    type: "object",
+    required: ["id", "type", "importance", "title", "description"],
+    properties: {
+        id: { type: "string", minLength: 1 },
+        type: { enum: RECOMMENDATION_TYPES },
+        importance: { enum: RECOMMENDATION_IMPORTANCES },
+        title: { type: "string", minLength: 1 },
+        description: { type: "string" },
+        action: { type: "string", pattern: INTENT_ACTION_PATTERN }
+    }
+};
+
+const RECOMMENDATION_LIST_SCHEMA = {
+    type: "array",
+    items: RECOMMENDATION_SCHEMA
+};
+
+// Returns the field-level errors for a recommendation list, empty when it is valid
+function validateRecommendations(recommendations) {
+    const errors = validate(recommendations, RECOMMENDATION_LIST_SCHEMA);
+    if (!Array.isArray(recommendations)) {
+        return errors;
+    }
+
+    // Duplicate ids break card lookups (card_<id>) and filtering in the UI
+    const firstIndex = {};
+    recommendations.forEach((rec, i) => {
+        if (!rec || typeof rec.id !== "string") {
+            return;
+        }
+        if (Object.prototype.hasOwnProperty.call(firstIndex, rec.id)) {
+            errors.push({ path: `[${i}].id`, message: `duplicate id ${JSON.stringify(rec.id)}, first used by [${firstIndex[rec.id]}]` });
+        } else {
+            firstIndex[rec.id] = i;
+        }
+    });
+    return errors;
+}
+
+// Message listing every invalid field, e.g. "[2].importance: expected one of ..."
+function describeRecommendationErrors(errors, source) {
+    const count = errors.length === 1 ? "1 invalid field" : `${errors.length} invalid fields`;
+    return `${source || "Recommendations"} returned ${count}:\n${formatErrors(errors)}`;
+}
+
+module.exports = {
+    RECOMMENDATION_TYPES: RECOMMENDATION_TYPES,
+    RECOMMENDATION_IMPORTANCES: RECOMMENDATION_IMPORTANCES,
+    INTENT_ACTION_PATTERN: INTENT_ACTION_PATTERN,
+    RECOMMENDATION_SCHEMA: RECOMMENDATION_SCHEMA,
+    RECOMMENDATION_LIST_SCHEMA: RECOMMENDATION_LIST_SCHEMA,
+    validateRecommendations: validateRecommendations,
+    describeRecommendationErrors: describeRecommendationErrors
+};
@@ -0,0 +1,193 @@
+/**
+ * Schema Validator for CustomAutoJS Tests
+ *
+ * Validates values against a small subset of JSON Schema, enough to describe
+ * the objects returned by the monitor bridge and the test configuration:
+ *
+ * - type (string, number, integer, boolean, object, array, null, function or a list of them)
+ * - enum, const
+ * - properties, required, additionalProperties (boolean or schema)
+ * - items, minItems, maxItems
+ * - minimum, maximum, exclusiveMinimum, exclusiveMaximum
+ * - minLength, maxLength, pattern
+ * - anyOf
+ * - $ref to a local definition, e.g. "#/definitions/percent"
+ * - description, title, $schema (ignored)
+ *
+ * validate() returns a list of `{ path, message }` errors, empty when valid.
+ */
+
+function typeOf(value) {
+    if (value === null) {
+        return "null";
+    }
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case "integer":
+            return typeof value === "number" && isFinite(value) && value % 1 === 0;
+        case "number":
+            return typeof value === "number" && !isNaN(value);
+        default:
+            return typeOf(value) === type;
+    }
+}
+
+function describe(value) {
+    if (typeof value === "string") {
+        return JSON.stringify(value);
+    }
+    if (typeof value === "function") {
+        return "function";
+    }
+    try {
+        const text = JSON.stringify(value);
+        return text === undefined ? String(value) : text;
+    } catch (e) {
+        return String(value);
+    }
+}
+
+function childPath(path, key) {
+    if (typeof key === "number") {
+        return `${path}[${key}]`;
+    }
+    if (!/^[A-Za-z_$][\w$]*$/.test(key)) {
+        return `${path}[${JSON.stringify(key)}]`;
+    }
+    return path ? `${path}.${key}` : key;
+}
+
+// Resolves a local JSON pointer such as "#/definitions/color" against the root schema
+function resolveRef(ref, root) {
+    if (ref.indexOf("#") !== 0) {
+        throw new Error(`Unsupported $ref ${ref}: only local references are supported`);
+    }
+    const target = ref.slice(1).split("/").filter(part => part !== "").reduce((node, part) => {
+        const key = part.replace(/~1/g, "/").replace(/~0/g, "~");
+        return node && typeof node === "object" ? node[key] : undefined;
+    }, root);
+    if (!target || typeof target !== "object") {
+        throw new Error(`Unresolvable $ref ${ref}`);
+    }
+    return target;
+}
+
+function validateNode(value, schema, path, errors, root) {
+    const fail = (message) => errors.push({ path: path || "(root)", message: message });
+
+    if (schema.$ref !== undefined) {
+        validateNode(value, resolveRef(schema.$ref, root), path, errors, root);
+        return;
+    }
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            fail(`expected ${types.join(" or ")}, got ${typeOf(value)} ${describe(value)}`);
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        fail(`expected ${describe(schema.const)}, got ${describe(value)}`);
+    }
+    if (schema.enum && schema.enum.indexOf(value) === -1) {
+        fail(`expected one of ${schema.enum.map(describe).join(", ")}, got ${describe(value)}`);
+    }
+
+    if (schema.anyOf) {
+        const matched = schema.anyOf.some(option => {
+            const optionErrors = [];
+            validateNode(value, option, path, optionErrors, root);
+            return optionErrors.length === 0;
+        });
+        if (!matched) {
+            fail(`${describe(value)} does not match any of the ${schema.anyOf.length} allowed schemas`);
+        }
+    }
+
+    if (typeof value === "number") {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`expected >= ${schema.minimum}, got ${value}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`expected <= ${schema.maximum}, got ${value}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            fail(`expected > ${schema.exclusiveMinimum}, got ${value}`);
+        }
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+            fail(`expected < ${schema.exclusiveMaximum}, got ${value}`);
+        }
+    }
+
+    if (typeof value === "string") {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`expected at least ${schema.minLength} characters, got ${value.length}`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`expected at most ${schema.maxLength} characters, got ${value.length}`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+            fail(`${describe(value)} does not match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`expected at least ${schema.minItems} items, got ${value.length}`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`expected at most ${schema.maxItems} items, got ${value.length}`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateNode(item, schema.items, childPath(path, i), errors, root));
+        }
+    }
+
+    if (typeOf(value) === "object") {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: childPath(path, key), message: "is required" });
+            }
+        });
+
+        const properties = schema.properties || {};
+        Object.keys(value).forEach(key => {
+            if (value[key] === undefined) {
+                return;
+            }
+            if (properties[key]) {
+                validateNode(value[key], properties[key], childPath(path, key), errors, root);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath(path, key), message: "is not an allowed property" });
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+                validateNode(value[key], schema.additionalProperties, childPath(path, key), errors, root);
+            }
+        });
+    }
+}
+
+// Returns the list of validation errors for value, empty when it matches schema
+function validate(value, schema) {
+    const errors = [];
+    validateNode(value, schema || {}, "", errors, schema || {});
+    return errors;
+}
+
+// One error per line, e.g. "deviceInfo.model: expected string, got number 5"
+function formatErrors(errors) {
+    return errors.map(error => `${error.path}: ${error.message}`).join("\n");
+}
+
+module.exports = {
+    validate: validate,
+    formatErrors: formatErrors,
+    resolveRef: resolveRef
+};
@@ -0,0 +1,67 @@
+/**
+ * Seeded Randomness for CustomAutoJS Tests
+ *
+ * Deterministic replacements for Math.random(), so randomized tests (stress
+ * load, fuzzing) produce the same input on every run with the same seed and
+ * a failure can be replayed:
+ *
+ * - createSeededRandom(seed): a random() function (mulberry32) returning
+ *   numbers in [0, 1), identical on a device and in a headless host
+ * - deriveSeed(seed, index): an independent seed per worker or fuzz case
+ * - randomInt/pick/chance/shuffle: helpers on top of any random() function
+ */
+
+// Returns a deterministic random() replacement (mulberry32) for the given seed
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return function() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Seed for the index-th item of a seeded run; neighbouring indexes give unrelated sequences
+function deriveSeed(seed, index) {
+    let h = ((seed >>> 0) ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Integer between min and max, both inclusive
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+function pick(random, items) {
+    return items[Math.floor(random() * items.length)];
+}
+
+// True with the given probability
+function chance(random, probability) {
+    return random() < probability;
+}
+
+// Shuffled copy of the items (Fisher-Yates)
+function shuffle(random, items) {
+    const shuffled = items.slice();
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        const swap = shuffled[i];
+        shuffled[i] = shuffled[j];
+        shuffled[j] = swap;
+    }
+    return shuffled;
+}
+
+module.exports = {
+    createSeededRandom: createSeededRandom,
+    deriveSeed: deriveSeed,
+    randomInt: randomInt,
+    pick: pick,
+    chance: chance,
+    shuffle: shuffle
+};
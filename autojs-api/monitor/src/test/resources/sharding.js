@@ -0,0 +1,139 @@
+/**
+ * Test Sharding for CustomAutoJS
+ *
+ * Splits one JavaScript test run across several devices (or headless hosts)
+ * and merges their report.json files back into a single result.
+ *
+ * Every shard registers the same tests and applies the same filters, so each
+ * one can compute the split on its own: the selected tests, in registration
+ * order, are dealt out round-robin and shard `index` (0-based) of `count`
+ * runs every count-th test. run_tests.sh --shard-devices/--shards starts the
+ * shards and merges their reports with headless/merge_reports.js.
+ */
+
+// "suite/name", unique within a run
+function testKey(info) {
+    return `${info.suite}/${info.name}`;
+}
+
+/**
+ * Keys of the tests that shard `index` of `count` runs, from the tests the
+ * filters selected ({ suite, name } in registration order).
+ */
+function selectShard(tests, index, count) {
+    return tests
+        .filter((info, position) => position % count === index)
+        .map(testKey);
+}
+
+// Name of a shard in logs and reports: its label (device id), else "shard <n>"
+function shardLabel(shard) {
+    return shard.label || `shard ${shard.index + 1}`;
+}
+
+function sum(reports, field) {
+    return reports.reduce((total, report) => total + (report[field] || 0), 0);
+}
+
+// Every shard compares the timings of its own tests with the same baseline file
+function mergePerfBaselines(reports) {
+    const comparisons = reports.map(report => report.perfBaseline).filter(comparison => comparison);
+    if (comparisons.length === 0) {
+        return null;
+    }
+    const merged = Object.assign({}, comparisons[0]);
+    const failed = comparisons.filter(comparison => comparison.error);
+    if (failed.length > 0) {
+        merged.error = failed[0].error;
+    }
+    ["rows", "regressions", "missing", "updatedTests"].forEach(field => {
+        if (merged[field]) {
+            merged[field] = comparisons.reduce((all, comparison) => all.concat(comparison[field] || []), []);
+        }
+    });
+    return merged;
+}
+
+/**
+ * Merges the report.json files of the shards of one run. Test entries get
+ * `shard` (index) and `device` (label) fields, `shards` summarizes every
+ * shard with its device capabilities, and the run succeeds only when every
+ * shard reported and succeeded. Shards that did not report are listed in
+ * `missingShards`; reports of different runs (shard counts) are rejected.
+ */
+function mergeReports(reports) {
+    if (reports.length === 0) {
+        throw new Error("No shard reports to merge");
+    }
+
+    const shards = reports.map((report, i) => report.shard || { index: i, count: reports.length, label: null });
+    const count = shards[0].count;
+    shards.forEach((shard, i) => {
+        if (shard.count !== count) {
+            throw new Error(`Shard report ${i + 1} belongs to a run with ${shard.count} shards, expected ${count}`);
+        }
+        if (shards.findIndex(other => other.index === shard.index) !== i) {
+            throw new Error(`Duplicate report for ${shardLabel(shard)}`);
+        }
+    });
+
+    const ordered = reports
+        .map((report, i) => ({ report: report, shard: shards[i] }))
+        .sort((a, b) => a.shard.index - b.shard.index);
+    const missingShards = [];
+    for (let index = 0; index < count; index++) {
+        if (!shards.some(shard => shard.index === index)) {
+            missingShards.push(index);
+        }
+    }
+
+    const detailedResults = [];
+    ordered.forEach(item => {
+        (item.report.detailedResults || []).forEach(entry => {
+            detailedResults.push(Object.assign({}, entry, { shard: item.shard.index, device: shardLabel(item.shard) }));
+        });
+    });
+
+    const first = ordered[0].report;
+    return {
+        totalTests: sum(reports, "totalTests"),
+        passedTests: sum(reports, "passedTests"),
+        failedTests: sum(reports, "failedTests"),
+        skippedTests: sum(reports, "skippedTests"),
+        // Shards run concurrently, so the run took as long as the slowest one
+        durationSeconds: Math.max.apply(null, reports.map(report => report.durationSeconds || 0)),
+        success: missingShards.length === 0 && reports.every(report => report.success),
+        testType: first.testType,
+        deselectedTests: first.deselectedTests || 0,
+        flakyTests: sum(reports, "flakyTests"),
+        quarantinedFailures: sum(reports, "quarantinedFailures"),
+        benchmarkRegressions: reports.reduce((all, report) => all.concat(report.benchmarkRegressions || []), []),
+        perfBaseline: mergePerfBaselines(ordered.map(item => item.report)),
+        metrics: ordered.reduce((all, item) => all.concat((item.report.metrics || []).map(record =>
+            Object.assign({}, record, { device: shardLabel(item.shard) }))), []),
+        testFilter: first.testFilter || null,
+        timestamp: new Date().toISOString(),
+        deviceCapabilities: null,
+        shards: ordered.map(item => ({
+            index: item.shard.index,
+            label: shardLabel(item.shard),
+            success: !!item.report.success,
+            totalTests: item.report.totalTests || 0,
+            passedTests: item.report.passedTests || 0,
+            failedTests: item.report.failedTests || 0,
+            skippedTests: item.report.skippedTests || 0,
+            durationSeconds: item.report.durationSeconds || 0,
+            deviceCapabilities: item.report.deviceCapabilities || null
+        })),
+        shardCount: count,
+        missingShards: missingShards,
+        detailedResults: detailedResults
+    };
+}
+
+module.exports = {
+    testKey: testKey,
+    selectShard: selectShard,
+    shardLabel: shardLabel,
+    mergeReports: mergeReports
+};
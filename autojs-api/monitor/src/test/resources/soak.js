@@ -0,0 +1,181 @@
+/**
+ * Soak Test Recording and Drift Analysis for CustomAutoJS
+ *
+ * A soak run cycles the monitor module (recommendation fetching, benchmark
+ * runs, card rendering) for a fixed wall-clock time. The recorder collects
+ * the latency of every operation and takes periodic snapshots:
+ *
+ *   { elapsedSeconds, cycles, usedBytes,
+ *     operations: { fetch: { count, errors, p50Ms, p90Ms, maxMs }, ... },
+ *     totalErrors, lastError }
+ *
+ * Snapshots are written to the time-series file as JSON Lines, one per line,
+ * so a run that dies still leaves everything up to its last snapshot.
+ * analyzeDrift() compares the first and the last quarter of the snapshots:
+ * heap usage and median latency creeping up over the run are drift even when
+ * every single operation stays within its budget.
+ */
+
+const { summarizeSamples } = require('./perf_stats.js');
+
+// Fraction of the snapshots averaged at the start and at the end of the run
+const DRIFT_WINDOW = 0.25;
+
+/**
+ * Returns a recorder with record(operation, ms), error(operation, error) and
+ * snapshot({ elapsedSeconds, cycles, usedBytes }), which summarizes the
+ * operations since the previous snapshot and adds it to recorder.snapshots.
+ */
+function createSoakRecorder() {
+    let interval = {};
+    const totals = {};
+    let lastError = null;
+
+    const operation = (name) => {
+        if (!interval[name]) {
+            interval[name] = { samples: [], errors: 0 };
+        }
+        if (!totals[name]) {
+            totals[name] = { count: 0, errors: 0 };
+        }
+        return interval[name];
+    };
+
+    const recorder = {
+        snapshots: [],
+        totals: totals,
+
+        record: (name, ms) => {
+            operation(name).samples.push(ms);
+            totals[name].count++;
+        },
+
+        error: (name, error) => {
+            operation(name).errors++;
+            totals[name].count++;
+            totals[name].errors++;
+            lastError = `${name}: ${error && error.message ? error.message : error}`;
+        },
+
+        snapshot: (state) => {
+            const operations = {};
+            Object.keys(interval).forEach(name => {
+                const stats = summarizeSamples(interval[name].samples, { outlierFence: 0 });
+                operations[name] = {
+                    count: interval[name].samples.length + interval[name].errors,
+                    errors: interval[name].errors,
+                    p50Ms: stats.p50Ms,
+                    p90Ms: stats.p90Ms,
+                    maxMs: stats.maxMs
+                };
+            });
+            interval = {};
+
+            const snapshot = Object.assign({ timestamp: Date.now() }, state, {
+                operations: operations,
+                totalErrors: Object.keys(totals).reduce((sum, name) => sum + totals[name].errors, 0),
+                lastError: lastError
+            });
+            recorder.snapshots.push(snapshot);
+            return snapshot;
+        }
+    };
+    return recorder;
+}
+
+// One time-series line
+function toTimeSeriesLine(snapshot) {
+    return JSON.stringify(snapshot) + "\n";
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Mean of `field(snapshot)` over the first and the last window, skipping snapshots without a value
+function compareWindows(snapshots, field) {
+    const values = snapshots.map(field).filter(value => typeof value === "number" && isFinite(value));
+    if (values.length < 2) {
+        return null;
+    }
+    const size = Math.max(1, Math.floor(values.length * DRIFT_WINDOW));
+    const early = mean(values.slice(0, size));
+    const late = mean(values.slice(values.length - size));
+    return {
+        early: early,
+        late: late,
+        changePercent: early !== 0 ? (late - early) * 100 / early : 0
+    };
+}
+
+// Least-squares slope of usedBytes over elapsed time, in bytes per minute
+function memorySlope(snapshots) {
+    const points = snapshots.filter(snapshot => typeof snapshot.usedBytes === "number");
+    if (points.length < 2) {
+        return null;
+    }
+    const meanX = mean(points.map(point => point.elapsedSeconds));
+    const meanY = mean(points.map(point => point.usedBytes));
+    let numerator = 0;
+    let denominator = 0;
+    points.forEach(point => {
+        numerator += (point.elapsedSeconds - meanX) * (point.usedBytes - meanY);
+        denominator += (point.elapsedSeconds - meanX) * (point.elapsedSeconds - meanX);
+    });
+    return denominator > 0 ? numerator / denominator * 60 : 0;
+}
+
+/**
+ * Drift over the soak run. thresholds: { maxMemoryDriftPercent,
+ * maxLatencyDriftPercent, minLatencyDriftMs, maxErrorRate }. Returns
+ * { memory, latency: { operation: { earlyMs, lateMs, changePercent } },
+ * errors: { total, operations, rate }, problems } where problems describes
+ * every exceeded threshold; with fewer than 2 snapshots nothing drifts.
+ */
+function analyzeDrift(snapshots, totals, thresholds) {
+    const problems = [];
+
+    const memoryWindows = compareWindows(snapshots, snapshot => snapshot.usedBytes);
+    const memory = memoryWindows && {
+        earlyBytes: memoryWindows.early,
+        lateBytes: memoryWindows.late,
+        changePercent: memoryWindows.changePercent,
+        slopeBytesPerMinute: memorySlope(snapshots)
+    };
+    if (memory && memory.changePercent > thresholds.maxMemoryDriftPercent) {
+        problems.push(`Heap usage grew ${memory.changePercent.toFixed(1)}% over the run ` +
+            `(${(memory.earlyBytes / 1048576).toFixed(2)} MB -> ${(memory.lateBytes / 1048576).toFixed(2)} MB, ` +
+            `limit ${thresholds.maxMemoryDriftPercent}%)`);
+    }
+
+    const latency = {};
+    Object.keys(totals).forEach(name => {
+        const windows = compareWindows(snapshots, snapshot =>
+            snapshot.operations[name] && snapshot.operations[name].count > snapshot.operations[name].errors
+                ? snapshot.operations[name].p50Ms : null);
+        if (!windows) {
+            return;
+        }
+        latency[name] = { earlyMs: windows.early, lateMs: windows.late, changePercent: windows.changePercent };
+        if (windows.changePercent > thresholds.maxLatencyDriftPercent &&
+            windows.late - windows.early > thresholds.minLatencyDriftMs) {
+            problems.push(`Median ${name} latency grew ${windows.changePercent.toFixed(1)}% over the run ` +
+                `(${windows.early.toFixed(3)} ms -> ${windows.late.toFixed(3)} ms, limit ${thresholds.maxLatencyDriftPercent}%)`);
+        }
+    });
+
+    const operations = Object.keys(totals).reduce((sum, name) => sum + totals[name].count, 0);
+    const total = Object.keys(totals).reduce((sum, name) => sum + totals[name].errors, 0);
+    const errors = { total: total, operations: operations, rate: operations > 0 ? total / operations : 0 };
+    if (errors.rate > thresholds.maxErrorRate) {
+        problems.push(`${total} of ${operations} operations failed (rate ${errors.rate.toFixed(4)}, limit ${thresholds.maxErrorRate})`);
+    }
+
+    return { memory: memory, latency: latency, errors: errors, problems: problems };
+}
+
+module.exports = {
+    createSoakRecorder: createSoakRecorder,
+    toTimeSeriesLine: toTimeSeriesLine,
+    analyzeDrift: analyzeDrift
+};
@@ -0,0 +1,247 @@
+/**
+ * Test Selection for CustomAutoJS Tests
+ *
+ * Decides which registered tests take part in a run, from their tags and
+ * names (see the `tags` option of suite()/test() in test_harness.js):
+ *
+ * - includeTags: run tests carrying at least one of these tags; "all" (or an
+ *   empty list) selects every test
+ * - excludeTags: never run tests carrying any of these tags
+ * - tagExpression: boolean expression over tags, e.g. "ui and not slow" or
+ *   "(benchmark | stress) & !needs-root"; and/&/&&, or/|/||/",", not/!
+ * - namePatterns: run tests whose name matches one of these globs (* and ?,
+ *   case-insensitive) or /regular expressions/; a glob containing "/" is
+ *   matched against "suite/name" instead, e.g. "stress/*"
+ */
+
+// Matches every test in includeTags
+const ALL_TAG = "all";
+
+const TAG_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.:-]*$/;
+
+const OPERATOR_WORDS = { and: "and", or: "or", not: "not" };
+const OPERATOR_SYMBOLS = { "&&": "and", "&": "and", "||": "or", "|": "or", ",": "or", "!": "not" };
+
+// Splits a tag expression into operators, parentheses and tags
+function tokenize(expression) {
+    const tokens = [];
+    const pattern = /\s*(&&|\|\||[&|,!()]|[^\s&|,!()]+)/g;
+    let match;
+    let consumed = 0;
+
+    while ((match = pattern.exec(expression)) !== null) {
+        if (match.index !== consumed) {
+            break;
+        }
+        consumed = pattern.lastIndex;
+
+        const text = match[1];
+        const lower = text.toLowerCase();
+        if (text === "(" || text === ")") {
+            tokens.push({ type: text, text: text });
+        } else if (OPERATOR_SYMBOLS[text]) {
+            tokens.push({ type: OPERATOR_SYMBOLS[text], text: text });
+        } else if (OPERATOR_WORDS[lower]) {
+            tokens.push({ type: OPERATOR_WORDS[lower], text: text });
+        } else if (TAG_PATTERN.test(text)) {
+            tokens.push({ type: "tag", text: text });
+        } else {
+            throw new Error(`Invalid tag "${text}" in tag expression "${expression}"`);
+        }
+    }
+    if (expression.slice(consumed).trim() !== "") {
+        throw new Error(`Cannot parse tag expression "${expression}" at "${expression.slice(consumed).trim()}"`);
+    }
+
+    return tokens;
+}
+
+/**
+ * Parses a tag expression into a tree of
+ * { op: "and"|"or", left, right }, { op: "not", operand } and { tag } nodes.
+ */
+function parseTagExpression(expression) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    function peek() {
+        return tokens[position] ? tokens[position].type : null;
+    }
+
+    function fail(expected) {
+        const found = tokens[position] ? `"${tokens[position].text}"` : "end of expression";
+        throw new Error(`Expected ${expected} in tag expression "${expression}", found ${found}`);
+    }
+
+    function parseOr() {
+        let node = parseAnd();
+        while (peek() === "or") {
+            position++;
+            node = { op: "or", left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseNot();
+        while (peek() === "and") {
+            position++;
+            node = { op: "and", left: node, right: parseNot() };
+        }
+        return node;
+    }
+
+    function parseNot() {
+        if (peek() === "not") {
+            position++;
+            return { op: "not", operand: parseNot() };
+        }
+        if (peek() === "(") {
+            position++;
+            const node = parseOr();
+            if (peek() !== ")") {
+                fail('")"');
+            }
+            position++;
+            return node;
+        }
+        if (peek() === "tag") {
+            return { tag: tokens[position++].text };
+        }
+        return fail("a tag");
+    }
+
+    if (tokens.length === 0) {
+        throw new Error("Tag expression is empty");
+    }
+    const tree = parseOr();
+    if (position < tokens.length) {
+        fail("an operator");
+    }
+    return tree;
+}
+
+function evaluateTagExpression(node, tags) {
+    switch (node.op) {
+        case "and":
+            return evaluateTagExpression(node.left, tags) && evaluateTagExpression(node.right, tags);
+        case "or":
+            return evaluateTagExpression(node.left, tags) || evaluateTagExpression(node.right, tags);
+        case "not":
+            return !evaluateTagExpression(node.operand, tags);
+        default:
+            return tags.indexOf(node.tag) !== -1;
+    }
+}
+
+// Tags named in an expression tree
+function collectTags(node, tags) {
+    if (node.tag) {
+        tags.push(node.tag);
+    } else if (node.op === "not") {
+        collectTags(node.operand, tags);
+    } else {
+        collectTags(node.left, tags);
+        collectTags(node.right, tags);
+    }
+    return tags;
+}
+
+// "/regex/flags" as a RegExp, anything else as an anchored, case-insensitive glob
+function compileNamePattern(pattern) {
+    const regexLiteral = /^\/(.+)\/([gimsuy]*)$/.exec(pattern);
+    if (regexLiteral) {
+        try {
+            return new RegExp(regexLiteral[1], regexLiteral[2].replace("g", ""));
+        } catch (e) {
+            throw new Error(`Invalid name pattern ${pattern}: ${e.message}`);
+        }
+    }
+    const source = pattern.split("").map(char => {
+        if (char === "*") {
+            return ".*";
+        }
+        if (char === "?") {
+            return ".";
+        }
+        return char.replace(/[\\^$.+()[\]{}|]/g, "\\$&");
+    }).join("");
+    return new RegExp(`^${source}$`, "i");
+}
+
+function toList(value) {
+    if (value === null || value === undefined) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Creates a filter from { includeTags, excludeTags, tagExpression, namePatterns }.
+ * Throws on an invalid tag expression or name pattern. The returned filter has:
+ * - matches({ suite, name, tags }): whether the test is selected
+ * - referencedTags: tags the filter mentions, to warn about unknown ones
+ * - description: readable summary, empty when the filter selects everything
+ */
+function createTestFilter(options) {
+    options = options || {};
+    const includeTags = toList(options.includeTags);
+    const excludeTags = toList(options.excludeTags);
+    const namePatterns = toList(options.namePatterns);
+    const expression = options.tagExpression ? parseTagExpression(options.tagExpression) : null;
+    const nameMatchers = namePatterns.map(pattern => ({
+        regex: compileNamePattern(pattern),
+        qualified: pattern.charAt(0) !== "/" && pattern.indexOf("/") !== -1
+    }));
+    const includeAll = includeTags.length === 0 || includeTags.indexOf(ALL_TAG) !== -1;
+
+    function matches(info) {
+        const tags = info.tags || [];
+        if (!includeAll && !includeTags.some(tag => tags.indexOf(tag) !== -1)) {
+            return false;
+        }
+        if (excludeTags.some(tag => tags.indexOf(tag) !== -1)) {
+            return false;
+        }
+        if (expression && !evaluateTagExpression(expression, tags)) {
+            return false;
+        }
+        if (nameMatchers.length > 0) {
+            const qualifiedName = `${info.suite}/${info.name}`;
+            return nameMatchers.some(matcher => matcher.regex.test(matcher.qualified ? qualifiedName : info.name));
+        }
+        return true;
+    }
+
+    const description = [];
+    if (!includeAll) {
+        description.push(`tags: ${includeTags.join(", ")}`);
+    }
+    if (excludeTags.length > 0) {
+        description.push(`excluding tags: ${excludeTags.join(", ")}`);
+    }
+    if (expression) {
+        description.push(`tag expression: ${options.tagExpression}`);
+    }
+    if (namePatterns.length > 0) {
+        description.push(`names: ${namePatterns.join(", ")}`);
+    }
+
+    const referencedTags = includeTags.filter(tag => tag !== ALL_TAG)
+        .concat(excludeTags, expression ? collectTags(expression, []) : []);
+
+    return {
+        matches: matches,
+        referencedTags: referencedTags.filter((tag, i) => referencedTags.indexOf(tag) === i),
+        description: description.join("; ")
+    };
+}
+
+module.exports = {
+    ALL_TAG: ALL_TAG,
+    TAG_PATTERN: TAG_PATTERN,
+    parseTagExpression: parseTagExpression,
+    evaluateTagExpression: evaluateTagExpression,
+    compileNamePattern: compileNamePattern,
+    createTestFilter: createTestFilter
+};
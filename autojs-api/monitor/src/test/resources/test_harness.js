@@ -0,0 +1,678 @@
+/**
+ * Declarative Test Harness for CustomAutoJS
+ *
+ * Provides the registration API used by test_runner.js:
+ *
+ *   suite("stress", { title: "Stress Tests", skipIf: () => reasonOrNull }, () => {
+ *       beforeAll(async (ctx) => { ... });
+ *
+ *       test("Rapid API Calls Test", { timeout: 60000 }, async (ctx) => {
+ *           ctx.progress(0.5, "Halfway there...");
+ *           ctx.attach("metrics", metrics);
+ *       });
+ *   });
+ *
+ * The harness computes each test's slice of the progress bar, measures its
+ * duration and keeps the shared result counters and detailedResults up to
+ * date. A test fails by throwing and skips itself with ctx.skip(reason, details);
+ * details (e.g. the measured value and the limit) are kept as skipDetails.
+ * ctx.skip() also works in beforeEach (skipping the test) and beforeAll
+ * (skipping the whole suite).
+ * Every entry records start/end time, duration, attempts and the console
+ * output captured while the test ran; errors carrying `expected`/`actual`
+ * (such as AssertionError) are recorded as the failing assertion.
+ *
+ * Hooks: beforeAll/afterAll run once per suite, beforeEach/afterEach around
+ * every test. Hooks registered outside a suite apply to all suites.
+ * `suite.only`/`test.only` restrict a run to the marked entries;
+ * `suite.skip`/`test.skip` report them as skipped.
+ *
+ * A test's `retries` option (or env.retries) reruns it after a failure,
+ * hooks included; a test that passes on a later attempt is marked flaky and
+ * keeps the earlier errors in failedAttempts. Failures of quarantined tests
+ * (env.isQuarantined) are recorded with `quarantined: true` but don't fail
+ * the run.
+ *
+ * Suites and tests take a `tags` option (e.g. ["ui", "slow"]); a test carries
+ * its own tags plus its suite's. `env.select({ suite, name, tags })` can
+ * deselect tests, which are then left out of the run and of the results.
+ *
+ * Every attempt runs in a scope from test_scope.js: ctx.signal is cancelled
+ * when the attempt times out or ends, ctx.sleep() stops at cancellation, and
+ * timers from ctx.setTimeout/ctx.setInterval and resources registered with
+ * ctx.track() (e.g. floaty windows, see current()) are released after the
+ * afterEach hooks. Resources the test left open are logged as leaked and kept
+ * in the entry's leakedResources.
+ */
+
+const { createTestScope } = require("./test_scope.js");
+
+// Thrown by ctx.skip() to end a test as skipped
+class SkipError extends Error {
+    constructor(reason, details) {
+        super(reason);
+        this.name = "SkipError";
+        this.details = details;
+    }
+}
+
+// Failed check with the values that were compared, recorded in detailedResults
+class AssertionError extends Error {
+    constructor(message, details) {
+        super(message);
+        this.name = "AssertionError";
+        details = details || {};
+        this.expected = details.expected;
+        this.actual = details.actual;
+        this.operator = details.operator;
+    }
+}
+
+const CONSOLE_METHODS = ["log", "info", "warn", "error", "debug"];
+const DEFAULT_MAX_OUTPUT_LINES = 200;
+
+// Renders console arguments the way they would appear in the log
+function formatConsoleArgs(args) {
+    return Array.prototype.map.call(args, arg => {
+        if (typeof arg === "string") {
+            return arg;
+        }
+        if (arg instanceof Error) {
+            return `${arg.name}: ${arg.message}`;
+        }
+        try {
+            return JSON.stringify(arg);
+        } catch (e) {
+            return String(arg);
+        }
+    }).join(" ");
+}
+
+// Copies console output into `capture` while still printing it; returns a restore function
+function captureConsole(capture, maxLines) {
+    const originals = {};
+
+    CONSOLE_METHODS.forEach(level => {
+        if (typeof console[level] !== "function") {
+            return;
+        }
+        originals[level] = console[level];
+        console[level] = function() {
+            if (capture.lines.length < maxLines) {
+                capture.lines.push({ level: level, message: formatConsoleArgs(arguments) });
+            } else {
+                capture.truncated++;
+            }
+            return originals[level].apply(console, arguments);
+        };
+    });
+
+    return function restore() {
+        Object.keys(originals).forEach(level => {
+            console[level] = originals[level];
+        });
+    };
+}
+
+// Failing assertion details, or null for errors without expected/actual values
+function describeAssertion(error) {
+    if (!error || (error.expected === undefined && error.actual === undefined)) {
+        return null;
+    }
+    return {
+        message: error.message,
+        expected: error.expected,
+        actual: error.actual,
+        operator: error.operator
+    };
+}
+
+function createHooks() {
+    return {
+        beforeAll: [],
+        afterAll: [],
+        beforeEach: [],
+        afterEach: []
+    };
+}
+
+// Resolves option values that may be given as functions of nothing (evaluated at run time)
+function resolveOption(value) {
+    return typeof value === "function" ? value() : value;
+}
+
+// Tags option as a list of strings, duplicates removed
+function normalizeTags(tags, owner) {
+    const list = tags === undefined ? [] : Array.isArray(tags) ? tags : [tags];
+    list.forEach(tag => {
+        if (typeof tag !== "string" || tag === "") {
+            throw new Error(`Invalid tag ${JSON.stringify(tag)} on ${owner}`);
+        }
+    });
+    return list.filter((tag, i) => list.indexOf(tag) === i);
+}
+
+// Accepts (name, fn) as well as (name, options, fn)
+function normalizeArgs(name, options, fn) {
+    if (typeof options === "function") {
+        return { name: name, options: {}, fn: options };
+    }
+    return { name: name, options: options || {}, fn: fn };
+}
+
+/**
+ * Creates a harness bound to the runner's environment:
+ * - results: counters object with passedTests/failedTests/skippedTests/detailedResults
+ * - updateProgress(ui, status, detail, progress)
+ * - runWithTimeout(fn, timeoutMs, scope): rejects after timeoutMs and cancels scope
+ * - defaultTimeout: number or function returning the per-test timeout in ms
+ * - maxOutputLines: console lines kept per test (default 200)
+ * - select: optional ({ suite, name, tags }) => boolean choosing the tests to run
+ * - retries: optional ({ suite, name, tags }) => retries after a failed attempt (default 0)
+ * - retryDelay: optional (attempt) => ms to wait before the next attempt
+ * - isQuarantined: optional ({ suite, name, tags }) => false, true or the
+ *   quarantine reason; failures of quarantined tests don't fail the run
+ * - sleep: optional (ms) => promise, used between attempts
+ */
+function createHarness(env) {
+    const suites = [];
+    const rootHooks = createHooks();
+    let currentSuite = null;
+    let activeContext = null;
+    let activeSuiteContext = null;
+
+    // Registration API
+    function suite(name, options, body) {
+        const args = normalizeArgs(name, options, body);
+        if (currentSuite) {
+            throw new Error(`suite("${name}") cannot be nested inside suite("${currentSuite.name}")`);
+        }
+        if (suites.some(s => s.name === name)) {
+            throw new Error(`Duplicate test suite: ${name}`);
+        }
+
+        const registered = {
+            name: args.name,
+            title: args.options.title || args.name,
+            options: args.options,
+            tags: normalizeTags(args.options.tags, `suite("${args.name}")`),
+            tests: [],
+            hooks: createHooks(),
+            only: !!args.options.only,
+            skip: !!args.options.skip
+        };
+        suites.push(registered);
+
+        currentSuite = registered;
+        try {
+            args.fn();
+        } finally {
+            currentSuite = null;
+        }
+        return registered;
+    }
+
+    function test(name, options, fn) {
+        const args = normalizeArgs(name, options, fn);
+        if (!currentSuite) {
+            throw new Error(`test("${name}") must be registered inside suite()`);
+        }
+
+        const registered = {
+            name: args.name,
+            options: args.options,
+            tags: normalizeTags(args.options.tags, `test("${args.name}")`),
+            fn: args.fn,
+            only: !!args.options.only,
+            skip: !!args.options.skip
+        };
+        currentSuite.tests.push(registered);
+        return registered;
+    }
+
+    suite.only = (name, options, body) => suite.apply(null, withFlag("only", name, options, body));
+    suite.skip = (name, options, body) => suite.apply(null, withFlag("skip", name, options, body));
+    test.only = (name, options, fn) => test.apply(null, withFlag("only", name, options, fn));
+    test.skip = (name, options, fn) => test.apply(null, withFlag("skip", name, options, fn));
+
+    function withFlag(flag, name, options, fn) {
+        const args = normalizeArgs(name, options, fn);
+        return [args.name, Object.assign({}, args.options, { [flag]: true }), args.fn];
+    }
+
+    function addHook(type) {
+        return function(fn) {
+            (currentSuite ? currentSuite.hooks : rootHooks)[type].push(fn);
+        };
+    }
+
+    // Running
+    function getSuite(name) {
+        const found = suites.find(s => s.name === name);
+        if (!found) {
+            throw new Error(`Unknown test suite: ${name}`);
+        }
+        return found;
+    }
+
+    // Suite and test tags of a registered test
+    function tagsOf(registered, registeredTest) {
+        const tags = registered.tags.concat(registeredTest.tags || []);
+        return tags.filter((tag, i) => tags.indexOf(tag) === i);
+    }
+
+    function describeTest(registered, registeredTest) {
+        return { suite: registered.name, name: registeredTest.name, tags: tagsOf(registered, registeredTest) };
+    }
+
+    // Tests marked with `only`, or all of them when nothing is
+    function onlyTests(registered) {
+        const anyOnly = suites.some(s => s.only || s.tests.some(t => t.only));
+        if (!anyOnly) {
+            return registered.tests;
+        }
+        if (registered.only && !registered.tests.some(t => t.only)) {
+            return registered.tests;
+        }
+        return registered.tests.filter(t => t.only);
+    }
+
+    // Tests that take part in a run, honouring `only` and env.select
+    function planSuite(registered) {
+        const tests = onlyTests(registered);
+        if (typeof env.select !== "function") {
+            return tests;
+        }
+        return tests.filter(t => env.select(describeTest(registered, t)));
+    }
+
+    function weightOf(registeredTest) {
+        return registeredTest.options.weight || 1;
+    }
+
+    // Quarantined failures are counted apart and don't fail the run
+    function recordResult(entry) {
+        const results = env.results;
+        if (entry.skipped) {
+            results.skippedTests++;
+        } else if (entry.passed) {
+            results.passedTests++;
+            if (entry.flaky) {
+                results.flakyTests = (results.flakyTests || 0) + 1;
+            }
+        } else if (entry.quarantined) {
+            results.quarantinedFailures = (results.quarantinedFailures || 0) + 1;
+        } else {
+            results.failedTests++;
+        }
+        results.detailedResults.push(entry);
+    }
+
+    // Entry for a test that never ran its body
+    function notRunEntry(registered, registeredTest, fields) {
+        const now = Date.now();
+        return Object.assign({
+            name: registeredTest.name,
+            suite: registered.name,
+            tags: tagsOf(registered, registeredTest),
+            passed: false,
+            startTime: now,
+            endTime: now,
+            duration: 0,
+            attempts: 0,
+            output: []
+        }, fields);
+    }
+
+    function recordSkip(registered, registeredTest, reason, details) {
+        const fields = { skipped: true, skipReason: reason };
+        if (details !== undefined) {
+            fields.skipDetails = details;
+        }
+        recordResult(notRunEntry(registered, registeredTest, fields));
+    }
+
+    // Runs hooks in order; returns the first error instead of throwing
+    async function runHooks(hooks, ctx) {
+        for (const hook of hooks) {
+            try {
+                await hook(ctx);
+            } catch (e) {
+                return e;
+            }
+        }
+        return null;
+    }
+
+    function createContext(ui, registered, registeredTest, progressStart, progressEnd, scope) {
+        const attachments = {};
+        return {
+            ui: ui,
+            suite: registered.name,
+            test: registeredTest ? registeredTest.name : null,
+            tags: registeredTest ? tagsOf(registered, registeredTest) : registered.tags.slice(),
+            attachments: attachments,
+
+            // Reports progress within this test's slice (fraction 0..1)
+            progress: function(fraction, detail) {
+                env.updateProgress(ui, registeredTest ? registeredTest.name : registered.title, detail,
+                    progressStart + (progressEnd - progressStart) * Math.min(Math.max(fraction, 0), 1));
+            },
+
+            // Adds a field to this test's entry in detailedResults
+            attach: function(key, value) {
+                attachments[key] = value;
+            },
+
+            skip: function(reason, details) {
+                throw new SkipError(reason || "Skipped", details);
+            },
+
+            // Cancellation and resources of this attempt (see test_scope.js)
+            signal: scope.signal,
+            sleep: scope.sleep,
+            setTimeout: scope.setTimeout,
+            clearTimeout: scope.clearTimeout,
+            setInterval: scope.setInterval,
+            clearInterval: scope.clearInterval,
+            track: scope.track
+        };
+    }
+
+    // Retries allowed after a failed attempt: the test's `retries` option, else env.retries(info)
+    function retriesOf(registered, registeredTest) {
+        const option = registeredTest.options.retries;
+        if (option !== undefined) {
+            return resolveOption(option) || 0;
+        }
+        return typeof env.retries === "function" ? env.retries(describeTest(registered, registeredTest)) || 0 : 0;
+    }
+
+    function quarantineOf(registered, registeredTest) {
+        return typeof env.isQuarantined === "function" ? env.isQuarantined(describeTest(registered, registeredTest)) : false;
+    }
+
+    function sleep(ms) {
+        return env.sleep ? env.sleep(ms) : new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Releases what a test or suite left open, warning about each leaked resource
+    function releaseScope(scope, owner) {
+        const leaked = scope.release(`${owner} finished`);
+        if (leaked.length > 0) {
+            console.warn(`Leaked resource${leaked.length === 1 ? "" : "s"} in ${owner}, ` +
+                `released automatically: ${leaked.join(", ")}`);
+        }
+        return leaked;
+    }
+
+    /**
+     * One attempt: beforeEach hooks, the test body, afterEach hooks, then the
+     * release of whatever the attempt left open; resolves with
+     * { ctx, error, skipped, leaked }
+     */
+    async function runAttempt(registered, registeredTest, ui, progressStart, progressEnd, timeout) {
+        const scope = createTestScope();
+        const ctx = createContext(ui, registered, registeredTest, progressStart, progressEnd, scope);
+        activeContext = ctx;
+        let error = await runHooks(rootHooks.beforeEach.concat(registered.hooks.beforeEach), ctx);
+        let skipped = null;
+
+        if (error instanceof SkipError) {
+            skipped = error;
+            error = null;
+        } else if (!error) {
+            try {
+                await env.runWithTimeout(() => registeredTest.fn(ctx), timeout, scope);
+            } catch (e) {
+                if (e instanceof SkipError) {
+                    skipped = e;
+                } else {
+                    error = e;
+                }
+            }
+        }
+
+        const afterError = await runHooks(registered.hooks.afterEach.concat(rootHooks.afterEach), ctx);
+        activeContext = null;
+        const leaked = releaseScope(scope, registeredTest.name);
+        return { ctx: ctx, error: error || afterError, skipped: skipped, leaked: leaked };
+    }
+
+    async function runTest(registered, registeredTest, ui, progressStart, progressEnd) {
+        const staticSkip = registered.skip || registeredTest.skip ? "Marked as skipped" : null;
+        const skipReason = staticSkip || resolveOption(registeredTest.options.skipIf) || null;
+        if (skipReason) {
+            recordSkip(registered, registeredTest, skipReason);
+            env.updateProgress(ui, `${registeredTest.name} Skipped`, skipReason, progressEnd);
+            return true;
+        }
+
+        env.updateProgress(ui, registeredTest.name, registeredTest.options.description || "Running...", progressStart);
+
+        const timeout = resolveOption(registeredTest.options.timeout) || resolveOption(env.defaultTimeout);
+        const maxAttempts = 1 + retriesOf(registered, registeredTest);
+        const quarantine = quarantineOf(registered, registeredTest);
+        const quarantined = !!quarantine;
+        const output = { lines: [], truncated: 0 };
+        const restoreConsole = captureConsole(output, env.maxOutputLines || DEFAULT_MAX_OUTPUT_LINES);
+        const startTime = Date.now();
+        const failedAttempts = [];
+        const leakedResources = [];
+        let attempt = 0;
+        let result = null;
+
+        try {
+            while (attempt < maxAttempts) {
+                attempt++;
+                result = await runAttempt(registered, registeredTest, ui, progressStart, progressEnd, timeout);
+                result.leaked.forEach(description => leakedResources.push(description));
+                if (!result.error || result.skipped || attempt >= maxAttempts) {
+                    break;
+                }
+
+                failedAttempts.push({
+                    attempt: attempt,
+                    error: result.error.message,
+                    errorType: result.error.name || "Error"
+                });
+                const delay = typeof env.retryDelay === "function" ? env.retryDelay(attempt) : 0;
+                console.warn(`${registeredTest.name} failed on attempt ${attempt} of ${maxAttempts}: ${result.error.message}; ` +
+                    `retrying in ${delay} ms`);
+                env.updateProgress(ui, `${registeredTest.name} Retrying`,
+                    `Attempt ${attempt + 1} of ${maxAttempts}...`, progressStart);
+                await sleep(delay);
+            }
+        } finally {
+            restoreConsole();
+        }
+
+        const error = result.error;
+        const skipped = result.skipped;
+        const endTime = Date.now();
+        const entry = Object.assign({
+            name: registeredTest.name,
+            suite: registered.name,
+            tags: tagsOf(registered, registeredTest),
+            passed: !error && !skipped,
+            startTime: startTime,
+            endTime: endTime,
+            duration: endTime - startTime,
+            attempts: attempt,
+            output: output.lines
+        }, result.ctx.attachments);
+        if (output.truncated > 0) {
+            entry.outputTruncated = output.truncated;
+        }
+        if (failedAttempts.length > 0) {
+            entry.failedAttempts = failedAttempts;
+        }
+        if (leakedResources.length > 0) {
+            entry.leakedResources = leakedResources;
+        }
+        if (quarantined) {
+            entry.quarantined = true;
+            if (typeof quarantine === "string") {
+                entry.quarantineReason = quarantine;
+            }
+        }
+
+        if (skipped) {
+            entry.skipped = true;
+            entry.skipReason = skipped.message;
+            if (skipped.details !== undefined) {
+                entry.skipDetails = skipped.details;
+            }
+            recordResult(entry);
+            env.updateProgress(ui, `${registeredTest.name} Skipped`, skipped.message, progressEnd);
+            return true;
+        }
+
+        if (error) {
+            console.error(`${registeredTest.name} failed${quarantined ? " (quarantined)" : ""}:`, error);
+            entry.error = error.message;
+            entry.errorType = error.name || "Error";
+            entry.assertion = describeAssertion(error);
+            recordResult(entry);
+            env.updateProgress(ui, `${registeredTest.name} Failed${quarantined ? " (quarantined)" : ""}`,
+                `✗ Error: ${error.message}`, progressEnd);
+            return quarantined;
+        }
+
+        // Passed after failing at least once
+        if (failedAttempts.length > 0) {
+            entry.flaky = true;
+        }
+        recordResult(entry);
+        env.updateProgress(ui, `${registeredTest.name} Passed${entry.flaky ? " (flaky)" : ""}`,
+            `✓ ${registeredTest.options.successMessage || "Test completed"}`, progressEnd);
+        return true;
+    }
+
+    async function runSuite(registered, plannedTests, ui, progressStart, progressEnd) {
+        env.updateProgress(ui, `Running ${registered.title}`, registered.options.description, progressStart);
+
+        const suiteSkip = resolveOption(registered.options.skipIf);
+        if (suiteSkip) {
+            plannedTests.forEach(t => recordSkip(registered, t, suiteSkip));
+            env.updateProgress(ui, `${registered.title} Skipped`, suiteSkip, progressEnd);
+            return true;
+        }
+
+        const suiteScope = createTestScope();
+        const suiteCtx = createContext(ui, registered, null, progressStart, progressEnd, suiteScope);
+        activeSuiteContext = suiteCtx;
+        try {
+            return await runSuiteBody(registered, plannedTests, ui, progressStart, progressEnd, suiteCtx);
+        } finally {
+            activeSuiteContext = null;
+            releaseScope(suiteScope, registered.title);
+        }
+    }
+
+    // beforeAll hooks, the planned tests and afterAll hooks of a suite
+    async function runSuiteBody(registered, plannedTests, ui, progressStart, progressEnd, suiteCtx) {
+        const beforeError = await runHooks(rootHooks.beforeAll.concat(registered.hooks.beforeAll), suiteCtx);
+        if (beforeError instanceof SkipError) {
+            plannedTests.forEach(t => recordSkip(registered, t, beforeError.message, beforeError.details));
+            await runHooks(registered.hooks.afterAll.concat(rootHooks.afterAll), suiteCtx);
+            env.updateProgress(ui, `${registered.title} Skipped`, beforeError.message, progressEnd);
+            return true;
+        }
+        if (beforeError) {
+            console.error(`${registered.title} setup failed:`, beforeError);
+            plannedTests.forEach(t => recordResult(notRunEntry(registered, t, {
+                error: `beforeAll hook failed: ${beforeError.message}`,
+                errorType: beforeError.name || "Error",
+                assertion: describeAssertion(beforeError)
+            })));
+            await runHooks(registered.hooks.afterAll.concat(rootHooks.afterAll), suiteCtx);
+            env.updateProgress(ui, `${registered.title} Failed`, `✗ Error: ${beforeError.message}`, progressEnd);
+            return false;
+        }
+
+        const totalWeight = plannedTests.reduce((sum, t) => sum + weightOf(t), 0);
+        let cursor = progressStart;
+        let success = true;
+
+        for (const registeredTest of plannedTests) {
+            const span = (progressEnd - progressStart) * weightOf(registeredTest) / totalWeight;
+            const passed = await runTest(registered, registeredTest, ui, cursor, cursor + span);
+            success = success && passed;
+            cursor += span;
+        }
+
+        const afterError = await runHooks(registered.hooks.afterAll.concat(rootHooks.afterAll), suiteCtx);
+        if (afterError) {
+            console.error(`${registered.title} teardown failed:`, afterError);
+            recordResult(notRunEntry(registered, { name: `${registered.title}: afterAll hook` }, {
+                error: afterError.message,
+                errorType: afterError.name || "Error",
+                assertion: describeAssertion(afterError)
+            }));
+            success = false;
+        }
+
+        return success;
+    }
+
+    // Runs the named suites, splitting the progress range by number of tests
+    async function run(suiteNames, ui, progressStart, progressEnd) {
+        progressStart = progressStart === undefined ? 0 : progressStart;
+        progressEnd = progressEnd === undefined ? 100 : progressEnd;
+
+        const plan = suiteNames.map(getSuite)
+            .map(registered => ({ suite: registered, tests: planSuite(registered) }))
+            .filter(entry => entry.tests.length > 0);
+        const totalWeight = plan.reduce((sum, entry) => sum + entry.tests.reduce((s, t) => s + weightOf(t), 0), 0);
+
+        let cursor = progressStart;
+        let success = true;
+
+        for (const entry of plan) {
+            const weight = entry.tests.reduce((s, t) => s + weightOf(t), 0);
+            const span = (progressEnd - progressStart) * weight / totalWeight;
+            const passed = await runSuite(entry.suite, entry.tests, ui, cursor, cursor + span);
+            success = success && passed;
+            cursor += span;
+        }
+
+        return success;
+    }
+
+    // Every test of the named suites with its tags and whether the next run selects it
+    function listTests(suiteNames) {
+        const listed = [];
+        suiteNames.map(getSuite).forEach(registered => {
+            const planned = planSuite(registered);
+            registered.tests.forEach(t => {
+                listed.push(Object.assign(describeTest(registered, t), { selected: planned.indexOf(t) !== -1 }));
+            });
+        });
+        return listed;
+    }
+
+    // Context of the running test (or suite hook), e.g. to track resources opened through shared APIs
+    function current() {
+        return activeContext || activeSuiteContext;
+    }
+
+    return {
+        suite: suite,
+        test: test,
+        beforeAll: addHook("beforeAll"),
+        afterAll: addHook("afterAll"),
+        beforeEach: addHook("beforeEach"),
+        afterEach: addHook("afterEach"),
+        run: run,
+        getSuites: () => suites.slice(),
+        listTests: listTests,
+        current: current
+    };
+}
+
+module.exports = {
+    createHarness: createHarness,
+    SkipError: SkipError,
+    AssertionError: AssertionError
+};
@@ -10,21 +10,72 @@
  * 6. Memory leak tests
  * 7. Visual UI tests
  * 
- * Usage: Import and run this script directly in CustomAutoJS.
+ * Tests are registered with suite()/test() from test_harness.js, which takes
+ * care of progress, timing and result accounting.
+ * 
+ * Usage: Import and run this script directly in CustomAutoJS, or headlessly
+ * under Node.js with `node headless/host.js` (see headless/host.js).
  */
 
-// Import individual test modules
-const recommendationTest = require('./test_recommendation_system.js');
+const { createHarness, AssertionError } = require('./test_harness.js');
+const { expect } = require('./assertions.js');
+const {
+    RECOMMENDATION_TYPES,
+    RECOMMENDATION_IMPORTANCES,
+    RECOMMENDATION_LIST_SCHEMA,
+    validateRecommendations,
+    describeRecommendationErrors
+} = require('./recommendation_schema.js');
+const {
+    MONITOR_CONTRACT,
+    MONITOR_INVARIANTS,
+    listBridgeMethods,
+    createApiSnapshot,
+    diffApiSurface,
+    formatChange
+} = require('./monitor_contract.js');
+const { loadConfig } = require('./config_loader.js');
+const { createConfigSchema } = require('./config_schema.js');
+const { createTestFilter } = require('./test_filter.js');
+const { waitForDeviceConditions, describeViolations } = require('./device_guards.js');
+const { testKey, selectShard, shardLabel } = require('./sharding.js');
+const {
+    createHistory,
+    parseHistory,
+    pruneHistory,
+    recordRun,
+    baselineRuns,
+    compareWithBaseline,
+    describeRegression
+} = require('./benchmark_history.js');
+const { createClock, sampleCalls, summarizeSamples, checkBudgets, toMetricRecords } = require('./perf_stats.js');
+const { createBaseline, parseBaseline, updateBaseline, compareWithBaseline: compareWithPerfBaseline, describeChange } = require('./perf_baseline.js');
+const { createSoakRecorder, toTimeSeriesLine, analyzeDrift } = require('./soak.js');
+const { createSeededRandom, pick } = require('./seeded_random.js');
+const { generateRecommendationPayload, generateDeviceState, runFuzzCases, describeInput } = require('./fuzzer.js');
+const { listOf, checkProperty } = require('./property_testing.js');
+const { toJUnitXml, JUNIT_FILE_NAME } = require('./junit_report.js');
+const { toHtmlReport, HTML_FILE_NAME } = require('./html_report.js');
+
+// Try to import the recommendation system test module if it exists
+let recommendationTest = null;
+try {
+    recommendationTest = require('./test_recommendation_system.js');
+} catch (e) {
+    console.log("Recommendation system test module not available");
+}
 
-// Try to import the visual test if it exists
+// Try to import the visual test if it exists; tests that need it fail with visualTestError
 let visualTest = null;
+let visualTestError = null;
 try {
     visualTest = require('./visual_recommendation_test.js');
 } catch (e) {
-    console.log("Visual recommendation test not available");
+    visualTestError = e;
+    console.log("Visual recommendation test not available:", e.message);
 }
 
-// Try to load custom config if available
+// Per-run overrides in runner layout, generated by run_tests.sh or the headless host
 let customConfig = {};
 try {
     customConfig = require('./test_config.js');
@@ -33,10 +84,47 @@ try {
     console.log("No custom test configuration found, using defaults");
 }
 
-// Global test configuration with defaults and custom overrides
-const config = {
-    // Test type
-    testType: 'all', // all, unit, integration, stress, memory, performance
+// Suites run for each config.testType; visual tests are added when runVisualTests is set
+const SUITES_BY_TEST_TYPE = {
+    unit: ["basic", "contract", "property"],
+    contract: ["contract"],
+    integration: ["integration"],
+    performance: ["performance"],
+    stress: ["stress"],
+    memory: ["memory"],
+    soak: ["soak"],
+    fuzz: ["fuzz"],
+    property: ["property"],
+    all: ["basic", "contract", "property", "integration", "performance", "stress", "memory", "fuzz", "visual"]
+};
+
+// Runner defaults; test_config.json, AUTOJS_TEST_* variables and test_config.js
+// are applied on top by config_loader.js
+const DEFAULT_CONFIG = {
+    // Shared Kotlin/JavaScript test configuration
+    configFile: "./test_config.json",
+    
+    // Test type, one of the keys of SUITES_BY_TEST_TYPE
+    testType: 'all',
+    
+    // Selection within the test type's suites by tag and name, see test_filter.js
+    testFilter: {
+        // "all" selects every test
+        includeTags: ["all"],
+        excludeTags: [],
+        
+        // e.g. "ui and not slow"
+        tagExpression: null,
+        
+        // Globs or /regular expressions/ matched against "name" and "suite/name"
+        namePatterns: [],
+        
+        // Extra filters for the suites of one test type (unitTests/integrationTests in test_config.json)
+        byTestType: {
+            unit: { includeTags: ["all"], excludeTags: [] },
+            integration: { includeTags: ["all"], excludeTags: [] }
+        }
+    },
     
     // Set to true to show UI tests
     showUiTests: true,
@@ -47,6 +135,48 @@ const config = {
     // Set to true to run benchmark tests (may impact device performance)
     runBenchmarkTests: true,
     
+    // Benchmark test configuration
+    benchmarkTest: {
+        timeoutMs: 60000,
+        
+        // JSON file keeping the scores of every run, see benchmark_history.js; null keeps no history
+        historyPath: null,
+        
+        // Runs older than this are dropped from the history (0 keeps them all)
+        resultExpirationDays: 14,
+        
+        // Regression check against the latest baselineRuns runs on the same device model: a score is a
+        // regression when it is more than zThreshold standard deviations and minDropPercent below their mean
+        baselineRuns: 10,
+        minBaselineRuns: 3,
+        zThreshold: 2,
+        minDropPercent: 5,
+        
+        // Fail the benchmark test on a regression instead of only flagging it in the report
+        failOnRegression: false
+    },
+    
+    // Pre-flight device checks before benchmark, stress and performance tests, see device_guards.js
+    deviceGuards: {
+        // Tests carrying one of these tags are guarded
+        guardedTags: ["benchmark", "stress", "performance"],
+        
+        // Skip when the battery is below minBatteryLevel and not charging
+        skipOnLowBattery: false,
+        minBatteryLevel: 20,
+        
+        // Skip whenever the device is not charging
+        requireCharging: false,
+        
+        // Skip when the battery temperature (°C) reaches maxTemperature
+        skipWhenHot: true,
+        maxTemperature: 40,
+        
+        // Wait up to maxWaitMs for the device to cool down or charge before skipping; 0 skips right away
+        maxWaitMs: 0,
+        pollIntervalMs: 10000
+    },
+    
     // Set to true to run stress tests
     runStressTests: false,
     
@@ -65,6 +195,31 @@ const config = {
     // Test timeout in ms (for each test section)
     testTimeout: 30000,
     
+    // Reruns of failed tests, hooks included; tests passing on a rerun are reported as flaky
+    retry: {
+        retries: 0,
+        
+        // Retries for tests carrying a tag, overriding retries; floaty windows can lose overlay permission races
+        byTag: { ui: 1 },
+        
+        // Wait before rerun n: backoffMs * backoffFactor^(n-1), at most maxBackoffMs
+        backoffMs: 1000,
+        backoffFactor: 2,
+        maxBackoffMs: 10000
+    },
+    
+    // Tests whose failures are reported but don't fail the run: name patterns as in testFilter.namePatterns,
+    // or { test: pattern, reason: "why, e.g. an issue link" }
+    quarantine: [],
+    
+    // Part of a run split across devices, see sharding.js: this shard runs every count-th selected test;
+    // label names the device in merged reports
+    shard: {
+        index: 0,
+        count: 1,
+        label: null
+    },
+    
     // Set to true for CI mode (non-interactive)
     ciMode: false,
     
@@ -73,28 +228,140 @@ const config = {
     
     // Performance test configuration
     performanceTest: {
+        enabled: true,
         iterations: 100,
         warmupIterations: 10,
-        recommendationCount: 10
+        
+        // Generation calls the recommendation performance test times, and cards the rendering and memory tests build
+        recommendationCount: 10,
+        
+        // Number of measured frames, each rendering recommendationCount cards
+        renderFrames: 10,
+        
+        // Monitor methods the API performance test samples call by call
+        apiMethods: [
+            "getDeviceCapabilities",
+            "getBenchmarkRecommendations",
+            "isLowBattery",
+            "isLowMemory",
+            "getPerformanceClass"
+        ],
+        
+        // Samples outside the quartiles ± outlierFence × IQR are dropped before the statistics (0 keeps all)
+        outlierFence: 1.5,
+        
+        // Per-method API budgets in ms on meanMs, p50Ms, p90Ms, p99Ms or maxMs; "default" applies to every method
+        apiBudgets: {
+            default: { p99Ms: 100 }
+        },
+        
+        // Budgets in ms; the tests fail when a measurement exceeds them
+        recommendationBudgetMs: 50,
+        recommendationMaxBudgetMs: 250,
+        cardInflationBudgetMs: 16,
+        renderFrameBudgetMs: 250,
+        
+        // Timings of the performance tests compared with, or written to, a baseline file (perf_baseline.js);
+        // a timing regresses when it is more than tolerancePercent and minDeltaMs slower than its baseline.
+        // Only the statistics in compareStats are compared, all of them are stored.
+        baseline: {
+            path: null,
+            update: false,
+            tolerancePercent: 25,
+            minDeltaMs: 0.5,
+            compareStats: ["meanMs", "avgMs", "p50Ms", "p90Ms"]
+        }
     },
     
     // Stress test configuration
     stressTest: {
+        enabled: true,
+        threads: 4,
         iterationsPerThread: 50,
         randomSeed: 42,
         maxRecommendations: 200,
-        stressTimeSeconds: 10
+        stressTimeSeconds: 10,
+        
+        // Failure thresholds, comparable to RecommendationStressTest.kt
+        maxErrorRate: 0,
+        minCallsPerSecond: 100,
+        heavyLoadBudgetMs: 5000
     },
     
     // Memory test configuration
     memoryTest: {
+        enabled: true,
         iterations: 50,
         gcCycles: 3,
-        memoryThresholdPercent: 10
+        memoryThresholdPercent: 10,
+        
+        // Pause after each forced collection so the collector can finish
+        pauseForGcMs: 100
+    },
+    
+    // Soak test configuration (test type "soak", never part of "all")
+    soakTest: {
+        enabled: true,
+        
+        // Wall-clock duration of the run; it also ends after maxCycles cycles
+        durationSeconds: 60,
+        maxCycles: 1000,
+        
+        // Pause between cycles, and a benchmark run every benchmarkEveryCycles cycles (0 never)
+        cyclePauseMs: 100,
+        benchmarkEveryCycles: 50,
+        
+        // Memory, latency and error snapshots, appended to timeSeriesPath as JSON Lines (null keeps them in the report only)
+        snapshotIntervalSeconds: 10,
+        timeSeriesPath: null,
+        
+        // Drift between the first and the last quarter of the snapshots that fails the run
+        maxMemoryDriftPercent: 10,
+        maxLatencyDriftPercent: 50,
+        minLatencyDriftMs: 0.5,
+        maxErrorRate: 0
+    },
+    
+    // Fuzz test configuration
+    fuzzTest: {
+        enabled: true,
+        
+        // Seed of the run (null uses stressTest.randomSeed) and the number of cases per fuzz test
+        seed: null,
+        cases: 100,
+        
+        // Replays only the case with this seed, as printed when a case fails
+        caseSeed: null,
+        
+        // Size of the generated recommendation payloads
+        maxRecommendations: 20,
+        maxStringLength: 5000
+    },
+    
+    // Property test configuration
+    propertyTest: {
+        // Seed of the generated inputs (null uses stressTest.randomSeed) and the inputs per property
+        seed: null,
+        runs: 100,
+        maxListLength: 30,
+        
+        // Candidates tried while shrinking a failing input
+        maxShrinkSteps: 1000
+    },
+    
+    // API contract test configuration
+    contractTest: {
+        // API snapshot from the previous run, used to report drift between app versions;
+        // null skips the comparison. The file is rewritten after every comparison.
+        apiSnapshotPath: null,
+        
+        // Fail when methods or fields disappear or change type since the snapshot
+        failOnBreakingDrift: true
     },
     
     // Visual test configuration
     visualTest: {
+        enabled: true,
         showAdvancedOptions: true,
         fullScreenMode: false,
         showMockControls: true,
@@ -102,32 +369,103 @@ const config = {
         themeColor: "#2196F3"
     },
     
+    // HTML report palette, same as visualizationConfig.colors in test_config.json
+    visualization: {
+        colors: {
+            cpu: "#4285F4",
+            memory: "#DB4437",
+            storage: "#F4B400",
+            battery: "#0F9D58",
+            network: "#9C27B0",
+            general: "#757575"
+        }
+    },
+    
     // Path for test reports
     reportPath: null
 };
 
-// Merge custom config over defaults
-if (customConfig) {
-    Object.keys(customConfig).forEach(key => {
-        if (typeof customConfig[key] === 'object' && customConfig[key] !== null && config[key] && typeof config[key] === 'object') {
-            // Merge nested objects
-            Object.assign(config[key], customConfig[key]);
-        } else {
-            // Set top-level properties
-            config[key] = customConfig[key];
+// Types and ranges of the resolved configuration, see config_schema.js
+const CONFIG_SCHEMA = createConfigSchema(Object.keys(SUITES_BY_TEST_TYPE));
+
+/**
+ * Combines config.testFilter and its per test type filters into one selector;
+ * the result has matches({ suite, name, tags }), referencedTags and description.
+ */
+function createTestSelector(filterConfig) {
+    const global = createTestFilter(filterConfig);
+    const byTestType = Object.keys(filterConfig.byTestType || {}).map(testType => {
+        if (!SUITES_BY_TEST_TYPE[testType]) {
+            throw new Error(`byTestType: unknown test type "${testType}"`);
         }
+        return {
+            testType: testType,
+            suites: SUITES_BY_TEST_TYPE[testType],
+            filter: createTestFilter(filterConfig.byTestType[testType])
+        };
+    });
+    
+    const descriptions = [global.description].concat(byTestType
+        .filter(entry => entry.filter.description)
+        .map(entry => `${entry.testType} suites: ${entry.filter.description}`));
+    
+    return {
+        matches: (info) => global.matches(info) &&
+            byTestType.every(entry => entry.suites.indexOf(info.suite) === -1 || entry.filter.matches(info)),
+        referencedTags: byTestType.reduce((tags, entry) => tags.concat(entry.filter.referencedTags), global.referencedTags),
+        description: descriptions.filter(Boolean).join("; ")
+    };
+}
+
+const loadedConfig = loadConfig(DEFAULT_CONFIG, {
+    overrides: customConfig,
+    overridesSource: "test_config.js",
+    schema: CONFIG_SCHEMA
+});
+const config = loadedConfig.config;
+if (loadedConfig.configFile) {
+    console.log("Loaded shared test configuration from", loadedConfig.configFile);
+}
+
+// Tag and name selection; a malformed tag expression or pattern is a configuration error
+let testSelector = null;
+try {
+    testSelector = createTestSelector(config.testFilter);
+} catch (e) {
+    loadedConfig.errors.push(`testFilter: ${e.message}`);
+}
+
+// Quarantine entries as { filter, reason }, matched like testFilter.namePatterns
+let quarantineMatchers = [];
+try {
+    quarantineMatchers = config.quarantine.map(item => {
+        const pattern = typeof item === "string" ? item : item.test;
+        return { filter: createTestFilter({ namePatterns: [pattern] }), reason: item.reason || `Quarantined (${pattern})` };
     });
+} catch (e) {
+    loadedConfig.errors.push(`quarantine: ${e.message}`);
 }
 
+if (config.shard.index >= config.shard.count) {
+    loadedConfig.errors.push(`shard: index ${config.shard.index} is out of range for ${config.shard.count} shards`);
+}
+
+loadedConfig.warnings.forEach(warning => console.warn(warning));
+loadedConfig.errors.forEach(error => console.error("Invalid test configuration:", error));
+
 // Global test results
 const testResults = {
     totalTests: 0,
     passedTests: 0,
     failedTests: 0,
     skippedTests: 0,
+    deselectedTests: 0,
+    flakyTests: 0,
+    quarantinedFailures: 0,
     startTime: 0,
     endTime: 0,
     detailedResults: [],
+    deviceCapabilities: null,
     testsRun: 0,    // For CI mode reporting
     testsPassed: 0, // For CI mode reporting
     testsFailed: 0, // For CI mode reporting
@@ -171,14 +509,59 @@ const TestUtils = {
         return new Promise(resolve => setTimeout(resolve, ms));
     },
     
-    // Runs a test with timeout
-    runWithTimeout: function(testFn, timeoutMs) {
+    // Where heap usage is read from: the Java runtime on device, Node.js in a headless host
+    getMemorySource: function() {
+        if (typeof java !== 'undefined') {
+            return "java.lang.Runtime";
+        }
+        if (typeof process !== 'undefined' && typeof process.memoryUsage === 'function') {
+            return "process.memoryUsage";
+        }
+        return null;
+    },
+    
+    // Returns the used heap in bytes, or null when it cannot be measured
+    getUsedMemory: function() {
+        switch (TestUtils.getMemorySource()) {
+            case "java.lang.Runtime": {
+                const runtime = java.lang.Runtime.getRuntime();
+                return runtime.totalMemory() - runtime.freeMemory();
+            }
+            case "process.memoryUsage":
+                return process.memoryUsage().heapUsed;
+            default:
+                return null;
+        }
+    },
+    
+    // Forces garbage collection `cycles` times, pausing between collections
+    forceGc: async function(cycles, pauseMs) {
+        for (let i = 0; i < cycles; i++) {
+            if (typeof java !== 'undefined') {
+                java.lang.System.gc();
+                java.lang.System.runFinalization();
+            } else if (typeof gc === 'function') {
+                gc();
+            }
+            await TestUtils.sleep(pauseMs);
+        }
+    },
+    
+    // Returns a deterministic random() replacement for the given seed (see seeded_random.js)
+    createSeededRandom: createSeededRandom,
+    
+    // Runs a test with timeout; on timeout the test's scope is cancelled so its body stops too
+    runWithTimeout: function(testFn, timeoutMs, scope) {
         return new Promise((resolve, reject) => {
             let timeoutId;
             
             const timeoutPromise = new Promise((_, timeoutReject) => {
                 timeoutId = setTimeout(() => {
-                    timeoutReject(new Error(`Test timed out after ${timeoutMs}ms`));
+                    const message = `Test timed out after ${timeoutMs}ms`;
+                    if (scope) {
+                        scope.cancel(message);
+                    }
+                    timeoutReject(new Error(message));
                 }, timeoutMs);
             });
             
@@ -195,319 +578,678 @@ const TestUtils = {
     }
 };
 
-// Test suite definitions
-const testSuites = {
-    // Basic unit tests
-    basic: async (ui, progressStart = 0, progressEnd = 100) => {
-        TestUtils.updateProgress(ui, "Running Basic Unit Tests", "Testing core functionality", progressStart);
-        
-        // Test 1: Recommendation system tests
-        const recTestResult = await runRecommendationTest(ui, progressStart, progressStart + (progressEnd - progressStart) * 0.3);
-        
-        // Test 2: Monitor API tests
-        const apiTestResult = await runMonitorApiTest(ui, progressStart + (progressEnd - progressStart) * 0.3, 
-            progressStart + (progressEnd - progressStart) * 0.7);
-        
-        // Test 3: JavaScript integration test
-        const jsTestResult = await runJsIntegrationTest(ui, progressStart + (progressEnd - progressStart) * 0.7, progressEnd);
-        
-        return recTestResult && apiTestResult && jsTestResult;
-    },
-    
-    // Integration tests
-    integration: async (ui, progressStart = 0, progressEnd = 100) => {
-        TestUtils.updateProgress(ui, "Running Integration Tests", "Testing system integration", progressStart);
-        
-        // 1. Benchmark system integration test
-        const benchmarkResult = await runBenchmarkTest(ui, progressStart, progressStart + (progressEnd - progressStart) * 0.5);
-        
-        // 2. UI integration test
-        const uiResult = await runUiIntegrationTest(ui, progressStart + (progressEnd - progressStart) * 0.5, progressEnd);
-        
-        return benchmarkResult && uiResult;
-    },
-    
-    // Performance tests
-    performance: async (ui, progressStart = 0, progressEnd = 100) => {
-        TestUtils.updateProgress(ui, "Running Performance Tests", "Testing system performance", progressStart);
-        
-        if (!config.runPerformanceTests && !config.runLongTests) {
-            TestUtils.updateProgress(ui, "Performance Tests Skipped", 
-                "Performance tests disabled. Enable with runPerformanceTests or runLongTests.", progressEnd);
-            testResults.skippedTests++;
-            return true;
-        }
-        
-        // 1. API call performance
-        const apiPerfResult = await runApiPerformanceTest(ui, progressStart, 
-            progressStart + (progressEnd - progressStart) * 0.3);
-        
-        // 2. Recommendation generation performance
-        const recPerfResult = await runRecommendationPerformanceTest(ui, 
-            progressStart + (progressEnd - progressStart) * 0.3, 
-            progressStart + (progressEnd - progressStart) * 0.6);
-        
-        // 3. Rendering performance
-        const renderPerfResult = await runRenderingPerformanceTest(ui, 
-            progressStart + (progressEnd - progressStart) * 0.6, progressEnd);
-        
-        return apiPerfResult && recPerfResult && renderPerfResult;
-    },
-    
-    // Stress tests
-    stress: async (ui, progressStart = 0, progressEnd = 100) => {
-        TestUtils.updateProgress(ui, "Running Stress Tests", "Testing system under load", progressStart);
-        
-        if (!config.runStressTests && !config.runLongTests) {
-            TestUtils.updateProgress(ui, "Stress Tests Skipped", 
-                "Stress tests disabled. Enable with runStressTests or runLongTests.", progressEnd);
-            testResults.skippedTests++;
-            return true;
-        }
-        
-        // 1. Rapid API calls
-        const rapidCallResult = await runRapidApiCallsTest(ui, progressStart, 
-            progressStart + (progressEnd - progressStart) * 0.33);
-        
-        // 2. Heavy recommendation load
-        const heavyLoadResult = await runHeavyRecommendationLoadTest(ui, 
-            progressStart + (progressEnd - progressStart) * 0.33, 
-            progressStart + (progressEnd - progressStart) * 0.66);
-        
-        // 3. Concurrent operation test
-        const concurrentOpResult = await runConcurrentOperationsTest(ui, 
-            progressStart + (progressEnd - progressStart) * 0.66, progressEnd);
-        
-        return rapidCallResult && heavyLoadResult && concurrentOpResult;
-    },
-    
-    // Memory tests
-    memory: async (ui, progressStart = 0, progressEnd = 100) => {
-        TestUtils.updateProgress(ui, "Running Memory Tests", "Testing for memory leaks", progressStart);
-        
-        if (!config.runMemoryTests && !config.runLongTests) {
-            TestUtils.updateProgress(ui, "Memory Tests Skipped", 
-                "Memory tests disabled. Enable with runMemoryTests or runLongTests.", progressEnd);
-            testResults.skippedTests++;
-            return true;
-        }
-        
-        // 1. Recommendation system memory test
-        const recMemoryResult = await runRecommendationMemoryTest(ui, progressStart, 
-            progressStart + (progressEnd - progressStart) * 0.5);
-        
-        // 2. UI memory test
-        const uiMemoryResult = await runUiMemoryTest(ui, 
-            progressStart + (progressEnd - progressStart) * 0.5, progressEnd);
-        
-        return recMemoryResult && uiMemoryResult;
+// Retries for a test: the highest config.retry.byTag value among its tags, else config.retry.retries
+function retriesFor(info) {
+    const tagRetries = info.tags
+        .filter(tag => Object.prototype.hasOwnProperty.call(config.retry.byTag, tag))
+        .map(tag => config.retry.byTag[tag]);
+    return tagRetries.length > 0 ? Math.max.apply(null, tagRetries) : config.retry.retries;
+}
+
+// Keys of the tests this shard runs; null runs every selected test (set by runAllTests)
+let shardTests = null;
+
+// Test registration API; the harness handles progress, timing and result accounting
+const harness = createHarness({
+    results: testResults,
+    updateProgress: TestUtils.updateProgress,
+    runWithTimeout: TestUtils.runWithTimeout,
+    defaultTimeout: () => config.testTimeout,
+    select: (info) => (!testSelector || testSelector.matches(info)) &&
+        (!shardTests || shardTests.indexOf(testKey(info)) !== -1),
+    retries: retriesFor,
+    retryDelay: (attempt) => Math.min(
+        config.retry.backoffMs * Math.pow(config.retry.backoffFactor, attempt - 1),
+        config.retry.maxBackoffMs
+    ),
+    isQuarantined: (info) => {
+        const match = quarantineMatchers.find(matcher => matcher.filter.matches(info));
+        return match ? match.reason : false;
     },
-    
-    // Visual tests
-    visual: async (ui, progressStart = 0, progressEnd = 100) => {
-        TestUtils.updateProgress(ui, "Running Visual Tests", "Testing UI components", progressStart);
-        
-        if (!config.runVisualTests) {
-            TestUtils.updateProgress(ui, "Visual Tests Skipped", 
-                "Visual tests disabled. Enable with runVisualTests.", progressEnd);
-            testResults.skippedTests++;
-            return true;
-        }
-        
-        if (!visualTest) {
-            TestUtils.updateProgress(ui, "Visual Tests Failed", 
-                "Visual test module not found.", progressEnd);
-            testResults.failedTests++;
-            return false;
+    sleep: TestUtils.sleep
+});
+const suite = harness.suite;
+const test = harness.test;
+const beforeAll = harness.beforeAll;
+const afterAll = harness.afterAll;
+const beforeEach = harness.beforeEach;
+const afterEach = harness.afterEach;
+
+// Floaty windows opened during a test are tracked on it and closed with it if the test leaves them open
+function trackFloatyWindows(open) {
+    return function() {
+        const window = open.apply(floaty, arguments);
+        const ctx = harness.current();
+        if (ctx && window && typeof window.close === "function") {
+            const close = window.close;
+            const untrack = ctx.track("floaty window", () => close.call(window));
+            window.close = function() {
+                untrack();
+                return close.apply(window, arguments);
+            };
         }
-        
+        return window;
+    };
+}
+floaty.window = trackFloatyWindows(floaty.window);
+if (typeof floaty.rawWindow === "function") {
+    floaty.rawWindow = trackFloatyWindows(floaty.rawWindow);
+}
+
+// Skip reason shared by all tests that open floaty windows
+function uiTestsDisabled() {
+    return !config.showUiTests && config.ciMode ? "UI tests disabled in CI mode" : null;
+}
+
+// The visual test module for tests that can't run without it; fails them if it didn't load
+function requireVisualTest() {
+    if (!visualTest) {
+        throw new Error(`Visual test module not found: ${visualTestError ? visualTestError.message : "unknown error"}`);
+    }
+    return visualTest;
+}
+
+// Skip reason for benchmark runs; battery and temperature are checked by the device guards
+function benchmarkSkipReason() {
+    return config.runBenchmarkTests ? null : "Benchmark tests are disabled in config";
+}
+
+// Skip reason for tests that need heap measurements
+function memoryUnmeasurable() {
+    return TestUtils.getUsedMemory() === null ? "Heap usage cannot be measured in this environment" : null;
+}
+
+/**
+ * Waits for a callback-style monitor call such as runBenchmark(). The pending
+ * callback is tracked on the test, so a test that times out reports it as
+ * leaked, and a callback arriving after the test ended is ignored.
+ */
+function awaitCallback(ctx, description, start) {
+    return ctx.signal.race(new Promise((resolve, reject) => {
+        const untrack = ctx.track(`pending ${description} callback`, () => {});
         try {
-            await TestUtils.runWithTimeout(async () => {
-                visualTest.runVisualTest();
-                
-                // Add delay to let user view the test
-                const viewTime = config.ciMode ? 5000 : 15000;
-                await TestUtils.sleep(viewTime);
-            }, config.testTimeout * 2);
-            
-            testResults.passedTests++;
-            TestUtils.updateProgress(ui, "Visual Tests Passed", "✓ UI components rendered correctly", progressEnd);
-            return true;
-        } catch (error) {
-            console.error("Visual test failed:", error);
-            testResults.failedTests++;
-            TestUtils.updateProgress(ui, "Visual Tests Failed", `✗ Error: ${error.message}`, progressEnd);
-            return false;
+            start(function(value) {
+                untrack();
+                resolve(value);
+            });
+        } catch (e) {
+            untrack();
+            reject(e);
         }
+    }));
+}
+
+// Throws an AssertionError listing every invalid field of a recommendation list
+function assertValidRecommendations(recommendations, source) {
+    const errors = validateRecommendations(recommendations);
+    if (errors.length > 0) {
+        throw new AssertionError(describeRecommendationErrors(errors, source), {
+            expected: RECOMMENDATION_LIST_SCHEMA,
+            actual: errors,
+            operator: "toMatchSchema"
+        });
     }
-};
+    return recommendations;
+}
+
+// Calls getBenchmarkRecommendations() and validates the result before anything renders it
+function fetchValidatedRecommendations(source) {
+    return assertValidRecommendations(monitor.getBenchmarkRecommendations(), source || "getBenchmarkRecommendations()");
+}
+
+// Version of the app hosting the monitor bridge, for the API snapshot
+function getAppVersion() {
+    if (typeof app === 'undefined') {
+        return { versionName: "unknown", versionCode: null };
+    }
+    return { versionName: String(app.versionName), versionCode: app.versionCode };
+}
 
-// Test implementation functions for each test type
-async function runRecommendationTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Testing Recommendation System", "Initializing tests...", progressStart);
-    await TestUtils.sleep(config.testDelay);
+/**
+ * Compares a benchmark result with the runs in benchmarkTest.historyPath,
+ * then adds it to the history, keyed by device model and app version.
+ */
+function compareWithBenchmarkHistory(result) {
+    const settings = config.benchmarkTest;
+    const deviceModel = typeof device !== 'undefined' && device.model ? String(device.model) : "unknown";
+    const appVersion = getAppVersion();
     
+    const history = files.exists(settings.historyPath) ? parseHistory(files.read(settings.historyPath)) : createHistory();
+    const expiredRuns = pruneHistory(history, settings.resultExpirationDays, Date.now());
+    const comparison = compareWithBaseline(result, baselineRuns(history, deviceModel, settings.baselineRuns), settings);
+    
+    recordRun(history, deviceModel, appVersion.versionName, {
+        timestamp: result.timestamp,
+        versionCode: appVersion.versionCode,
+        cpuScore: result.cpuScore,
+        memoryScore: result.memoryScore,
+        combinedScore: result.combinedScore,
+        performanceClass: result.performanceClass
+    });
+    files.ensureDir(settings.historyPath);
+    files.write(settings.historyPath, JSON.stringify(history, null, 2));
+    
+    return Object.assign({
+        deviceModel: deviceModel,
+        appVersion: appVersion.versionName,
+        expiredRuns: expiredRuns
+    }, comparison);
+}
+
+// Calls a monitor method and prefixes any assertion failure with the call, e.g. isFeatureSupported("x")
+function checkContractCall(method, args, check) {
+    const call = `${method}(${args.map(arg => JSON.stringify(arg)).join(", ")})`;
+    let result;
     try {
-        await TestUtils.runWithTimeout(async () => {
-            recommendationTest.test();
-            await TestUtils.sleep(config.ciMode ? 1000 : 5000); // Give time to view UI tests
-        }, config.testTimeout);
-        
-        testResults.passedTests++;
-        testResults.detailedResults.push({
-            name: "Recommendation System Test",
-            passed: true,
-            duration: 0 // We don't measure individual test durations
+        result = monitor[method].apply(monitor, args);
+    } catch (e) {
+        throw new AssertionError(`${call} threw ${e.name || "Error"}: ${e.message}`, {
+            expected: "no exception",
+            actual: e.message
         });
-        
-        TestUtils.updateProgress(ui, "Recommendation System Tests Passed", "✓ All recommendation tests completed", progressEnd);
-        return true;
-    } catch (error) {
-        console.error("Recommendation test failed:", error);
-        testResults.failedTests++;
-        testResults.detailedResults.push({
-            name: "Recommendation System Test",
-            passed: false,
-            error: error.message,
-            duration: 0
+    }
+    try {
+        check(result);
+    } catch (e) {
+        throw new AssertionError(`${call}: ${e.message}`, {
+            expected: e.expected,
+            actual: e.actual,
+            operator: e.operator
         });
-        
-        TestUtils.updateProgress(ui, "Recommendation System Tests Failed", `✗ Error: ${error.message}`, progressEnd);
+    }
+    return result;
+}
+
+// Builds a list of exactly `count` recommendations, cycling through the monitor's results
+function buildRecommendationSample(count) {
+    const source = fetchValidatedRecommendations();
+    const sample = [];
+    
+    for (let i = 0; i < count; i++) {
+        const rec = source.length > 0 ? source[i % source.length] : {
+            type: "general",
+            importance: "low",
+            title: "Synthetic Recommendation",
+            description: "Generated because the monitor returned no recommendations"
+        };
+        sample.push(Object.assign({}, rec, { id: `perf_${i}_${rec.id || "synthetic"}` }));
+    }
+    
+    return sample;
+}
+
+// Summarises a list of timings in ms
+function summarizeTimings(timings) {
+    const total = timings.reduce((sum, t) => sum + t, 0);
+    return {
+        samples: timings.length,
+        avgMs: timings.length > 0 ? total / timings.length : 0,
+        minMs: timings.length > 0 ? Math.min.apply(null, timings) : 0,
+        maxMs: timings.length > 0 ? Math.max.apply(null, timings) : 0,
+        totalMs: total
+    };
+}
+
+// Stress test implementations, mirroring RecommendationStressTest.kt
+const STRESS_API_METHODS = [
+    "getDeviceCapabilities",
+    "getBenchmarkRecommendations",
+    "isLowBattery",
+    "isLowMemory",
+    "getPerformanceClass",
+    "getOptimalUpdateInterval",
+    "getFeatureConfiguration"
+];
+
+// Calls a monitor method and validates that the bridge returned something usable
+function callMonitorChecked(method) {
+    const result = monitor[method]();
+    if (result === null || result === undefined) {
+        throw new Error(`${method}() returned ${result}`);
+    }
+    if (method === "getBenchmarkRecommendations") {
+        assertValidRecommendations(result, `${method}()`);
+    }
+    return result;
+}
+
+// Randomly changes the device state when the monitor supports it (headless fake monitor)
+function changeDeviceState(random) {
+    if (typeof monitor.setState !== 'function') {
         return false;
     }
+    monitor.setState({
+        battery: {
+            level: 1 + Math.floor(random() * 99),
+            isCharging: random() < 0.5,
+            isBatterySaver: random() < 0.5,
+            temperature: 25 + random() * 20
+        },
+        memory: { availablePercent: 5 + Math.floor(random() * 90) },
+        storage: { availableGb: 64 * (5 + Math.floor(random() * 90)) / 100 }
+    });
+    return true;
 }
 
-async function runMonitorApiTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Testing Monitor API", "Checking API methods...", progressStart);
+// One stress iteration: optionally change device state, then request recommendations
+function runStressIteration(random, label) {
+    changeDeviceState(random);
     
-    try {
-        await TestUtils.runWithTimeout(async () => {
-            // Test basic API functions
-            const apiTestResults = [];
-            
-            // Test device capabilities
-            const capabilities = monitor.getDeviceCapabilities();
-            apiTestResults.push({
-                name: "getDeviceCapabilities",
-                passed: capabilities !== null && 
-                        typeof capabilities.deviceInfo === 'object' &&
-                        typeof capabilities.memoryInfo === 'object'
-            });
-            
-            // Test feature support checking
-            const featureSupport = monitor.isFeatureSupported("performance_prediction");
-            apiTestResults.push({
-                name: "isFeatureSupported",
-                passed: typeof featureSupport === 'boolean'
-            });
-            
-            // Test update interval
-            const updateInterval = monitor.getOptimalUpdateInterval();
-            apiTestResults.push({
-                name: "getOptimalUpdateInterval",
-                passed: typeof updateInterval === 'number' && updateInterval > 0
-            });
-            
-            // Test feature configuration
-            const featureConfig = monitor.getFeatureConfiguration();
-            apiTestResults.push({
-                name: "getFeatureConfiguration",
-                passed: featureConfig !== null && 
-                        typeof featureConfig === 'object' &&
-                        typeof featureConfig.enableAnomalyDetection === 'boolean'
-            });
-            
-            // Test system status methods
-            apiTestResults.push({
-                name: "isLowBattery",
-                passed: typeof monitor.isLowBattery() === 'boolean'
-            });
-            
-            apiTestResults.push({
-                name: "isLowMemory",
-                passed: typeof monitor.isLowMemory() === 'boolean'
-            });
-            
-            apiTestResults.push({
-                name: "getPerformanceClass",
-                passed: typeof monitor.getPerformanceClass() === 'string'
-            });
-            
-            apiTestResults.push({
-                name: "getBenchmarkInfo",
-                passed: typeof monitor.getBenchmarkInfo() === 'string'
-            });
-            
-            // Check if all tests passed
-            const allPassed = apiTestResults.every(test => test.passed);
-            const failedTests = apiTestResults.filter(test => !test.passed);
-            
-            if (!allPassed) {
-                throw new Error(`Failed API tests: ${failedTests.map(t => t.name).join(', ')}`);
+    const startTime = Date.now();
+    const recommendations = callMonitorChecked("getBenchmarkRecommendations");
+    const duration = Date.now() - startTime;
+    
+    if (recommendations.length === 0) {
+        throw new Error(`${label}: empty recommendations list`);
+    }
+    return duration;
+}
+
+function createWorkerResult(workerId) {
+    return {
+        workerId: workerId,
+        completedIterations: 0,
+        errors: 0,
+        durations: []
+    };
+}
+
+// Runs one worker on a real AutoJS thread until it is done or the test is cancelled
+function startThreadWorker(workerId, iterations, result, signal) {
+    return threads.start(function() {
+        const random = TestUtils.createSeededRandom(config.stressTest.randomSeed + workerId);
+        for (let i = 0; i < iterations && !signal.cancelled; i++) {
+            try {
+                result.durations.push(runStressIteration(random, `Thread ${workerId}, iteration ${i}`));
+                result.completedIterations++;
+            } catch (e) {
+                result.errors++;
+                console.error(`Thread ${workerId}: Error in iteration ${i}: ${e.message}`);
             }
-            
-            console.log("API test results:", apiTestResults);
-            
-            // Store detailed results
-            apiTestResults.forEach(test => {
-                testResults.detailedResults.push({
-                    name: `API Test: ${test.name}`,
-                    passed: test.passed,
-                    error: test.passed ? null : "API method failed validation"
-                });
-            });
-        }, config.testTimeout);
+            sleep(10);
+        }
+    });
+}
+
+// Runs one worker as an async task when threads are unavailable (headless host)
+async function runPromiseWorker(workerId, iterations, result, ctx) {
+    const random = TestUtils.createSeededRandom(config.stressTest.randomSeed + workerId);
+    for (let i = 0; i < iterations; i++) {
+        try {
+            result.durations.push(runStressIteration(random, `Worker ${workerId}, iteration ${i}`));
+            result.completedIterations++;
+        } catch (e) {
+            result.errors++;
+            console.error(`Worker ${workerId}: Error in iteration ${i}: ${e.message}`);
+        }
+        await ctx.sleep(10);
+    }
+}
+
+// Generates `count` synthetic recommendations, deterministic for a given seed
+function generateSyntheticRecommendations(count, random) {
+    const recommendations = [];
+    for (let i = 1; i <= count; i++) {
+        recommendations.push({
+            id: `stress_rec_${i}`,
+            type: RECOMMENDATION_TYPES[i % RECOMMENDATION_TYPES.length],
+            title: `Stress Test Recommendation ${i}`,
+            description: `Synthetic recommendation ${i} generated for heavy load testing`,
+            importance: RECOMMENDATION_IMPORTANCES[Math.floor(random() * RECOMMENDATION_IMPORTANCES.length)]
+        });
+    }
+    return recommendations;
+}
+
+// Memory test implementations, mirroring MemoryLeakTest.kt
+const MEMORY_WARMUP_ITERATIONS = 5;
+
+// Runs iterationFn repeatedly and measures heap growth between forced collections
+async function measureMemoryGrowth(iterationFn, ctx) {
+    const memoryConfig = config.memoryTest;
+    
+    // Warm up caches and lazily created objects so they don't count as growth
+    for (let i = 0; i < Math.min(MEMORY_WARMUP_ITERATIONS, memoryConfig.iterations); i++) {
+        await iterationFn(i);
+    }
+    
+    await TestUtils.forceGc(memoryConfig.gcCycles, memoryConfig.pauseForGcMs);
+    const baselineBytes = TestUtils.getUsedMemory();
+    const series = [];
+    
+    for (let i = 0; i < memoryConfig.iterations; i++) {
+        await iterationFn(i);
         
-        testResults.passedTests++;
-        TestUtils.updateProgress(ui, "Monitor API Tests Passed", "✓ All API functions working correctly", progressEnd);
-        return true;
-    } catch (error) {
-        console.error("Monitor API test failed:", error);
-        testResults.failedTests++;
-        testResults.detailedResults.push({
-            name: "Monitor API Tests",
-            passed: false,
-            error: error.message
+        const usedBytes = TestUtils.getUsedMemory();
+        series.push({
+            iteration: i + 1,
+            usedBytes: usedBytes,
+            growthPercent: (usedBytes - baselineBytes) * 100 / baselineBytes
         });
         
-        TestUtils.updateProgress(ui, "Monitor API Tests Failed", `✗ Error: ${error.message}`, progressEnd);
-        return false;
+        if (i % 10 === 0) {
+            ctx.progress(i / memoryConfig.iterations, `Iteration ${i + 1}/${memoryConfig.iterations}...`);
+            await ctx.sleep(0);
+        }
     }
+    
+    await TestUtils.forceGc(memoryConfig.gcCycles, memoryConfig.pauseForGcMs);
+    const finalBytes = TestUtils.getUsedMemory();
+    
+    return {
+        source: TestUtils.getMemorySource(),
+        iterations: memoryConfig.iterations,
+        gcCycles: memoryConfig.gcCycles,
+        baselineBytes: baselineBytes,
+        finalBytes: finalBytes,
+        growthPercent: (finalBytes - baselineBytes) * 100 / baselineBytes,
+        thresholdPercent: memoryConfig.memoryThresholdPercent,
+        series: series
+    };
 }
 
-async function runJsIntegrationTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Testing JS Integration", "Checking JavaScript integration...", progressStart);
+// Soak test implementation: one cycle fetches recommendations, renders them as cards and now and then runs a benchmark
+async function runSoakCycle(ctx, recorder, clock, cycle, cardContainer) {
+    const soak = config.soakTest;
+    const timed = async (operation, fn) => {
+        const start = clock.now();
+        try {
+            await fn();
+            recorder.record(operation, clock.now() - start);
+        } catch (e) {
+            if (ctx.signal.cancelled) {
+                throw e;
+            }
+            recorder.error(operation, e);
+        }
+    };
     
-    if (!config.showUiTests && config.ciMode) {
-        testResults.skippedTests++;
-        TestUtils.updateProgress(ui, "JS Integration Test Skipped", "UI tests disabled in CI mode", progressEnd);
-        return true;
-    }
+    let recommendations = [];
+    await timed("fetch", () => {
+        recommendations = fetchValidatedRecommendations(`getBenchmarkRecommendations() in soak cycle ${cycle + 1}`);
+    });
     
-    try {
-        await TestUtils.runWithTimeout(async () => {
-            // Create a test card to display recommendations
-            const testUI = floaty.window(
-                <frame id="main" w="300" h="400" padding="10" alpha="0.9">
-                    <vertical>
-                        <text id="title" text="Recommendation Display Test" textSize="16sp" textStyle="bold" marginBottom="10"/>
-                        <scroll w="*" h="350">
-                            <vertical id="recContainer" w="*" h="auto">
-                                <text text="Loading recommendations..." textColor="#757575"/>
-                            </vertical>
-                        </scroll>
+    if (cardContainer) {
+        await timed("render", () => {
+            cardContainer.removeAllViews();
+            recommendations.forEach(rec => {
+                cardContainer.addView(
+                    <vertical w="*" h="auto" margin="5" bg="#ffffff" padding="10">
+                        <text text={rec.title} textSize="14sp" textStyle="bold"/>
+                        <text text={rec.description} textSize="12sp" textColor="#757575"/>
                     </vertical>
-                </frame>
-            );
-            
+                );
+            });
+        });
+    }
+    
+    if (soak.benchmarkEveryCycles > 0 && cycle % soak.benchmarkEveryCycles === 0 && !benchmarkSkipReason()) {
+        await timed("benchmark", async () => {
+            const result = await awaitCallback(ctx, "monitor.runBenchmark()", done => monitor.runBenchmark(done));
+            if (result.error) {
+                throw new Error(`Benchmark error: ${result.error}`);
+            }
+        });
+    }
+}
+
+// Collects garbage, then records a snapshot and appends it to the time-series file
+async function takeSoakSnapshot(recorder, state) {
+    await TestUtils.forceGc(1, config.memoryTest.pauseForGcMs);
+    const snapshot = recorder.snapshot(Object.assign({ usedBytes: TestUtils.getUsedMemory() }, state));
+    if (config.soakTest.timeSeriesPath) {
+        files.append(config.soakTest.timeSeriesPath, toTimeSeriesLine(snapshot));
+    }
+    return snapshot;
+}
+
+// Fuzz test implementation: seeds and case count of a run
+function fuzzOptions() {
+    const fuzz = config.fuzzTest;
+    return {
+        seed: fuzz.seed !== null ? fuzz.seed : config.stressTest.randomSeed,
+        cases: fuzz.cases,
+        caseSeed: fuzz.caseSeed
+    };
+}
+
+// Attaches the fuzz run and fails with the seeds that replay a failing case
+function reportFuzzResult(ctx, label, result) {
+    const options = fuzzOptions();
+    const failure = result.failure;
+    ctx.attach("fuzz", {
+        seed: options.seed,
+        caseSeed: options.caseSeed,
+        cases: result.cases,
+        failure: failure && {
+            caseIndex: failure.caseIndex,
+            caseSeed: failure.caseSeed,
+            message: failure.error.message,
+            input: describeInput(failure.input)
+        }
+    });
+    if (!failure) {
+        console.log(`${label}: ${result.cases} fuzz cases passed (seed ${options.seed})`);
+        return;
+    }
+    
+    const assertion = failure.error instanceof AssertionError;
+    throw new AssertionError(`${label} fuzz case ${failure.caseIndex} failed ` +
+        `(seed ${options.seed}, case seed ${failure.caseSeed}): ${failure.error.message}\n` +
+        `Replay with fuzzTest.seed = ${options.seed} (--fuzz-seed), or only this case with ` +
+        `fuzzTest.caseSeed = ${failure.caseSeed} (--fuzz-case)\n` +
+        `Input: ${describeInput(failure.input)}`, {
+        expected: assertion ? failure.error.expected : "no exception",
+        actual: assertion ? failure.error.actual : failure.error.message,
+        operator: assertion ? failure.error.operator : undefined
+    });
+}
+
+// Property test implementation: recommendation lists with unknown and missing types and importances
+const PROPERTY_TYPES = RECOMMENDATION_TYPES.concat(["thermal", "", undefined]);
+const PROPERTY_IMPORTANCES = RECOMMENDATION_IMPORTANCES.concat(["critical", "HIGH", "", "toString", null, undefined]);
+
+function recommendationListArbitrary() {
+    return listOf({
+        generate: (random, index) => ({
+            id: `property_rec_${index}`,
+            type: pick(random, PROPERTY_TYPES),
+            importance: pick(random, PROPERTY_IMPORTANCES)
+        }),
+        // A known type and importance are simpler
+        shrink: rec => [
+            rec.importance !== "high" ? Object.assign({}, rec, { importance: "high" }) : null,
+            rec.type !== "general" ? Object.assign({}, rec, { type: "general" }) : null
+        ].filter(candidate => candidate !== null)
+    }, config.propertyTest.maxListLength);
+}
+
+// Checks the property on seeded recommendation lists; a failure names the shrunk list and the seeds
+function assertRecommendationProperty(ctx, name, property) {
+    const options = config.propertyTest;
+    const seed = options.seed !== null ? options.seed : config.stressTest.randomSeed;
+    const result = checkProperty(recommendationListArbitrary(), property, {
+        seed: seed,
+        runs: options.runs,
+        maxShrinkSteps: options.maxShrinkSteps
+    });
+    const failure = result.failure;
+    ctx.attach(name, {
+        seed: seed,
+        runs: result.runs,
+        failure: failure && {
+            run: failure.run,
+            caseSeed: failure.caseSeed,
+            originalLength: failure.original.length,
+            shrinks: failure.shrinks,
+            input: failure.input,
+            message: failure.error.message
+        }
+    });
+    if (!failure) {
+        return;
+    }
+    
+    const assertion = failure.error instanceof AssertionError;
+    throw new AssertionError(`Property "${name}" failed on run ${failure.run} ` +
+        `(seed ${seed}, case seed ${failure.caseSeed}); shrunk from ${failure.original.length} to ` +
+        `${failure.input.length} recommendations in ${failure.shrinks} steps:\n` +
+        `${describeInput(failure.input)}\n${failure.error.message}\n` +
+        `Replay with propertyTest.seed = ${seed}`, {
+        expected: assertion ? failure.error.expected : "no exception",
+        actual: assertion ? failure.error.actual : failure.error.message,
+        operator: assertion ? failure.error.operator : undefined
+    });
+}
+
+// Fails when the measured growth exceeds memoryThresholdPercent
+function assertMemoryGrowth(label, memory) {
+    console.log(`${label} results:`,
+        `baseline ${(memory.baselineBytes / (1024 * 1024)).toFixed(2)} MB`,
+        `final ${(memory.finalBytes / (1024 * 1024)).toFixed(2)} MB`,
+        `growth ${memory.growthPercent.toFixed(2)}%`);
+    
+    if (memory.growthPercent > memory.thresholdPercent) {
+        throw new AssertionError(`Possible memory leak: heap grew ${memory.growthPercent.toFixed(2)}% ` +
+            `over ${memory.iterations} iterations (threshold ${memory.thresholdPercent}%)`, {
+            expected: memory.thresholdPercent,
+            actual: memory.growthPercent,
+            operator: "<="
+        });
+    }
+}
+
+// Device guards: benchmark, stress and performance tests wait for, or skip on, a low battery or a hot device
+beforeEach(async (ctx) => {
+    const guards = config.deviceGuards;
+    if (!ctx.tags.some(tag => guards.guardedTags.indexOf(tag) !== -1)) {
+        return;
+    }
+    
+    const result = await waitForDeviceConditions(monitor, guards, ctx.sleep, (violations, waitedMs) => {
+        ctx.progress(0, `Waiting for device (${Math.round(waitedMs / 1000)}s): ${violations.map(v => v.message).join("; ")}`);
+    });
+    if (result.waitedMs > 0 && result.violations.length === 0) {
+        console.log(`Device ready after waiting ${Math.round(result.waitedMs / 1000)}s`);
+    }
+    if (result.violations.length > 0) {
+        ctx.skip(describeViolations(result.violations), {
+            violations: result.violations,
+            conditions: result.conditions,
+            waitedMs: result.waitedMs
+        });
+    }
+});
+
+// Basic unit tests
+suite("basic", { title: "Basic Unit Tests", description: "Testing core functionality", tags: ["unit"] }, () => {
+    test("Recommendation System Test", {
+        description: "Initializing tests...",
+        successMessage: "All recommendation tests completed",
+        skipIf: () => recommendationTest ? null : "test_recommendation_system.js not available",
+        tags: ["ui"]
+    }, async (ctx) => {
+        await ctx.sleep(config.testDelay);
+        
+        recommendationTest.test();
+        await ctx.sleep(config.ciMode ? 1000 : 5000); // Give time to view UI tests
+    });
+    
+    test("Monitor API Test", {
+        description: "Checking API methods...",
+        successMessage: "All API functions working correctly",
+        tags: ["api"]
+    }, async (ctx) => {
+        // Runs each check independently so one failure doesn't hide the others
+        const apiTestResults = [];
+        const check = (name, assertion) => {
+            try {
+                assertion();
+                apiTestResults.push({ name: name, passed: true });
+            } catch (e) {
+                apiTestResults.push({ name: name, passed: false, error: e.message });
+            }
+        };
+        
+        check("getDeviceCapabilities", () => {
+            expect(monitor.getDeviceCapabilities()).toMatchSchema({
+                type: "object",
+                required: ["deviceInfo", "memoryInfo"],
+                properties: {
+                    deviceInfo: { type: "object" },
+                    memoryInfo: { type: "object" }
+                }
+            });
+        });
+        
+        check("isFeatureSupported", () => {
+            expect(monitor.isFeatureSupported("performance_prediction")).toBeTypeOf("boolean");
+        });
+        
+        check("getOptimalUpdateInterval", () => {
+            const updateInterval = monitor.getOptimalUpdateInterval();
+            expect(updateInterval).toBeTypeOf("number");
+            expect(updateInterval).toBeGreaterThan(0);
+        });
+        
+        check("getFeatureConfiguration", () => {
+            expect(monitor.getFeatureConfiguration()).toMatchSchema({
+                type: "object",
+                required: ["enableAnomalyDetection"],
+                properties: {
+                    enableAnomalyDetection: { type: "boolean" }
+                }
+            });
+        });
+        
+        // System status methods
+        check("isLowBattery", () => expect(monitor.isLowBattery()).toBeTypeOf("boolean"));
+        check("isLowMemory", () => expect(monitor.isLowMemory()).toBeTypeOf("boolean"));
+        check("getPerformanceClass", () => expect(monitor.getPerformanceClass()).toBeTypeOf("string"));
+        check("getBenchmarkInfo", () => expect(monitor.getBenchmarkInfo()).toBeTypeOf("string"));
+        
+        // Store the individual checks with the test result
+        ctx.attach("checks", apiTestResults);
+        console.log("API test results:", apiTestResults);
+        
+        const failedChecks = apiTestResults.filter(result => !result.passed);
+        if (failedChecks.length > 0) {
+            throw new AssertionError(`Failed API tests:\n${failedChecks.map(t => `${t.name}: ${t.error}`).join("\n\n")}`, {
+                expected: [],
+                actual: failedChecks.map(t => t.name)
+            });
+        }
+    });
+    
+    test("JavaScript Integration Test", {
+        description: "Checking JavaScript integration...",
+        successMessage: "JavaScript integration working correctly",
+        skipIf: uiTestsDisabled,
+        tags: ["ui"]
+    }, async (ctx) => {
+        // Create a test card to display recommendations
+        const testUI = floaty.window(
+            <frame id="main" w="300" h="400" padding="10" alpha="0.9">
+                <vertical>
+                    <text id="title" text="Recommendation Display Test" textSize="16sp" textStyle="bold" marginBottom="10"/>
+                    <scroll w="*" h="350">
+                        <vertical id="recContainer" w="*" h="auto">
+                            <text text="Loading recommendations..." textColor="#757575"/>
+                        </vertical>
+                    </scroll>
+                </vertical>
+            </frame>
+        );
+        
+        try {
             // Position it at the bottom of the screen
             testUI.setPosition(50, 500);
             
             // Load recommendations
-            const recommendations = monitor.getBenchmarkRecommendations();
+            const recommendations = fetchValidatedRecommendations();
             testUI.recContainer.removeAllViews();
             
-            if (!recommendations || recommendations.length === 0) {
+            if (recommendations.length === 0) {
                 testUI.recContainer.addView(
                     <text text="No recommendations available" textColor="#757575"/>
                 );
@@ -552,135 +1294,225 @@ async function runJsIntegrationTest(ui, progressStart, progressEnd) {
             }
             
             // Wait for a few seconds to show the UI (shorter in CI mode)
-            await TestUtils.sleep(config.ciMode ? 2000 : 7000);
-            
-            // Close the test UI
+            await ctx.sleep(config.ciMode ? 2000 : 7000);
+        } finally {
             testUI.close();
-        }, config.testTimeout);
+        }
+    });
+});
+
+// Contract tests for every monitor.* method, see monitor_contract.js
+suite("contract", {
+    title: "API Contract Tests",
+    description: "Checking the monitor API contract",
+    tags: ["contract", "api"]
+}, () => {
+    test("Contract Coverage Test", {
+        description: "Matching bridge methods against the contract...",
+        successMessage: "Every monitor method is covered by the contract"
+    }, async (ctx) => {
+        const bridgeMethods = listBridgeMethods(monitor);
+        const contractMethods = Object.keys(MONITOR_CONTRACT);
+        const missing = contractMethods.filter(method => bridgeMethods.indexOf(method) === -1);
+        const undocumented = bridgeMethods.filter(method => contractMethods.indexOf(method) === -1);
+        ctx.attach("methods", bridgeMethods);
         
-        testResults.passedTests++;
-        testResults.detailedResults.push({
-            name: "JavaScript Integration Test",
-            passed: true
-        });
+        if (missing.length > 0 || undocumented.length > 0) {
+            const problems = [];
+            if (missing.length > 0) {
+                problems.push(`missing from the bridge: ${missing.join(", ")}`);
+            }
+            if (undocumented.length > 0) {
+                problems.push(`not described in monitor_contract.js: ${undocumented.join(", ")}`);
+            }
+            throw new AssertionError(`Monitor API does not match the contract (${problems.join("; ")})`, {
+                expected: contractMethods.slice().sort(),
+                actual: bridgeMethods
+            });
+        }
+    });
+    
+    Object.keys(MONITOR_CONTRACT).forEach(method => {
+        const contract = MONITOR_CONTRACT[method];
         
-        TestUtils.updateProgress(ui, "JS Integration Tests Passed", "✓ JavaScript integration working correctly", progressEnd);
-        return true;
-    } catch (error) {
-        console.error("JS integration test failed:", error);
-        testResults.failedTests++;
-        testResults.detailedResults.push({
-            name: "JavaScript Integration Test",
-            passed: false,
-            error: error.message
-        });
+        if (contract.callback) {
+            test(`${method}() Contract Test`, {
+                description: `Checking the ${method}() callback...`,
+                successMessage: `${method}() callback matches the contract`,
+                timeout: () => config.benchmarkTest.timeoutMs,
+                skipIf: benchmarkSkipReason,
+                tags: ["benchmark", "slow"]
+            }, async (ctx) => {
+                expect(monitor[method]).toBeTypeOf("function");
+                const result = await awaitCallback(ctx, `monitor.${method}()`, done => monitor[method](done));
+                expect(result).toMatchSchema(contract.callback);
+            });
+            return;
+        }
         
-        TestUtils.updateProgress(ui, "JS Integration Tests Failed", `✗ Error: ${error.message}`, progressEnd);
-        return false;
-    }
-}
-
-async function runBenchmarkTest(ui, progressStart, progressEnd) {
-    if (!config.runBenchmarkTests) {
-        testResults.skippedTests++;
-        TestUtils.updateProgress(ui, "Benchmark Tests Skipped", "Benchmark tests are disabled in config", progressEnd);
-        return true;
-    }
+        test(`${method}() Contract Test`, {
+            description: `Checking ${method}()...`,
+            successMessage: `${method}() matches the contract`
+        }, async () => {
+            expect(monitor[method]).toBeTypeOf("function");
+            (contract.calls || [[]]).forEach(args => {
+                checkContractCall(method, args, result => expect(result).toMatchSchema(contract.returns));
+            });
+            (contract.edgeCases || []).forEach(edgeCase => {
+                checkContractCall(method, edgeCase.args, result => expect(result).toMatchSchema(edgeCase.returns));
+            });
+        });
+    });
     
-    TestUtils.updateProgress(ui, "Testing Benchmark System", "Running benchmark tests...", progressStart);
+    MONITOR_INVARIANTS.forEach(invariant => {
+        test(invariant.name, {
+            description: `Checking that ${invariant.description}...`,
+            successMessage: `Invariant holds: ${invariant.description}`,
+            skipIf: () => invariant.requiresStateControl && typeof monitor.setState !== 'function'
+                ? "Device state cannot be changed from a script" : null,
+            tags: invariant.requiresStateControl ? ["invariant", "needs-state-control"] : ["invariant"]
+        }, async () => {
+            invariant.check(monitor);
+        });
+    });
     
-    try {
-        await TestUtils.runWithTimeout(async () => {
-            // Run a benchmark test
-            const benchmarkPromise = new Promise((resolve, reject) => {
-                monitor.runBenchmark(function(result) {
-                    if (result.error) {
-                        reject(new Error(`Benchmark error: ${result.error}`));
-                        return;
-                    }
-                    
-                    // Verify benchmark results
-                    if (
-                        typeof result.cpuScore === 'number' &&
-                        typeof result.memoryScore === 'number' &&
-                        typeof result.combinedScore === 'number' &&
-                        typeof result.performanceClass === 'string' &&
-                        typeof result.timestamp === 'number'
-                    ) {
-                        console.log("Benchmark results:", 
-                            `CPU: ${result.cpuScore}`, 
-                            `Memory: ${result.memoryScore}`, 
-                            `Combined: ${result.combinedScore}`, 
-                            `Class: ${result.performanceClass}`);
-                        resolve(result);
-                    } else {
-                        reject(new Error("Invalid benchmark result structure"));
-                    }
-                });
-            });
-            
-            await benchmarkPromise;
-        }, config.testTimeout * 2); // Longer timeout for benchmark
+    test("API Drift Test", {
+        description: "Comparing the API with the last recorded snapshot...",
+        successMessage: "No breaking API changes since the last snapshot",
+        tags: ["snapshot"]
+    }, async (ctx) => {
+        const snapshot = createApiSnapshot(monitor, getAppVersion());
+        ctx.attach("apiSnapshot", snapshot);
         
-        testResults.passedTests++;
-        testResults.detailedResults.push({
-            name: "Benchmark System Test",
-            passed: true
-        });
+        const snapshotPath = config.contractTest.apiSnapshotPath;
+        if (!snapshotPath) {
+            ctx.skip("No API snapshot configured (contractTest.apiSnapshotPath)");
+        }
         
-        TestUtils.updateProgress(ui, "Benchmark Tests Passed", "✓ Benchmark completed successfully", progressEnd);
-        return true;
-    } catch (error) {
-        console.error("Benchmark test failed:", error);
-        testResults.failedTests++;
-        testResults.detailedResults.push({
-            name: "Benchmark System Test",
-            passed: false,
-            error: error.message
+        if (!files.exists(snapshotPath)) {
+            files.ensureDir(snapshotPath);
+            files.write(snapshotPath, JSON.stringify(snapshot, null, 2));
+            console.log(`Recorded API snapshot for version ${snapshot.appVersion} at ${snapshotPath}`);
+            return;
+        }
+        
+        const previous = JSON.parse(files.read(snapshotPath));
+        const changes = diffApiSurface(previous, snapshot);
+        const versions = `${previous.appVersion} -> ${snapshot.appVersion}`;
+        ctx.attach("apiDrift", {
+            fromVersion: previous.appVersion,
+            toVersion: snapshot.appVersion,
+            changes: changes
+        });
+        changes.forEach(change => {
+            console.warn(`API drift (${versions}): ${formatChange(change)}`);
         });
         
-        TestUtils.updateProgress(ui, "Benchmark Tests Failed", `✗ Error: ${error.message}`, progressEnd);
-        return false;
-    }
-}
+        files.write(snapshotPath, JSON.stringify(snapshot, null, 2));
+        
+        const breaking = changes.filter(change => change.breaking);
+        if (breaking.length > 0 && config.contractTest.failOnBreakingDrift) {
+            throw new AssertionError(`Breaking API changes (${versions}):\n${breaking.map(formatChange).join("\n")}`, {
+                expected: [],
+                actual: breaking
+            });
+        }
+    });
+});
 
-async function runUiIntegrationTest(ui, progressStart, progressEnd) {
-    if (!config.showUiTests && config.ciMode) {
-        testResults.skippedTests++;
-        TestUtils.updateProgress(ui, "UI Integration Test Skipped", "UI tests disabled in CI mode", progressEnd);
-        return true;
-    }
-    
-    TestUtils.updateProgress(ui, "Testing UI Integration", "Checking UI component integration...", progressStart);
+// Integration tests
+suite("integration", { title: "Integration Tests", description: "Testing system integration", tags: ["integration"] }, () => {
+    test("Benchmark System Test", {
+        description: "Running benchmark tests...",
+        successMessage: "Benchmark completed successfully",
+        timeout: () => config.benchmarkTest.timeoutMs,
+        skipIf: benchmarkSkipReason,
+        tags: ["benchmark", "slow"]
+    }, async (ctx) => {
+        const result = await awaitCallback(ctx, "monitor.runBenchmark()", done => monitor.runBenchmark(done));
+        if (result.error) {
+            throw new Error(`Benchmark error: ${result.error}`);
+        }
+        
+        // Verify benchmark results
+        if (
+            typeof result.cpuScore === 'number' &&
+            typeof result.memoryScore === 'number' &&
+            typeof result.combinedScore === 'number' &&
+            typeof result.performanceClass === 'string' &&
+            typeof result.timestamp === 'number'
+        ) {
+            console.log("Benchmark results:",
+                `CPU: ${result.cpuScore}`,
+                `Memory: ${result.memoryScore}`,
+                `Combined: ${result.combinedScore}`,
+                `Class: ${result.performanceClass}`);
+        } else {
+            throw new Error("Invalid benchmark result structure");
+        }
+        
+        const benchmark = {
+            cpuScore: result.cpuScore,
+            memoryScore: result.memoryScore,
+            combinedScore: result.combinedScore,
+            performanceClass: result.performanceClass
+        };
+        ctx.attach("benchmark", benchmark);
+        if (!config.benchmarkTest.historyPath) {
+            return;
+        }
+        
+        const history = compareWithBenchmarkHistory(result);
+        benchmark.history = history;
+        if (!history.sufficient) {
+            console.log(`Benchmark history: ${history.baselineRuns} earlier runs on ${history.deviceModel}, ` +
+                `at least ${config.benchmarkTest.minBaselineRuns} needed for a regression check`);
+        }
+        history.regressions.forEach(regression => {
+            console.warn(`Benchmark regression on ${history.deviceModel} (${history.appVersion}): ${describeRegression(regression)}`);
+        });
+        
+        if (history.regressions.length > 0 && config.benchmarkTest.failOnRegression) {
+            throw new AssertionError(`Benchmark regressions:\n${history.regressions.map(describeRegression).join("\n")}`, {
+                expected: [],
+                actual: history.regressions.map(regression => regression.metric)
+            });
+        }
+    });
     
-    try {
-        await TestUtils.runWithTimeout(async () => {
-            // Create a simple UI with multiple components
-            const testUI = floaty.window(
-                <frame id="main" w="300" h="300" padding="16" alpha="0.9" bg="#FFFFFF">
-                    <vertical>
-                        <text id="title" text="UI Integration Test" textSize="18sp" textStyle="bold" marginBottom="16"/>
-                        <horizontal marginBottom="8">
-                            <text text="Device:" textSize="14sp" textColor="#757575"/>
-                            <text id="deviceInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
-                        </horizontal>
-                        <horizontal marginBottom="8">
-                            <text text="Memory:" textSize="14sp" textColor="#757575"/>
-                            <text id="memoryInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
-                        </horizontal>
-                        <horizontal marginBottom="8">
-                            <text text="Class:" textSize="14sp" textColor="#757575"/>
-                            <text id="classInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
-                        </horizontal>
-                        <horizontal marginBottom="8">
-                            <text text="Benchmark:" textSize="14sp" textColor="#757575"/>
-                            <text id="benchmarkInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
-                        </horizontal>
-                        <button id="testButton" text="Check Status" marginTop="16"/>
-                    </vertical>
-                </frame>
-            );
-            
+    test("UI Integration Test", {
+        description: "Checking UI component integration...",
+        successMessage: "UI components integrated correctly",
+        skipIf: uiTestsDisabled,
+        tags: ["ui"]
+    }, async (ctx) => {
+        // Create a simple UI with multiple components
+        const testUI = floaty.window(
+            <frame id="main" w="300" h="300" padding="16" alpha="0.9" bg="#FFFFFF">
+                <vertical>
+                    <text id="title" text="UI Integration Test" textSize="18sp" textStyle="bold" marginBottom="16"/>
+                    <horizontal marginBottom="8">
+                        <text text="Device:" textSize="14sp" textColor="#757575"/>
+                        <text id="deviceInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
+                    </horizontal>
+                    <horizontal marginBottom="8">
+                        <text text="Memory:" textSize="14sp" textColor="#757575"/>
+                        <text id="memoryInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
+                    </horizontal>
+                    <horizontal marginBottom="8">
+                        <text text="Class:" textSize="14sp" textColor="#757575"/>
+                        <text id="classInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
+                    </horizontal>
+                    <horizontal marginBottom="8">
+                        <text text="Benchmark:" textSize="14sp" textColor="#757575"/>
+                        <text id="benchmarkInfo" text="Loading..." textSize="14sp" marginLeft="8"/>
+                    </horizontal>
+                    <button id="testButton" text="Check Status" marginTop="16"/>
+                </vertical>
+            </frame>
+        );
+        
+        try {
             // Position it at the center of the screen
             testUI.setPosition(50, 200);
             
@@ -703,221 +1535,1048 @@ async function runUiIntegrationTest(ui, progressStart, progressEnd) {
             });
             
             // Wait for a few seconds (shorter in CI mode)
-            await TestUtils.sleep(config.ciMode ? 2000 : 7000);
-            
-            // Close the test UI
+            await ctx.sleep(config.ciMode ? 2000 : 7000);
+        } finally {
             testUI.close();
-        }, config.testTimeout);
+        }
+    });
+});
+
+// Performance tests
+suite("performance", {
+    title: "Performance Tests",
+    description: "Testing system performance",
+    tags: ["performance", "slow"],
+    skipIf: () => {
+        if (!config.performanceTest.enabled) {
+            return "Performance tests are disabled in config";
+        }
+        return config.runPerformanceTests || config.runLongTests ? null :
+            "Performance tests disabled. Enable with runPerformanceTests or runLongTests.";
+    }
+}, () => {
+    test("API Performance Test", {
+        description: "Testing API call performance...",
+        successMessage: "API performance is acceptable",
+        timeout: () => config.testTimeout * 2,
+        tags: ["api"]
+    }, async (ctx) => {
+        const perf = config.performanceTest;
+        const clock = createClock();
         
-        testResults.passedTests++;
-        testResults.detailedResults.push({
-            name: "UI Integration Test",
-            passed: true
+        // Warm up
+        ctx.progress(0, `Warming up (${perf.warmupIterations} iterations)...`);
+        perf.apiMethods.forEach(method => {
+            for (let i = 0; i < perf.warmupIterations; i++) {
+                monitor[method]();
+            }
         });
         
-        TestUtils.updateProgress(ui, "UI Integration Tests Passed", "✓ UI components integrated correctly", progressEnd);
-        return true;
-    } catch (error) {
-        console.error("UI integration test failed:", error);
-        testResults.failedTests++;
-        testResults.detailedResults.push({
-            name: "UI Integration Test",
-            passed: false,
-            error: error.message
+        // Measure every call separately
+        ctx.progress(0.3, `Measuring (${perf.iterations} calls per method)...`);
+        
+        const methods = {};
+        const violations = [];
+        perf.apiMethods.forEach(method => {
+            const returned = [];
+            const samples = sampleCalls(clock, () => monitor[method](), perf.iterations, result => returned.push(result));
+            
+            // Validated after timing so the schema check doesn't count towards the call time
+            if (method === "getBenchmarkRecommendations") {
+                returned.forEach((recommendations, i) =>
+                    assertValidRecommendations(recommendations, `${method}() call ${i + 1}`));
+            }
+            
+            methods[method] = summarizeSamples(samples, { outlierFence: perf.outlierFence });
+            checkBudgets(methods[method], perf.apiBudgets, method).forEach(violation => {
+                violations.push(Object.assign({ method: method }, violation));
+            });
         });
         
-        TestUtils.updateProgress(ui, "UI Integration Tests Failed", `✗ Error: ${error.message}`, progressEnd);
-        return false;
-    }
-}
-
-// Placeholder implementations for performance tests
-async function runApiPerformanceTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "API Performance Test", "Testing API call performance...", progressStart);
+        ctx.attach("metrics", { clock: clock.name, methods: methods });
+        
+        ctx.progress(0.7, "Analyzing results...");
+        
+        if (violations.length > 0) {
+            throw new AssertionError(`API calls exceed their budgets:\n${violations.map(violation =>
+                `${violation.method}() ${violation.stat} ${violation.actual.toFixed(3)} ms > ${violation.limit} ms`).join("\n")}`, {
+                expected: violations.map(violation => ({ method: violation.method, stat: violation.stat, limit: violation.limit })),
+                actual: violations.map(violation => ({ method: violation.method, stat: violation.stat, value: violation.actual })),
+                operator: "<="
+            });
+        }
+    });
     
-    try {
-        await TestUtils.runWithTimeout(async () => {
-            const iterations = config.performanceTest.iterations;
-            const warmupIterations = config.performanceTest.warmupIterations;
+    test("Recommendation Performance Test", {
+        description: "Testing recommendation generation performance...",
+        successMessage: "Performance metrics within acceptable range",
+        timeout: () => config.testTimeout * 2
+    }, async (ctx) => {
+        const perf = config.performanceTest;
+        
+        // Warm up
+        ctx.progress(0, `Warming up (${perf.warmupIterations} iterations)...`);
+        for (let i = 0; i < perf.warmupIterations; i++) {
+            fetchValidatedRecommendations(`getBenchmarkRecommendations() in warm-up ${i}`);
+        }
+        
+        // Measure each generation call separately so outliers are visible
+        ctx.progress(0.3, `Measuring (${perf.recommendationCount} generation calls)...`);
+        
+        const clock = createClock();
+        const timings = [];
+        let generated = 0;
+        for (let i = 0; i < perf.recommendationCount; i++) {
+            const startTime = clock.now();
+            const recommendations = monitor.getBenchmarkRecommendations();
+            timings.push(clock.now() - startTime);
+            
+            assertValidRecommendations(recommendations, `getBenchmarkRecommendations() in iteration ${i}`);
+            generated += recommendations.length;
+        }
+        
+        const metrics = summarizeTimings(timings);
+        metrics.clock = clock.name;
+        metrics.avgRecommendations = generated / perf.recommendationCount;
+        ctx.attach("metrics", metrics);
+        
+        ctx.progress(0.7, "Analyzing results...");
+        
+        if (metrics.avgMs > perf.recommendationBudgetMs) {
+            throw new AssertionError(`Average generation time ${metrics.avgMs.toFixed(2)} ms exceeds budget of ${perf.recommendationBudgetMs} ms`, {
+                expected: perf.recommendationBudgetMs,
+                actual: metrics.avgMs,
+                operator: "<="
+            });
+        }
+        if (metrics.maxMs > perf.recommendationMaxBudgetMs) {
+            throw new AssertionError(`Slowest generation call ${metrics.maxMs.toFixed(2)} ms exceeds budget of ${perf.recommendationMaxBudgetMs} ms`, {
+                expected: perf.recommendationMaxBudgetMs,
+                actual: metrics.maxMs,
+                operator: "<="
+            });
+        }
+    });
+    
+    test("Rendering Performance Test", {
+        description: "Testing UI rendering performance...",
+        successMessage: "UI rendering performance is acceptable",
+        timeout: () => config.testTimeout * 2,
+        skipIf: uiTestsDisabled,
+        tags: ["ui"]
+    }, async (ctx) => {
+        const perf = config.performanceTest;
+        const cardCount = perf.recommendationCount;
+        const recommendations = buildRecommendationSample(cardCount);
+        const clock = createClock();
+        
+        const testUI = floaty.window(
+            <frame id="main" w="300" h="400" padding="10" alpha="0.9">
+                <scroll w="*" h="*">
+                    <vertical id="recContainer" w="*" h="auto"/>
+                </scroll>
+            </frame>
+        );
+        
+        try {
+            testUI.setPosition(50, 500);
+            
+            // Renders every card once; returns per-card inflation timings
+            const renderFrame = () => {
+                const inflationTimings = [];
+                testUI.recContainer.removeAllViews();
+                
+                recommendations.forEach(rec => {
+                    const startTime = clock.now();
+                    testUI.recContainer.addView(
+                        <vertical w="*" h="auto" margin="5" bg="#ffffff" padding="10">
+                            <horizontal>
+                                <text text={rec.type.toUpperCase()} textColor="#757575"/>
+                                <text text={rec.importance.toUpperCase()} textStyle="bold" layout_gravity="right"/>
+                            </horizontal>
+                            <text text={rec.title} textSize="14sp" textStyle="bold" marginTop="5"/>
+                            <text text={rec.description} textSize="12sp" textColor="#757575" marginTop="3"/>
+                        </vertical>
+                    );
+                    inflationTimings.push(clock.now() - startTime);
+                });
+                
+                return inflationTimings;
+            };
             
-            // Warm up
-            TestUtils.updateProgress(ui, "API Performance Test", `Warming up (${warmupIterations} iterations)...`, progressStart);
-            for (let i = 0; i < warmupIterations; i++) {
-                monitor.getDeviceCapabilities();
+            // Warm up layout inflation
+            const warmupFrames = Math.min(perf.warmupIterations, perf.renderFrames);
+            ctx.progress(0, `Warming up (${warmupFrames} frames)...`);
+            for (let i = 0; i < warmupFrames; i++) {
+                renderFrame();
             }
             
-            // Measure
-            TestUtils.updateProgress(ui, "API Performance Test", `Measuring (${iterations} iterations)...`, 
-                progressStart + (progressEnd - progressStart) * 0.3);
+            ctx.progress(0.3, `Rendering ${perf.renderFrames} frames of ${cardCount} cards...`);
+            
+            const frameTimings = [];
+            let inflationTimings = [];
+            for (let i = 0; i < perf.renderFrames; i++) {
+                const startTime = clock.now();
+                inflationTimings = inflationTimings.concat(renderFrame());
+                frameTimings.push(clock.now() - startTime);
                 
-            const methods = [
-                "getDeviceCapabilities",
-                "getBenchmarkRecommendations",
-                "isLowBattery",
-                "isLowMemory",
-                "getPerformanceClass"
-            ];
+                // Yield so the UI thread can lay out and draw the frame
+                await ctx.sleep(0);
+            }
+            
+            const metrics = {
+                cards: cardCount,
+                frame: summarizeTimings(frameTimings),
+                cardInflation: summarizeTimings(inflationTimings)
+            };
+            ctx.attach("metrics", metrics);
             
-            const results = {};
+            console.log("Rendering Performance Test Results:",
+                `avg frame ${metrics.frame.avgMs.toFixed(2)} ms for ${cardCount} cards`,
+                `avg card inflation ${metrics.cardInflation.avgMs.toFixed(2)} ms`);
             
-            for (let method of methods) {
-                const startTime = Date.now();
-                for (let i = 0; i < iterations; i++) {
-                    monitor[method]();
+            if (metrics.cardInflation.avgMs > perf.cardInflationBudgetMs) {
+                throw new AssertionError(`Average card inflation ${metrics.cardInflation.avgMs.toFixed(2)} ms exceeds budget of ${perf.cardInflationBudgetMs} ms`, {
+                    expected: perf.cardInflationBudgetMs,
+                    actual: metrics.cardInflation.avgMs,
+                    operator: "<="
+                });
+            }
+            if (metrics.frame.avgMs > perf.renderFrameBudgetMs) {
+                throw new AssertionError(`Average frame time ${metrics.frame.avgMs.toFixed(2)} ms exceeds budget of ${perf.renderFrameBudgetMs} ms`, {
+                    expected: perf.renderFrameBudgetMs,
+                    actual: metrics.frame.avgMs,
+                    operator: "<="
+                });
+            }
+        } finally {
+            testUI.close();
+        }
+    });
+});
+
+// Stress tests
+suite("stress", {
+    title: "Stress Tests",
+    description: "Testing system under load",
+    tags: ["stress", "slow"],
+    skipIf: () => {
+        if (!config.stressTest.enabled) {
+            return "Stress tests are disabled in config";
+        }
+        return config.runStressTests || config.runLongTests ? null :
+            "Stress tests disabled. Enable with runStressTests or runLongTests.";
+    }
+}, () => {
+    test("Rapid API Calls Test", {
+        description: "Testing rapid succession API calls...",
+        successMessage: "System stable under rapid API calls",
+        timeout: () => Math.max(config.testTimeout, config.stressTest.stressTimeSeconds * 2000),
+        tags: ["api"]
+    }, async (ctx) => {
+        const stress = config.stressTest;
+        const bursts = stress.iterationsPerThread * stress.threads;
+        let calls = 0;
+        let errors = 0;
+        let completedBursts = 0;
+        
+        // The time limit runs on a timer, like the test timeout, so a headless --time-scale
+        // shortens both alike; elapsedSeconds stays wall-clock time for the throughput
+        let timeUp = false;
+        ctx.setTimeout(() => {
+            timeUp = true;
+        }, stress.stressTimeSeconds * 1000);
+        
+        const startTime = Date.now();
+        for (let burst = 0; burst < bursts && !timeUp; burst++) {
+            // Each burst hits every method back to back without any delay
+            STRESS_API_METHODS.forEach(method => {
+                calls++;
+                try {
+                    callMonitorChecked(method);
+                } catch (e) {
+                    errors++;
+                    console.error(`Burst ${burst}: ${method} failed: ${e.message}`);
                 }
-                const endTime = Date.now();
-                const avgTime = (endTime - startTime) / iterations;
-                results[method] = avgTime;
+            });
+            completedBursts++;
+            
+            if (burst % 50 === 0) {
+                ctx.progress(burst / bursts, `Burst ${burst + 1}/${bursts}...`);
+                await ctx.sleep(0);
             }
+        }
+        const elapsedSeconds = Math.max(Date.now() - startTime, 1) / 1000;
+        
+        const metrics = {
+            calls: calls,
+            errors: errors,
+            errorRate: calls > 0 ? errors / calls : 0,
+            completedBursts: completedBursts,
+            callsPerSecond: calls / elapsedSeconds
+        };
+        ctx.attach("metrics", metrics);
+        
+        console.log("Rapid API calls test results:",
+            `${calls} calls`, `${errors} errors`, `${metrics.callsPerSecond.toFixed(0)} calls/s`);
+        
+        if (metrics.errorRate > stress.maxErrorRate) {
+            throw new AssertionError(`Rapid API calls encountered ${errors} errors (error rate ${(metrics.errorRate * 100).toFixed(2)}%)`, {
+                expected: stress.maxErrorRate,
+                actual: metrics.errorRate,
+                operator: "<="
+            });
+        }
+        if (completedBursts < bursts) {
+            throw new AssertionError(`Not all bursts completed within ${stress.stressTimeSeconds}s: ${completedBursts} of ${bursts}`, {
+                expected: bursts,
+                actual: completedBursts,
+                operator: "==="
+            });
+        }
+        if (metrics.callsPerSecond < stress.minCallsPerSecond) {
+            throw new AssertionError(`Throughput ${metrics.callsPerSecond.toFixed(0)} calls/s is below ${stress.minCallsPerSecond} calls/s`, {
+                expected: stress.minCallsPerSecond,
+                actual: metrics.callsPerSecond,
+                operator: ">="
+            });
+        }
+    });
+    
+    test("Heavy Recommendation Load Test", {
+        description: "Testing with many recommendations...",
+        successMessage: "System handles large recommendation counts",
+        timeout: () => config.testTimeout * 2
+    }, async (ctx) => {
+        const stress = config.stressTest;
+        const random = TestUtils.createSeededRandom(stress.randomSeed);
+        
+        // Generate the synthetic load plus whatever the bridge currently returns
+        const generationStart = Date.now();
+        const recommendations = generateSyntheticRecommendations(stress.maxRecommendations, random);
+        const bridgeRecommendations = callMonitorChecked("getBenchmarkRecommendations");
+        const generationMs = Date.now() - generationStart;
+        
+        if (recommendations.length !== stress.maxRecommendations) {
+            throw new AssertionError(`Expected ${stress.maxRecommendations} recommendations, got ${recommendations.length}`, {
+                expected: stress.maxRecommendations,
+                actual: recommendations.length,
+                operator: "==="
+            });
+        }
+        
+        // Process the list the way the UI does: filter by every type/importance and sort
+        ctx.progress(0.3, `Processing ${recommendations.length} recommendations...`);
+        
+        const importanceOrder = { "high": 0, "medium": 1, "low": 2 };
+        const processingStart = Date.now();
+        let filteredTotal = 0;
+        RECOMMENDATION_TYPES.forEach(type => {
+            filteredTotal += recommendations.filter(rec => rec.type === type).length;
+        });
+        RECOMMENDATION_IMPORTANCES.forEach(importance => {
+            filteredTotal += recommendations.filter(rec => rec.importance === importance).length;
+        });
+        const sorted = recommendations.concat(bridgeRecommendations)
+            .sort((a, b) => importanceOrder[a.importance] - importanceOrder[b.importance]);
+        const processingMs = Date.now() - processingStart;
+        
+        if (filteredTotal !== recommendations.length * 2) {
+            throw new AssertionError(`Filtering lost recommendations: ${filteredTotal} of ${recommendations.length * 2}`, {
+                expected: recommendations.length * 2,
+                actual: filteredTotal,
+                operator: "==="
+            });
+        }
+        
+        // Render every card when UI tests are allowed
+        let renderMs = 0;
+        if (!uiTestsDisabled()) {
+            ctx.progress(0.6, `Rendering ${sorted.length} cards...`);
             
-            // Log results
-            console.log("API Performance Test Results:");
-            for (let method in results) {
-                console.log(`${method}: ${results[method].toFixed(2)} ms per call`);
+            const testUI = floaty.window(
+                <frame id="main" w="300" h="400" padding="10" alpha="0.9">
+                    <scroll w="*" h="*">
+                        <vertical id="recContainer" w="*" h="auto"/>
+                    </scroll>
+                </frame>
+            );
+            
+            try {
+                const renderStart = Date.now();
+                sorted.forEach(rec => {
+                    testUI.recContainer.addView(
+                        <vertical w="*" h="auto" margin="5" padding="10">
+                            <text text={rec.title} textSize="14sp" textStyle="bold"/>
+                            <text text={rec.description} textSize="12sp" textColor="#757575"/>
+                        </vertical>
+                    );
+                });
+                renderMs = Date.now() - renderStart;
+            } finally {
+                testUI.close();
             }
+        }
+        
+        ctx.attach("metrics", {
+            recommendations: sorted.length,
+            generationMs: generationMs,
+            processingMs: processingMs,
+            renderMs: renderMs
+        });
+        
+        console.log("Heavy recommendation load test results:",
+            `${sorted.length} recommendations`,
+            `generation ${generationMs} ms`, `processing ${processingMs} ms`, `rendering ${renderMs} ms`);
+        
+        const totalMs = generationMs + processingMs + renderMs;
+        if (totalMs > stress.heavyLoadBudgetMs) {
+            throw new AssertionError(`Heavy load took too long: ${totalMs} ms (budget ${stress.heavyLoadBudgetMs} ms)`, {
+                expected: stress.heavyLoadBudgetMs,
+                actual: totalMs,
+                operator: "<="
+            });
+        }
+    });
+    
+    test("Concurrent Operations Test", {
+        description: "Testing parallel operations...",
+        successMessage: "System handles concurrent operations",
+        timeout: () => config.testTimeout * 2,
+        tags: ["concurrency"]
+    }, async (ctx) => {
+        // Device state changes must not leak into the following tests
+        const originalState = typeof monitor.getState === 'function' ? monitor.getState() : null;
+        
+        try {
+            const stress = config.stressTest;
+            const workerCount = stress.threads;
+            const iterations = stress.iterationsPerThread;
+            const useThreads = typeof threads !== 'undefined' && typeof threads.start === 'function';
+            const results = [];
             
-            TestUtils.updateProgress(ui, "API Performance Test", "Analyzing results...", 
-                progressStart + (progressEnd - progressStart) * 0.7);
+            ctx.progress(0.1, `Starting ${workerCount} ${useThreads ? "threads" : "async workers"} x ${iterations} iterations...`);
+            
+            for (let workerId = 0; workerId < workerCount; workerId++) {
+                results.push(createWorkerResult(workerId));
+            }
+            
+            if (useThreads) {
+                const started = results.map(result => {
+                    const thread = startThreadWorker(result.workerId, iterations, result, ctx.signal);
+                    return { thread: thread, untrack: ctx.track(`worker thread ${result.workerId}`, () => thread.interrupt()) };
+                });
                 
-            // Simple validation
-            const allValid = Object.values(results).every(time => time < 100); // All methods should be <100ms
+                // Poll instead of join() so the timeout can still fire
+                while (started.some(worker => worker.thread.isAlive())) {
+                    await ctx.sleep(50);
+                }
+                started.forEach(worker => worker.untrack());
+            } else {
+                await Promise.all(results.map(result => runPromiseWorker(result.workerId, iterations, result, ctx)));
+            }
             
-            if (!allValid) {
-                throw new Error("Some API methods are too slow (>100ms per call)");
+            // Analyze results
+            const totalIterations = results.reduce((sum, r) => sum + r.completedIterations, 0);
+            const totalErrors = results.reduce((sum, r) => sum + r.errors, 0);
+            const allDurations = results.reduce((all, r) => all.concat(r.durations), []);
+            const attempts = workerCount * iterations;
+            
+            const metrics = {
+                workers: workerCount,
+                mode: useThreads ? "threads" : "promises",
+                totalIterations: totalIterations,
+                totalErrors: totalErrors,
+                errorRate: attempts > 0 ? totalErrors / attempts : 0,
+                timing: summarizeTimings(allDurations)
+            };
+            ctx.attach("metrics", metrics);
+            
+            console.log("Concurrent operations test results:",
+                `${totalIterations} iterations`, `${totalErrors} errors`,
+                `avg ${metrics.timing.avgMs.toFixed(2)} ms`, `max ${metrics.timing.maxMs} ms`);
+            
+            if (metrics.errorRate > stress.maxErrorRate) {
+                throw new AssertionError(`Concurrent operations encountered ${totalErrors} errors`, {
+                    expected: stress.maxErrorRate,
+                    actual: metrics.errorRate,
+                    operator: "<="
+                });
+            }
+            if (totalIterations + totalErrors !== attempts) {
+                throw new AssertionError(`Not all iterations completed: ${totalIterations + totalErrors} of ${attempts}`, {
+                    expected: attempts,
+                    actual: totalIterations + totalErrors,
+                    operator: "==="
+                });
+            }
+        } finally {
+            if (originalState) {
+                monitor.setState(originalState);
             }
+        }
+    });
+});
+
+// Memory tests
+suite("memory", {
+    title: "Memory Tests",
+    description: "Testing for memory leaks",
+    tags: ["memory", "slow"],
+    skipIf: () => {
+        if (!config.memoryTest.enabled) {
+            return "Memory tests are disabled in config";
+        }
+        return config.runMemoryTests || config.runLongTests ? null :
+            "Memory tests disabled. Enable with runMemoryTests or runLongTests.";
+    }
+}, () => {
+    test("Recommendation Memory Test", {
+        description: "Testing memory usage...",
+        successMessage: "No memory leaks detected in recommendation system",
+        timeout: () => config.testTimeout * 2,
+        skipIf: memoryUnmeasurable
+    }, async (ctx) => {
+        const importanceOrder = { "high": 0, "medium": 1, "low": 2 };
+        
+        // Fetch, process and discard recommendations like the UI does
+        const memory = await measureMemoryGrowth(() => {
+            monitor.getDeviceCapabilities();
+            const recommendations = fetchValidatedRecommendations();
+            const processed = recommendations
+                .filter(rec => rec.importance !== undefined)
+                .sort((a, b) => importanceOrder[a.importance] - importanceOrder[b.importance]);
+            return processed.length;
+        }, ctx);
+        ctx.attach("memory", memory);
+        
+        assertMemoryGrowth("Recommendation memory test", memory);
+    });
+    
+    test("UI Memory Test", {
+        description: "Testing UI memory usage...",
+        successMessage: "No memory leaks detected in UI components",
+        timeout: () => config.testTimeout * 2,
+        skipIf: () => uiTestsDisabled() || memoryUnmeasurable(),
+        tags: ["ui"]
+    }, async (ctx) => {
+        const recommendations = buildRecommendationSample(config.performanceTest.recommendationCount);
+        
+        // Open a window, fill a recommendation container, clear it and close the window again
+        const memory = await measureMemoryGrowth(() => {
+            const testUI = floaty.window(
+                <frame id="main" w="300" h="400" padding="10" alpha="0.9">
+                    <scroll w="*" h="*">
+                        <vertical id="recContainer" w="*" h="auto"/>
+                    </scroll>
+                </frame>
+            );
             
-            // Additional validation specific to device capabilities if needed
-        }, config.testTimeout * 2);
+            try {
+                recommendations.forEach(rec => {
+                    testUI.recContainer.addView(
+                        <vertical w="*" h="auto" margin="5" padding="10">
+                            <text text={rec.title} textSize="14sp" textStyle="bold"/>
+                            <text text={rec.description} textSize="12sp" textColor="#757575"/>
+                        </vertical>
+                    );
+                });
+                testUI.recContainer.removeAllViews();
+            } finally {
+                testUI.close();
+            }
+        }, ctx);
+        ctx.attach("memory", memory);
         
-        testResults.passedTests++;
-        testResults.detailedResults.push({
-            name: "API Performance Test",
-            passed: true
-        });
+        assertMemoryGrowth("UI memory test", memory);
+    });
+});
+
+// Soak tests
+suite("soak", {
+    title: "Soak Tests",
+    description: "Cycling the monitor module for a fixed time",
+    tags: ["soak", "slow"],
+    skipIf: () => config.soakTest.enabled ? null : "Soak tests are disabled in config"
+}, () => {
+    test("Soak Test", {
+        description: "Cycling recommendations, benchmarks and card rendering...",
+        successMessage: "No drift in memory, latency or errors",
+        timeout: () => config.soakTest.durationSeconds * 1000 + config.testTimeout
+    }, async (ctx) => {
+        const soak = config.soakTest;
+        const clock = createClock();
+        const recorder = createSoakRecorder();
         
-        TestUtils.updateProgress(ui, "API Performance Test Passed", "✓ API performance is acceptable", progressEnd);
-        return true;
-    } catch (error) {
-        console.error("API performance test failed:", error);
-        testResults.failedTests++;
-        testResults.detailedResults.push({
-            name: "API Performance Test",
-            passed: false,
-            error: error.message
+        if (soak.timeSeriesPath) {
+            files.ensureDir(soak.timeSeriesPath);
+            files.write(soak.timeSeriesPath, "");
+        }
+        
+        // Cards are rendered into a window only where UI tests may run
+        const testUI = uiTestsDisabled() ? null : floaty.window(
+            <frame id="main" w="300" h="400" padding="10" alpha="0.9">
+                <scroll w="*" h="*">
+                    <vertical id="recContainer" w="*" h="auto"/>
+                </scroll>
+            </frame>
+        );
+        
+        // The duration and snapshot interval run on timers, like the test timeout, so a
+        // headless --time-scale shortens them all alike; elapsedSeconds stays wall-clock time
+        const startTime = Date.now();
+        const elapsedSeconds = () => (Date.now() - startTime) / 1000;
+        let durationReached = false;
+        let snapshotDue = false;
+        let intervals = 0;
+        ctx.setTimeout(() => {
+            durationReached = true;
+        }, soak.durationSeconds * 1000);
+        ctx.setInterval(() => {
+            snapshotDue = true;
+            intervals++;
+        }, soak.snapshotIntervalSeconds * 1000);
+        let cycles = 0;
+        
+        try {
+            // Starting point for the drift analysis
+            await takeSoakSnapshot(recorder, { elapsedSeconds: 0, cycles: 0 });
+            
+            while (!durationReached && cycles < soak.maxCycles) {
+                await runSoakCycle(ctx, recorder, clock, cycles, testUI ? testUI.recContainer : null);
+                cycles++;
+                
+                if (snapshotDue) {
+                    snapshotDue = false;
+                    const snapshot = await takeSoakSnapshot(recorder, { elapsedSeconds: elapsedSeconds(), cycles: cycles });
+                    ctx.progress(Math.min(intervals * soak.snapshotIntervalSeconds / soak.durationSeconds, 1),
+                        `${cycles} cycles, ${snapshot.totalErrors} errors`);
+                }
+                await ctx.sleep(soak.cyclePauseMs);
+            }
+            await takeSoakSnapshot(recorder, { elapsedSeconds: elapsedSeconds(), cycles: cycles });
+        } finally {
+            if (testUI) {
+                testUI.close();
+            }
+        }
+        
+        const drift = analyzeDrift(recorder.snapshots, recorder.totals, soak);
+        ctx.attach("soak", {
+            durationSeconds: elapsedSeconds(),
+            cycles: cycles,
+            snapshots: recorder.snapshots.length,
+            timeSeriesPath: soak.timeSeriesPath,
+            operations: recorder.totals,
+            drift: drift
+        });
+        ctx.attach("metrics", {
+            cycles: cycles,
+            errors: drift.errors.total,
+            memoryDriftPercent: drift.memory ? drift.memory.changePercent : null,
+            latencyDriftPercent: Object.keys(drift.latency).reduce((all, operation) => {
+                all[operation] = drift.latency[operation].changePercent;
+                return all;
+            }, {})
         });
         
-        TestUtils.updateProgress(ui, "API Performance Test Failed", `✗ Error: ${error.message}`, progressEnd);
-        return false;
-    }
-}
+        // Heap usage per snapshot, in the shape the memory tests report for the HTML graph
+        const measured = recorder.snapshots.filter(snapshot => typeof snapshot.usedBytes === "number");
+        if (measured.length > 1) {
+            const baselineBytes = measured[0].usedBytes;
+            const finalBytes = measured[measured.length - 1].usedBytes;
+            ctx.attach("memory", {
+                source: TestUtils.getMemorySource(),
+                baselineBytes: baselineBytes,
+                finalBytes: finalBytes,
+                growthPercent: (finalBytes - baselineBytes) * 100 / baselineBytes,
+                thresholdPercent: soak.maxMemoryDriftPercent,
+                series: measured.map((snapshot, i) => ({
+                    iteration: i + 1,
+                    usedBytes: snapshot.usedBytes,
+                    growthPercent: (snapshot.usedBytes - baselineBytes) * 100 / baselineBytes
+                }))
+            });
+        }
+        
+        if (drift.problems.length > 0) {
+            throw new AssertionError(`Soak run drifted after ${cycles} cycles:\n${drift.problems.join("\n")}`, {
+                expected: "no drift",
+                actual: drift.problems
+            });
+        }
+    });
+});
 
-// Placeholder implementations for remaining tests
-async function runRecommendationPerformanceTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Recommendation Performance", "Testing recommendation generation performance...", progressStart);
+// Property-based tests
+suite("property", {
+    title: "Property Tests",
+    description: "Checking recommendation filtering and sorting on generated lists",
+    tags: ["unit", "property"]
+}, () => {
+    const FILTER_TYPES = ["all"].concat(RECOMMENDATION_TYPES, ["thermal"]);
+    const FILTER_IMPORTANCES = ["all"].concat(RECOMMENDATION_IMPORTANCES, ["critical"]);
+    // Where each importance belongs in a sorted list; unknown and missing importances go after "low"
+    const SORT_GROUPS = { high: 0, medium: 1, low: 2 };
+    const sortGroup = rec => Object.prototype.hasOwnProperty.call(SORT_GROUPS, rec.importance) ? SORT_GROUPS[rec.importance] : 3;
     
-    // Implementation would be similar to API performance test but focused on recommendations
-    // For brevity, we'll implement a placeholder that passes
-    testResults.passedTests++;
-    testResults.detailedResults.push({
-        name: "Recommendation Performance Test",
-        passed: true
+    test("Recommendation Filter Properties", {
+        description: "Filtering generated recommendation lists...",
+        successMessage: "Filtering keeps exactly the matching recommendations in order"
+    }, async (ctx) => {
+        requireVisualTest();
+        
+        assertRecommendationProperty(ctx, "filter is an ordered subset", recommendations => {
+            FILTER_TYPES.forEach(type => FILTER_IMPORTANCES.forEach(importance => {
+                const filtered = visualTest.filterRecommendations(recommendations, { type: type, importance: importance });
+                const matching = recommendations.filter(rec =>
+                    (type === "all" || rec.type === type) && (importance === "all" || rec.importance === importance));
+                // Same items in the same order, so nothing outside the list and nothing matching dropped
+                expect(filtered.map(rec => rec.id)).toEqual(matching.map(rec => rec.id));
+                filtered.forEach((rec, i) => expect(rec).toBe(matching[i]));
+            }));
+        });
+        
+        assertRecommendationProperty(ctx, "all/all is the identity", recommendations => {
+            const filtered = visualTest.filterRecommendations(recommendations, { type: "all", importance: "all" });
+            expect(filtered.length).toBe(recommendations.length);
+            filtered.forEach((rec, i) => expect(rec).toBe(recommendations[i]));
+        });
     });
     
-    await TestUtils.sleep(1000);
-    TestUtils.updateProgress(ui, "Recommendation Performance Test Passed", "✓ Performance metrics within acceptable range", progressEnd);
-    return true;
-}
+    test("Recommendation Sort Properties", {
+        description: "Sorting generated recommendation lists by importance...",
+        successMessage: "Sorting is a stable, importance-ordered permutation"
+    }, async (ctx) => {
+        requireVisualTest();
+        
+        // The order the UI promises: high, medium, low, then any unknown or missing importance
+        assertRecommendationProperty(ctx, "importance rank orders high < medium < low < unknown", recommendations => {
+            const rankOf = importance => visualTest.importanceRank({ id: importance, importance: importance });
+            expect(rankOf("high")).toBeLessThan(rankOf("medium"));
+            expect(rankOf("medium")).toBeLessThan(rankOf("low"));
+            
+            recommendations.forEach(rec => {
+                const rank = visualTest.importanceRank(rec);
+                expect(rank).toBeTypeOf("number");
+                expect(isNaN(rank)).toBe(false);
+                if (rec.importance === "high" || rec.importance === "medium" || rec.importance === "low") {
+                    expect(rank).toBe(rankOf(rec.importance));
+                } else {
+                    expect(rank).toBeGreaterThan(rankOf("low"));
+                }
+            });
+        });
+        
+        assertRecommendationProperty(ctx, "sort is a stable importance order", recommendations => {
+            const sorted = visualTest.sortByImportance(recommendations);
+            expect(sorted.length).toBe(recommendations.length);
+            expect(sorted.map(rec => rec.id).sort()).toEqual(recommendations.map(rec => rec.id).sort());
+            
+            for (let i = 1; i < sorted.length; i++) {
+                const previous = sortGroup(sorted[i - 1]);
+                const current = sortGroup(sorted[i]);
+                if (previous > current ||
+                    (previous === current && recommendations.indexOf(sorted[i - 1]) > recommendations.indexOf(sorted[i]))) {
+                    throw new AssertionError(`${sorted[i - 1].id} (${sorted[i - 1].importance}) is sorted before ` +
+                        `${sorted[i].id} (${sorted[i].importance})`, {
+                        expected: "importance order, then input order",
+                        actual: sorted.map(rec => `${rec.id}:${rec.importance}`)
+                    });
+                }
+            }
+        });
+        
+        assertRecommendationProperty(ctx, "sorting twice changes nothing", recommendations => {
+            const sorted = visualTest.sortByImportance(recommendations);
+            expect(visualTest.sortByImportance(sorted).map(rec => rec.id)).toEqual(sorted.map(rec => rec.id));
+        });
+    });
+});
 
-async function runRenderingPerformanceTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Rendering Performance", "Testing UI rendering performance...", progressStart);
-    
-    // Implementation would test UI rendering speed
-    // For brevity, we'll implement a placeholder that passes
-    testResults.passedTests++;
-    testResults.detailedResults.push({
-        name: "Rendering Performance Test",
-        passed: true
+// Fuzz tests
+suite("fuzz", {
+    title: "Fuzz Tests",
+    description: "Feeding random but reproducible input to the recommendation UI and the monitor",
+    tags: ["fuzz"],
+    skipIf: () => config.fuzzTest.enabled ? null : "Fuzz tests are disabled in config"
+}, () => {
+    test("Recommendation Payload Fuzz Test", {
+        description: "Rendering random recommendation payloads...",
+        successMessage: "Malformed recommendations are dropped before they reach the cards",
+        timeout: () => config.testTimeout * 2
+    }, async (ctx) => {
+        requireVisualTest();
+        
+        // Payloads go through the monitor where it can be scripted (headless), as loadRecommendations() gets them
+        const scriptable = typeof monitor.script === 'function';
+        const testUI = uiTestsDisabled() ? null : floaty.window(
+            <frame w="300" h="400" padding="10" alpha="0.9">
+                <scroll w="*" h="*">
+                    <vertical id="recommendationContainer" w="*" h="auto"/>
+                </scroll>
+            </frame>
+        );
+        
+        try {
+            const result = runFuzzCases(fuzzOptions(), random => generateRecommendationPayload(random, config.fuzzTest), input => {
+                let payload = input.payload;
+                if (scriptable) {
+                    monitor.script("getBenchmarkRecommendations", payload);
+                    payload = monitor.getBenchmarkRecommendations();
+                }
+                
+                // Invalid payloads are the point here, their validation errors would only flood the output
+                const kept = visualTest.keepValidRecommendations(payload, { quiet: true });
+                expect(validateRecommendations(kept)).toEqual([]);
+                
+                if (testUI) {
+                    visualTest.displayRecommendations(testUI, kept);
+                    // A summary card and one card per recommendation, or the "No recommendations" message
+                    expect(testUI.recommendationContainer.getChildCount()).toBe(kept.length > 0 ? kept.length + 1 : 1);
+                }
+            });
+            reportFuzzResult(ctx, "Recommendation payload", result);
+        } finally {
+            if (scriptable) {
+                monitor.restore("getBenchmarkRecommendations");
+            }
+            if (testUI) {
+                testUI.close();
+            }
+        }
     });
     
-    await TestUtils.sleep(1000);
-    TestUtils.updateProgress(ui, "Rendering Performance Test Passed", "✓ UI rendering performance is acceptable", progressEnd);
-    return true;
-}
+    test("Device State Fuzz Test", {
+        description: "Checking the monitor contract in random device states...",
+        successMessage: "The monitor keeps its contract in every generated device state",
+        skipIf: () => typeof monitor.setState !== 'function' ? "Device state cannot be changed from a script" : null,
+        tags: ["needs-state-control"]
+    }, async (ctx) => {
+        const methods = Object.keys(MONITOR_CONTRACT).filter(method => !MONITOR_CONTRACT[method].callback);
+        const invariants = MONITOR_INVARIANTS.filter(invariant => !invariant.requiresStateControl);
+        const original = monitor.getState();
+        
+        try {
+            const result = runFuzzCases(fuzzOptions(), generateDeviceState, state => {
+                monitor.setState(state);
+                methods.forEach(method => {
+                    (MONITOR_CONTRACT[method].calls || [[]]).forEach(args => {
+                        checkContractCall(method, args, value => expect(value).toMatchSchema(MONITOR_CONTRACT[method].returns));
+                    });
+                });
+                invariants.forEach(invariant => invariant.check(monitor));
+            });
+            reportFuzzResult(ctx, "Device state", result);
+        } finally {
+            monitor.setState(original);
+        }
+    });
+});
 
-// More placeholder implementations for stress and memory tests
-async function runRapidApiCallsTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Rapid API Calls Test", "Testing rapid succession API calls...", progressStart);
-    
-    // Implementation would make API calls in rapid succession
-    testResults.passedTests++;
-    testResults.detailedResults.push({
-        name: "Rapid API Calls Test",
-        passed: true
+// Visual tests
+suite("visual", {
+    title: "Visual Tests",
+    description: "Testing UI components",
+    tags: ["visual", "ui", "slow"],
+    skipIf: () => {
+        if (!config.visualTest.enabled) {
+            return "Visual tests are disabled in config";
+        }
+        return config.runVisualTests ? null : "Visual tests disabled. Enable with runVisualTests.";
+    }
+}, () => {
+    test("Visual Recommendation Test", {
+        description: "Rendering recommendation UI...",
+        successMessage: "UI components rendered correctly",
+        timeout: () => config.testTimeout * 2
+    }, async (ctx) => {
+        requireVisualTest();
+        
+        const visualUI = visualTest.runVisualTest();
+        
+        try {
+            // Add delay to let user view the test
+            const viewTime = config.ciMode ? 5000 : 15000;
+            await ctx.sleep(viewTime);
+        } finally {
+            visualUI.close();
+        }
     });
-    
-    await TestUtils.sleep(1000);
-    TestUtils.updateProgress(ui, "Rapid API Calls Test Passed", "✓ System stable under rapid API calls", progressEnd);
-    return true;
+});
+
+// Individual test suites for direct execution, e.g. testSuites.stress(ui, 0, 100)
+const testSuites = {};
+harness.getSuites().forEach(registered => {
+    testSuites[registered.name] = (ui, progressStart = 0, progressEnd = 100) =>
+        harness.run([registered.name], ui, progressStart, progressEnd);
+});
+
+// Returns the suites to run for a test type
+function getSuitesForTestType(testType) {
+    const suiteNames = SUITES_BY_TEST_TYPE[testType];
+    if (!suiteNames) {
+        throw new Error(`Unknown test type "${testType}" (expected one of ${Object.keys(SUITES_BY_TEST_TYPE).join(", ")})`);
+    }
+    if (config.runVisualTests && suiteNames.indexOf("visual") === -1) {
+        return suiteNames.concat(["visual"]);
+    }
+    return suiteNames;
 }
 
-async function runHeavyRecommendationLoadTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Heavy Recommendation Load", "Testing with many recommendations...", progressStart);
-    
-    // Implementation would generate and process many recommendations
-    testResults.passedTests++;
-    testResults.detailedResults.push({
-        name: "Heavy Recommendation Load Test",
-        passed: true
+// Tags in the test filter that no registered test carries, most likely typos
+function warnAboutUnknownTags(tags) {
+    const knownTags = [];
+    harness.listTests(harness.getSuites().map(registered => registered.name)).forEach(t => {
+        t.tags.forEach(tag => {
+            if (knownTags.indexOf(tag) === -1) {
+                knownTags.push(tag);
+            }
+        });
+    });
+    tags.filter(tag => knownTags.indexOf(tag) === -1).forEach(tag => {
+        console.warn(`Test filter: no test is tagged "${tag}" (known tags: ${knownTags.sort().join(", ")})`);
     });
-    
-    await TestUtils.sleep(1000);
-    TestUtils.updateProgress(ui, "Heavy Load Test Passed", "✓ System handles large recommendation counts", progressEnd);
-    return true;
 }
 
-async function runConcurrentOperationsTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Concurrent Operations", "Testing parallel operations...", progressStart);
-    
-    // Implementation would run multiple operations in parallel
-    testResults.passedTests++;
-    testResults.detailedResults.push({
-        name: "Concurrent Operations Test",
-        passed: true
-    });
-    
-    await TestUtils.sleep(1000);
-    TestUtils.updateProgress(ui, "Concurrent Operations Test Passed", "✓ System handles concurrent operations", progressEnd);
-    return true;
+// Regressions flagged by the benchmark history check, for the report summary
+function collectBenchmarkRegressions(entries) {
+    return entries
+        .filter(entry => entry.benchmark && entry.benchmark.history)
+        .reduce((all, entry) => all.concat(entry.benchmark.history.regressions), []);
 }
 
-async function runRecommendationMemoryTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "Recommendation Memory Test", "Testing memory usage...", progressStart);
-    
-    // Implementation would check for memory leaks in recommendation system
-    testResults.passedTests++;
-    testResults.detailedResults.push({
-        name: "Recommendation Memory Test",
-        passed: true
-    });
-    
-    await TestUtils.sleep(1000);
-    TestUtils.updateProgress(ui, "Memory Test Passed", "✓ No memory leaks detected in recommendation system", progressEnd);
-    return true;
+// Numeric metrics attached by the tests, as flat { test, name, value, unit } records
+function collectMetrics(entries) {
+    return entries
+        .filter(entry => entry.metrics)
+        .reduce((all, entry) => all.concat(toMetricRecords(testKey(entry), entry.metrics)), []);
+}
+
+/**
+ * Compares the timings of the passed performance tests with
+ * performanceTest.baseline.path, or writes them to it in update mode.
+ * Returns null without a baseline path, else
+ * { path, mode, updatedTests } or { path, mode, baselineDevice, ..., rows, regressions, missing }.
+ * A baseline that cannot be read or parsed is returned as { path, mode, error }
+ * so the run still writes its reports.
+ */
+function checkPerformanceBaseline(entries) {
+    const settings = config.performanceTest.baseline;
+    if (!settings.path) {
+        return null;
+    }
+    try {
+        return applyPerformanceBaseline(entries, settings);
+    } catch (e) {
+        console.error(`Performance baseline ${settings.path} could not be used: ${e.message}`);
+        return {
+            path: settings.path,
+            mode: settings.update ? "update" : "compare",
+            error: e.message,
+            updatedTests: [],
+            rows: [],
+            regressions: [],
+            missing: []
+        };
+    }
 }
 
-async function runUiMemoryTest(ui, progressStart, progressEnd) {
-    TestUtils.updateProgress(ui, "UI Memory Test", "Testing UI memory usage...", progressStart);
+// Whether the baseline check fails the run: an unusable baseline or regressed timings
+function performanceBaselineFailed(perfBaseline) {
+    return !!perfBaseline && (!!perfBaseline.error ||
+        (perfBaseline.mode === "compare" && perfBaseline.regressions.length > 0));
+}
+
+function applyPerformanceBaseline(entries, settings) {
+    const records = collectMetrics(entries.filter(entry =>
+        entry.passed && (entry.tags || []).indexOf("performance") !== -1));
+    const exists = files.exists(settings.path);
     
-    // Implementation would check for memory leaks in UI components
-    testResults.passedTests++;
-    testResults.detailedResults.push({
-        name: "UI Memory Test",
-        passed: true
-    });
+    if (settings.update) {
+        const baseline = exists ? parseBaseline(files.read(settings.path)) : createBaseline();
+        const updatedTests = updateBaseline(baseline, records, {
+            updatedAt: new Date().toISOString(),
+            device: typeof device !== 'undefined' ? String(device.model) : null,
+            appVersion: getAppVersion().versionName,
+            clock: createClock().name
+        });
+        if (updatedTests.length === 0) {
+            console.warn("Performance baseline not updated: no performance test passed with timing metrics");
+        } else {
+            files.ensureDir(settings.path);
+            files.write(settings.path, JSON.stringify(baseline, null, 2));
+            console.log(`Performance baseline updated for ${updatedTests.length} tests: ${settings.path}`);
+        }
+        return { path: settings.path, mode: "update", updatedTests: updatedTests };
+    }
     
-    await TestUtils.sleep(1000);
-    TestUtils.updateProgress(ui, "UI Memory Test Passed", "✓ No memory leaks detected in UI components", progressEnd);
-    return true;
+    if (!exists) {
+        console.warn(`No performance baseline at ${settings.path}; record one with performanceTest.baseline.update`);
+        return { path: settings.path, mode: "compare", missingBaseline: true, rows: [], regressions: [], missing: [] };
+    }
+    const baseline = parseBaseline(files.read(settings.path));
+    const comparison = compareWithPerfBaseline(records, baseline, settings);
+    const currentDevice = typeof device !== 'undefined' ? String(device.model) : null;
+    if (baseline.device && currentDevice && baseline.device !== currentDevice) {
+        console.warn(`Performance baseline was recorded on ${baseline.device}, comparing timings of ${currentDevice}`);
+    }
+    return Object.assign({
+        path: settings.path,
+        mode: "compare",
+        baselineDevice: baseline.device,
+        baselineAppVersion: baseline.appVersion,
+        baselineUpdatedAt: baseline.updatedAt,
+        tolerancePercent: settings.tolerancePercent,
+        minDeltaMs: settings.minDeltaMs
+    }, comparison);
+}
+
+// This shard of a sharded run, for report.json
+function shardReport() {
+    return config.shard.count > 1 ? {
+        index: config.shard.index,
+        count: config.shard.count,
+        label: config.shard.label,
+        tests: testResults.shardTests
+    } : null;
+}
+
+// Resolved configuration and where each non-default value came from, to reproduce the run
+function effectiveConfigReport() {
+    return {
+        configFile: loadedConfig.configFile,
+        values: config,
+        sources: loadedConfig.sources,
+        warnings: loadedConfig.warnings
+    };
+}
+
+// Failed report.json for a run stopped by an invalid configuration, so CI can see why
+function writeConfigErrorReport() {
+    if (!config.ciMode || !config.reportPath) {
+        return;
+    }
+    try {
+        files.ensureDir(config.reportPath + "/report.json");
+        files.write(config.reportPath + "/report.json", JSON.stringify({
+            totalTests: 0,
+            passedTests: 0,
+            failedTests: 0,
+            skippedTests: 0,
+            durationSeconds: (Date.now() - testResults.startTime) / 1000,
+            success: false,
+            testType: config.testType,
+            configErrors: loadedConfig.errors,
+            shard: shardReport(),
+            timestamp: new Date().toISOString(),
+            effectiveConfig: effectiveConfigReport(),
+            detailedResults: []
+        }, null, 2));
+        console.log("Test report written to:", config.reportPath + "/report.json");
+    } catch (e) {
+        console.error("Failed to write test report:", e);
+    }
 }
 
 // Main test function
@@ -931,80 +2590,70 @@ async function runAllTests() {
     testResults.passedTests = 0;
     testResults.failedTests = 0;
     testResults.skippedTests = 0;
+    testResults.deselectedTests = 0;
+    testResults.flakyTests = 0;
+    testResults.quarantinedFailures = 0;
+    testResults.shardTests = null;
     testResults.detailedResults = [];
+    shardTests = null;
+    testResults.deviceCapabilities = null;
     testResults.testsRun = 0;
     testResults.testsPassed = 0;
     testResults.testsFailed = 0;
     testResults.success = true;
     
     try {
+        // Refuse to run with a configuration that would silently select the wrong tests
+        if (loadedConfig.errors.length > 0) {
+            writeConfigErrorReport();
+            throw new Error(`Invalid test configuration:\n${loadedConfig.errors.join("\n")}`);
+        }
+        
+        // Tests of the selected suites that the tag and name filters leave out
+        const suiteNames = getSuitesForTestType(config.testType);
+        const listedTests = harness.listTests(suiteNames);
+        const selectedCount = listedTests.filter(t => t.selected).length;
+        testResults.deselectedTests = listedTests.length - selectedCount;
+        if (testSelector.description) {
+            warnAboutUnknownTags(testSelector.referencedTags);
+            console.log(`Test filter (${testSelector.description}): ${selectedCount} of ${listedTests.length} tests selected`);
+            if (selectedCount === 0) {
+                throw new Error(`No tests match the test filter (${testSelector.description})`);
+            }
+        }
+        
+        // Tests of the other shards are left out of this run
+        if (config.shard.count > 1) {
+            shardTests = selectShard(listedTests.filter(t => t.selected), config.shard.index, config.shard.count);
+            testResults.shardTests = shardTests.length;
+            console.log(`Running ${shardLabel(config.shard)} (${config.shard.index + 1} of ${config.shard.count}): ` +
+                `${shardTests.length} of ${selectedCount} selected tests`);
+        }
+        
         // Introduction
         TestUtils.updateProgress(ui, "Starting test suite", `Test type: ${config.testType}`, 0);
         await TestUtils.sleep(1000);
         
-        // Run tests based on test type
-        let testSuccess = true;
-        
-        switch (config.testType.toLowerCase()) {
-            case 'unit':
-                testSuccess = await testSuites.basic(ui, 0, 100);
-                break;
-                
-            case 'integration':
-                testSuccess = await testSuites.integration(ui, 0, 100);
-                break;
-                
-            case 'performance':
-                testSuccess = await testSuites.performance(ui, 0, 100);
-                break;
-                
-            case 'stress':
-                testSuccess = await testSuites.stress(ui, 0, 100);
-                break;
-                
-            case 'memory':
-                testSuccess = await testSuites.memory(ui, 0, 100);
-                break;
-                
-            case 'all':
-                // Run all test suites with proportional progress
-                const basicSuccess = await testSuites.basic(ui, 0, 20);
-                const integrationSuccess = await testSuites.integration(ui, 20, 40);
-                const perfSuccess = await testSuites.performance(ui, 40, 60);
-                const stressSuccess = await testSuites.stress(ui, 60, 80);
-                const memorySuccess = await testSuites.memory(ui, 80, 90);
-                let visualSuccess = true;
-                
-                if (config.runVisualTests) {
-                    visualSuccess = await testSuites.visual(ui, 90, 100);
-                } else {
-                    TestUtils.updateProgress(ui, "Visual Tests Skipped", 
-                        "Visual tests not enabled in configuration", 100);
-                    testResults.skippedTests++;
-                }
-                
-                testSuccess = basicSuccess && integrationSuccess && perfSuccess && 
-                             stressSuccess && memorySuccess && visualSuccess;
-                break;
-                
-            default:
-                // Run just the basic tests as default
-                testSuccess = await testSuites.basic(ui, 0, 100);
-                break;
+        // Snapshot of the device the tests ran on, for the reports
+        try {
+            testResults.deviceCapabilities = monitor.getDeviceCapabilities();
+        } catch (e) {
+            console.error("Failed to read device capabilities:", e);
         }
         
-        // Add visual tests if explicitly enabled, regardless of test type
-        if (config.runVisualTests && config.testType.toLowerCase() !== 'all') {
-            const visualSuccess = await testSuites.visual(ui, 0, 100);
-            testSuccess = testSuccess && visualSuccess;
-        }
+        // Run the suites selected by the test type; the harness splits the progress bar between them
+        const suitesPassed = await harness.run(suiteNames, ui, 0, 100);
+        
+        // Timing regressions against the performance baseline fail the run as well
+        const perfBaseline = checkPerformanceBaseline(testResults.detailedResults);
+        const testSuccess = suitesPassed && !performanceBaselineFailed(perfBaseline);
         
         // Compute final test results
         testResults.endTime = Date.now();
         const testDuration = (testResults.endTime - testResults.startTime) / 1000;
         
         // Update CI reporting metrics
-        testResults.testsRun = testResults.passedTests + testResults.failedTests;
+        testResults.testsRun = testResults.passedTests + testResults.failedTests + testResults.quarantinedFailures;
         testResults.testsPassed = testResults.passedTests;
         testResults.testsFailed = testResults.failedTests;
         testResults.success = testSuccess;
@@ -1012,41 +2661,89 @@ async function runAllTests() {
         // Show summary
         TestUtils.updateProgress(
             ui, 
-            `Test Summary: ${testResults.passedTests}/${testResults.passedTests + testResults.failedTests} Passed`,
+            `Test Summary: ${testResults.passedTests}/${testResults.testsRun} Passed`,
             `Completed in ${testDuration.toFixed(1)}s (${testResults.skippedTests} skipped)`,
             100
         );
         
         // Print to console
         console.log("=== Test Summary ===");
-        console.log(`Total tests: ${testResults.passedTests + testResults.failedTests + testResults.skippedTests}`);
+        console.log(`Total tests: ${testResults.testsRun + testResults.skippedTests}`);
         console.log(`Passed: ${testResults.passedTests}`);
         console.log(`Failed: ${testResults.failedTests}`);
         console.log(`Skipped: ${testResults.skippedTests}`);
+        if (testResults.deselectedTests > 0) {
+            console.log(`Deselected by test filter: ${testResults.deselectedTests}`);
+        }
+        if (testResults.flakyTests > 0) {
+            console.log(`Flaky (passed on retry): ${testResults.flakyTests}`);
+        }
+        if (testResults.quarantinedFailures > 0) {
+            console.log(`Quarantined failures (not failing the run): ${testResults.quarantinedFailures}`);
+        }
+        const benchmarkRegressions = collectBenchmarkRegressions(testResults.detailedResults);
+        if (benchmarkRegressions.length > 0) {
+            console.log(`Benchmark regressions: ${benchmarkRegressions.map(describeRegression).join("; ")}`);
+        }
+        if (perfBaseline && perfBaseline.error) {
+            console.log(`Performance baseline error: ${perfBaseline.error}`);
+        } else if (perfBaseline && perfBaseline.mode === "compare" && !perfBaseline.missingBaseline) {
+            console.log(`Performance baseline: ${perfBaseline.rows.length} timings compared, ` +
+                `${perfBaseline.regressions.length} regressed beyond ${perfBaseline.tolerancePercent}%`);
+            perfBaseline.regressions.forEach(row => console.log(`  Regressed: ${describeChange(row)}`));
+        }
         console.log(`Duration: ${testDuration.toFixed(1)} seconds`);
         console.log(`Overall result: ${testSuccess ? "SUCCESS" : "FAILURE"}`);
         
         // Write results to file if in CI mode and reportPath is specified
         if (config.ciMode && config.reportPath) {
             try {
-                // Create report directory
-                files.ensureDir(config.reportPath);
+                // Create report directory (ensureDir creates the parent directory of a file path)
+                files.ensureDir(config.reportPath + "/report.json");
                 
                 // Write report summary
                 const reportSummary = {
-                    totalTests: testResults.passedTests + testResults.failedTests + testResults.skippedTests,
+                    totalTests: testResults.testsRun + testResults.skippedTests,
                     passedTests: testResults.passedTests,
                     failedTests: testResults.failedTests,
                     skippedTests: testResults.skippedTests,
                     durationSeconds: testDuration,
                     success: testSuccess,
                     testType: config.testType,
+                    deselectedTests: testResults.deselectedTests,
+                    flakyTests: testResults.flakyTests,
+                    quarantinedFailures: testResults.quarantinedFailures,
+                    benchmarkRegressions: benchmarkRegressions,
+                    metrics: collectMetrics(testResults.detailedResults),
+                    perfBaseline: perfBaseline,
+                    testFilter: testSelector.description || null,
+                    shard: shardReport(),
                     timestamp: new Date().toISOString(),
+                    deviceCapabilities: testResults.deviceCapabilities,
+                    effectiveConfig: effectiveConfigReport(),
                     detailedResults: testResults.detailedResults
                 };
                 
                 files.write(config.reportPath + "/report.json", JSON.stringify(reportSummary, null, 2));
                 console.log("Test report written to:", config.reportPath + "/report.json");
+                
+                // JUnit XML for CI servers, in the same format as the Kotlin test results
+                const junitPath = config.reportPath + "/" + JUNIT_FILE_NAME;
+                files.write(junitPath, toJUnitXml({
+                    detailedResults: testResults.detailedResults,
+                    testType: config.testType,
+                    timestamp: new Date(testResults.startTime).toISOString().replace(/\.\d+Z$/, ""),
+                    hostname: typeof device !== 'undefined' ? device.model : undefined
+                }, Object.keys(testSuites)));
+                console.log("JUnit report written to:", junitPath);
+                
+                // Self-contained HTML report with charts
+                const htmlPath = config.reportPath + "/" + HTML_FILE_NAME;
+                files.write(htmlPath, toHtmlReport(reportSummary, {
+                    suiteNames: Object.keys(testSuites),
+                    colors: config.visualization.colors
+                }));
+                console.log("HTML report written to:", htmlPath);
             } catch (e) {
                 console.error("Failed to write test report:", e);
             }
@@ -1065,7 +2762,7 @@ async function runAllTests() {
         
         // Update CI reporting metrics for error case
         testResults.success = false;
-        testResults.testsRun = testResults.passedTests + testResults.failedTests;
+        testResults.testsRun = testResults.passedTests + testResults.failedTests + testResults.quarantinedFailures;
         testResults.testsPassed = testResults.passedTests;
         testResults.testsFailed = testResults.failedTests + 1; // Count the fatal error
         
@@ -1090,6 +2787,14 @@ module.exports = {
     // Individual test suites for direct execution
     testSuites: testSuites,
     
+    // Registration API for additional tests
+    suite: suite,
+    test: test,
+    beforeAll: beforeAll,
+    afterAll: afterAll,
+    beforeEach: beforeEach,
+    afterEach: afterEach,
+    
     // Test utilities
     TestUtils: TestUtils,
     
@@ -0,0 +1,196 @@
+/**
+ * Per-Test Cancellation and Resource Tracking for CustomAutoJS Tests
+ *
+ * The harness gives every test attempt a scope. Its cancellation token
+ * (ctx.signal) is cancelled when the attempt ends, including when
+ * runWithTimeout gives up on it, so a test body still running in the
+ * background stops at its next ctx.sleep() or ctx.signal.throwIfCancelled()
+ * instead of carrying on into the next test.
+ *
+ * Windows, timers and anything registered with track() during the attempt
+ * are released when it ends. Resources still open at that point are reported
+ * as leaked, so the test can be fixed to close them itself.
+ */
+
+// Thrown by cancellable operations once the token is cancelled
+class CancelledError extends Error {
+    constructor(reason) {
+        super(reason || "Cancelled");
+        this.name = "CancelledError";
+    }
+}
+
+// Read side of a cancellation: tests check it, only the scope cancels it
+class CancellationToken {
+    constructor() {
+        this.cancelled = false;
+        this.reason = null;
+        this.listeners = [];
+    }
+
+    // Calls fn(reason) on cancellation (right away if already cancelled); returns an unsubscribe function
+    onCancel(fn) {
+        if (this.cancelled) {
+            fn(this.reason);
+            return () => {};
+        }
+        this.listeners.push(fn);
+        return () => {
+            const index = this.listeners.indexOf(fn);
+            if (index !== -1) {
+                this.listeners.splice(index, 1);
+            }
+        };
+    }
+
+    throwIfCancelled() {
+        if (this.cancelled) {
+            throw new CancelledError(this.reason);
+        }
+    }
+
+    // Resolves or rejects like promise, but rejects with CancelledError as soon as the token is cancelled
+    race(promise) {
+        return new Promise((resolve, reject) => {
+            const unsubscribe = this.onCancel(reason => reject(new CancelledError(reason)));
+            Promise.resolve(promise).then(value => {
+                unsubscribe();
+                resolve(value);
+            }, error => {
+                unsubscribe();
+                reject(error);
+            });
+        });
+    }
+
+    cancel(reason) {
+        if (this.cancelled) {
+            return;
+        }
+        this.cancelled = true;
+        this.reason = reason || "Cancelled";
+        const listeners = this.listeners;
+        this.listeners = [];
+        listeners.forEach(fn => {
+            try {
+                fn(this.reason);
+            } catch (e) {
+                console.error("Cancellation listener failed:", e);
+            }
+        });
+    }
+}
+
+/**
+ * Creates the scope of one test attempt:
+ * - signal: CancellationToken for the attempt
+ * - cancel(reason): cancels the token; pending sleeps reject with CancelledError
+ * - sleep(ms): cancellable sleep
+ * - setTimeout/clearTimeout/setInterval/clearInterval: timers released with the scope
+ * - track(description, release): registers a resource; returns a function that
+ *   marks it released without calling release
+ * - release(): cancels the scope and releases what is still open; returns the
+ *   descriptions of those leaked resources
+ */
+function createTestScope() {
+    const signal = new CancellationToken();
+    const open = [];
+
+    function track(description, release) {
+        const resource = { description: description, release: release };
+        open.push(resource);
+        return function untrack() {
+            const index = open.indexOf(resource);
+            if (index !== -1) {
+                open.splice(index, 1);
+            }
+        };
+    }
+
+    // Timer ids are numbers on device and objects in Node.js, so they are compared, not used as keys
+    const timers = [];
+
+    function trackTimer(id, description, clear) {
+        const timer = { id: id, untrack: null };
+        timer.untrack = track(description, () => clear(id));
+        timers.push(timer);
+        return timer;
+    }
+
+    function untrackTimer(id) {
+        const index = timers.findIndex(timer => timer.id === id);
+        if (index !== -1) {
+            timers[index].untrack();
+            timers.splice(index, 1);
+        }
+    }
+
+    function scopedSetTimeout(fn, ms) {
+        const id = setTimeout(function() {
+            untrackTimer(id);
+            fn.apply(this, arguments);
+        }, ms);
+        trackTimer(id, `timeout (${ms} ms)`, clearTimeout);
+        return id;
+    }
+
+    function scopedSetInterval(fn, ms) {
+        const id = setInterval(fn, ms);
+        trackTimer(id, `interval (${ms} ms)`, clearInterval);
+        return id;
+    }
+
+    function clearScopedTimer(clear) {
+        return function(id) {
+            clear(id);
+            untrackTimer(id);
+        };
+    }
+
+    // Not tracked as a resource: a sleep left pending by a cancelled test is expected, not a leak
+    function sleep(ms) {
+        return new Promise((resolve, reject) => {
+            signal.throwIfCancelled();
+            let unsubscribe = null;
+            const id = setTimeout(() => {
+                unsubscribe();
+                resolve();
+            }, ms);
+            unsubscribe = signal.onCancel(reason => {
+                clearTimeout(id);
+                reject(new CancelledError(reason));
+            });
+        });
+    }
+
+    function release(reason) {
+        signal.cancel(reason || "Test finished");
+        const leaked = open.splice(0, open.length);
+        leaked.forEach(resource => {
+            try {
+                resource.release();
+            } catch (e) {
+                console.error(`Failed to release ${resource.description}:`, e);
+            }
+        });
+        return leaked.map(resource => resource.description);
+    }
+
+    return {
+        signal: signal,
+        cancel: (reason) => signal.cancel(reason),
+        sleep: sleep,
+        setTimeout: scopedSetTimeout,
+        clearTimeout: clearScopedTimer(clearTimeout),
+        setInterval: scopedSetInterval,
+        clearInterval: clearScopedTimer(clearInterval),
+        track: track,
+        release: release
+    };
+}
+
+module.exports = {
+    CancelledError: CancelledError,
+    CancellationToken: CancellationToken,
+    createTestScope: createTestScope
+};
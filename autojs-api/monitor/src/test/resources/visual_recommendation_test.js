@@ -11,7 +11,9 @@
  * - Provides visual comparison with design specs
  */
 
-// Import test configuration if available
+const { loadConfig } = require('./config_loader.js');
+
+// Defaults, overridden by testConfig.visualTests in test_config.json and visualTest in test_config.js
 let config = {
     showAdvancedOptions: true,
     fullScreenMode: false,
@@ -20,14 +22,25 @@ let config = {
     themeColor: "#2196F3"
 };
 
+let testConfig = {};
 try {
-    const testConfig = require('./test_config.js');
-    if (testConfig && testConfig.visualTest) {
-        Object.assign(config, testConfig.visualTest);
-    }
+    testConfig = require('./test_config.js');
 } catch (e) {
     console.log("No test configuration found, using defaults");
 }
+config = loadConfig({ visualTest: config }, {
+    configFile: testConfig.configFile,
+    overrides: { visualTest: testConfig.visualTest || {} },
+    warnUnknown: false
+}).config.visualTest;
+
+const { expect } = require('./assertions.js');
+const {
+    RECOMMENDATION_TYPES,
+    RECOMMENDATION_IMPORTANCES,
+    validateRecommendations,
+    describeRecommendationErrors
+} = require('./recommendation_schema.js');
 
 // Theme colors
 const COLORS = {
@@ -291,7 +304,11 @@ function loadRecommendations(ui) {
             // Use real API data if available
             try {
                 if (typeof monitor !== 'undefined' && typeof monitor.getBenchmarkRecommendations === 'function') {
-                    recommendations = monitor.getBenchmarkRecommendations();
+                    const received = monitor.getBenchmarkRecommendations();
+                    recommendations = keepValidRecommendations(received);
+                    if (Array.isArray(received) && recommendations.length < received.length) {
+                        toast(`Skipped ${received.length - recommendations.length} invalid recommendations`);
+                    }
                     console.log(`Loaded ${recommendations.length} real recommendations`);
                 } else {
                     console.log("Monitor API not available, falling back to mock data");
@@ -311,6 +328,33 @@ function loadRecommendations(ui) {
     }, 500);
 }
 
+// Drops recommendations that fail the schema so one bad entry can't crash the card renderer;
+// only logs, so callers that check many lists (the fuzz tests) don't queue a toast per list,
+// and options.quiet skips that log too
+function keepValidRecommendations(recommendations, options) {
+    const errors = validateRecommendations(recommendations);
+    if (errors.length === 0) {
+        return recommendations;
+    }
+    
+    if (!(options && options.quiet)) {
+        console.warn(describeRecommendationErrors(errors, "getBenchmarkRecommendations()"));
+    }
+    if (!Array.isArray(recommendations)) {
+        return [];
+    }
+    
+    // Error paths start with the index of the offending recommendation, e.g. "[3].importance"
+    const invalid = {};
+    errors.forEach(error => {
+        const match = /^\[(\d+)\]/.exec(error.path);
+        if (match) {
+            invalid[match[1]] = true;
+        }
+    });
+    return recommendations.filter((rec, i) => !invalid[i]);
+}
+
 // Display recommendations in the UI
 function displayRecommendations(ui, recommendations) {
     ui.recommendationContainer.removeAllViews();
@@ -336,14 +380,8 @@ function displayRecommendations(ui, recommendations) {
         return;
     }
     
-    // Sort recommendations by importance
-    const sortedRecs = [...filteredRecs].sort((a, b) => {
-        const importanceOrder = { "high": 0, "medium": 1, "low": 2 };
-        return importanceOrder[a.importance] - importanceOrder[b.importance];
-    });
-    
-    // Display each recommendation
-    sortedRecs.forEach(rec => addRecommendationCard(ui, rec));
+    // Display each recommendation, most important first
+    sortByImportance(filteredRecs).forEach(rec => addRecommendationCard(ui, rec));
 }
 
 // Add summary view of recommendations
@@ -497,24 +535,48 @@ function addRecommendationCard(ui, rec) {
     });
 }
 
-// Filter recommendations based on current filter settings
-function filterRecommendations(recommendations) {
+// Filter recommendations based on the given filters ({ type, importance }) or the current filter settings
+function filterRecommendations(recommendations, filters) {
+    const type = filters ? filters.type : filterType;
+    const importance = filters ? filters.importance : filterImportance;
     return recommendations.filter(rec => {
-        const typeMatch = filterType === "all" || rec.type === filterType;
-        const importanceMatch = filterImportance === "all" || rec.importance === filterImportance;
+        const typeMatch = type === "all" || rec.type === type;
+        const importanceMatch = importance === "all" || rec.importance === importance;
         return typeMatch && importanceMatch;
     });
 }
 
+// Position of a recommendation in the importance order; unknown importances come last
+function importanceRank(rec) {
+    const rank = RECOMMENDATION_IMPORTANCES.indexOf(rec.importance);
+    return rank === -1 ? RECOMMENDATION_IMPORTANCES.length : rank;
+}
+
+// Sorted copy, highest importance first; recommendations of equal importance keep their order
+function sortByImportance(recommendations) {
+    return recommendations
+        .map((rec, index) => ({ rec: rec, index: index }))
+        .sort((a, b) => importanceRank(a.rec) - importanceRank(b.rec) || a.index - b.index)
+        .map(item => item.rec);
+}
+
+// Checks that the mock data and type icons match the recommendation schema
+function verifyMockRecommendations() {
+    expect(Object.keys(TYPE_ICONS)).toEqual(RECOMMENDATION_TYPES);
+    expect(validateRecommendations(MOCK_RECOMMENDATIONS)).toEqual([]);
+}
+
 // Apply filters to the current recommendations
 function applyFilters(ui) {
     displayRecommendations(ui, currentRecommendations);
 }
 
-// Main function to run the test
+// Main function to run the test; returns the window so a runner can close it
 function runVisualTest() {
     console.log("Starting Visual Recommendation Test");
     
+    verifyMockRecommendations();
+    
     // Create and display the UI
     const ui = createUI();
     
@@ -522,6 +584,8 @@ function runVisualTest() {
     events.on("exit", function() {
         if (ui) ui.close();
     });
+    
+    return ui;
 }
 
 // Run the test if executed directly
@@ -532,5 +596,11 @@ if (engines.myEngine().toString() === engines.all()[0].toString()) {
 // Export the test function for external use
 module.exports = {
     runVisualTest: runVisualTest,
+    verifyMockRecommendations: verifyMockRecommendations,
+    keepValidRecommendations: keepValidRecommendations,
+    displayRecommendations: displayRecommendations,
+    filterRecommendations: filterRecommendations,
+    importanceRank: importanceRank,
+    sortByImportance: sortByImportance,
     mockRecommendations: MOCK_RECOMMENDATIONS
 };
\ No newline at end of file